@@ -0,0 +1,134 @@
+/**
+ * MoniBot Telegram - External Addresses
+ *
+ * Payment targets outside MoniPay profiles:
+ * - Raw 0x addresses (mixed-case input must carry a valid EIP-55 checksum)
+ * - ENS and Base names (*.eth, *.base.eth), resolved on Ethereum mainnet via viem
+ *   (Base names resolve through ENS's CCIP-read gateway)
+ * - A per-profile address book in `address_book` (alias → address); each
+ *   profile's alias names are cached for ALIAS_CACHE_MS so free text can be
+ *   checked against them without a lookup per message
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { createPublicClient, http, isAddress, getAddress } from 'viem';
+import { mainnet } from 'viem/chains';
+import { normalize } from 'viem/ens';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const ensClient = createPublicClient({ chain: mainnet, transport: http(process.env.ENS_RPC_URL || 'https://ethereum-rpc.publicnode.com', { retryCount: 2 }) });
+
+export const ADDRESS_PATTERN = '0x[0-9a-fA-F]{40}';
+export const NAME_PATTERN = '[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.eth';
+const NAME_RE = new RegExp(`^${NAME_PATTERN}$`, 'i');
+const ALIAS_RE = /^[a-z][a-z0-9-]{1,31}$/;
+const ALIAS_CACHE_MS = 300000;
+
+const aliasCache = new Map(); // profile_id → { aliases: Set, at }
+
+export function isValidAlias(alias) {
+  return ALIAS_RE.test(alias);
+}
+
+/**
+ * @returns {'address'|'name'|'alias'}
+ */
+export function targetKind(target) {
+  if (/^0x/i.test(target)) return 'address';
+  if (NAME_RE.test(target)) return 'name';
+  return 'alias';
+}
+
+export function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+/**
+ * Validate a raw address. Returns { address } (checksummed) or { error }.
+ */
+export function checkAddress(input) {
+  if (!isAddress(input, { strict: false })) return { error: `\`${input}\` isn't a valid address.` };
+  // All-lowercase / all-uppercase input carries no checksum; mixed case must match it exactly
+  const hex = input.slice(2);
+  if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase() && getAddress(input) !== input) {
+    return { error: `The checksum of \`${input}\` doesn't match — there may be a typo.` };
+  }
+  return { address: getAddress(input) };
+}
+
+/**
+ * Resolve an ENS / Base name. Returns { address } or { error }.
+ */
+export async function resolveName(name) {
+  try {
+    const address = await ensClient.getEnsAddress({ name: normalize(name) });
+    return address ? { address: getAddress(address) } : { error: `\`${name}\` doesn't point to an address.` };
+  } catch (e) {
+    console.error(`[Addresses] Resolve ${name} failed:`, e.message);
+    return { error: `Couldn't resolve \`${name}\` right now. Please try again.` };
+  }
+}
+
+/**
+ * Resolve a payment target (address, name or address-book alias) for a profile.
+ * @returns {Promise<{ address: string, label: string|null } | { error: string }>}
+ *   `label` is the name or alias the user typed, null for raw addresses.
+ */
+export async function resolvePaymentTarget(target, profileId) {
+  const kind = targetKind(target);
+  if (kind === 'address') return { ...checkAddress(target), label: null };
+  if (kind === 'name') {
+    const resolved = await resolveName(target.toLowerCase());
+    return resolved.error ? resolved : { address: resolved.address, label: target.toLowerCase() };
+  }
+
+  const entry = await getAddressBookEntry(profileId, target);
+  if (!entry) return { error: `No address saved as \`${target}\`. Add one with \`/addressbook add ${target} 0x…\`` };
+  return { address: getAddress(entry.address), label: entry.name ? `${entry.alias} (${entry.name})` : entry.alias };
+}
+
+// ============ Address Book ============
+
+export async function listAddressBook(profileId) {
+  const { data } = await supabase.from('address_book').select('*').eq('profile_id', profileId).order('alias', { ascending: true });
+  return data || [];
+}
+
+export async function getAddressBookEntry(profileId, alias) {
+  const { data } = await supabase.from('address_book').select('*').eq('profile_id', profileId).eq('alias', alias.toLowerCase()).maybeSingle();
+  return data;
+}
+
+/**
+ * Whether `alias` is saved in the profile's address book, from the cached alias list.
+ */
+export async function hasAddressBookAlias(profileId, alias) {
+  const cached = aliasCache.get(profileId);
+  if (cached && Date.now() - cached.at < ALIAS_CACHE_MS) return cached.aliases.has(alias.toLowerCase());
+
+  const { data, error } = await supabase.from('address_book').select('alias').eq('profile_id', profileId);
+  if (error) {
+    console.error('[Addresses] Alias load error:', error.message);
+    return cached?.aliases.has(alias.toLowerCase()) || false;
+  }
+  const aliases = new Set((data || []).map(row => row.alias));
+  aliasCache.set(profileId, { aliases, at: Date.now() });
+  return aliases.has(alias.toLowerCase());
+}
+
+export async function saveAddressBookEntry(profileId, alias, address, name = null) {
+  const { data, error } = await supabase.from('address_book')
+    .upsert({ profile_id: profileId, alias: alias.toLowerCase(), address, name, updated_at: new Date().toISOString() }, { onConflict: 'profile_id,alias' })
+    .select()
+    .maybeSingle();
+  if (error) console.error('[Addresses] Save error:', error.message);
+  aliasCache.delete(profileId);
+  return data;
+}
+
+export async function removeAddressBookEntry(profileId, alias) {
+  const { data } = await supabase.from('address_book').delete().eq('profile_id', profileId).eq('alias', alias.toLowerCase()).select().maybeSingle();
+  aliasCache.delete(profileId);
+  return data;
+}
@@ -7,21 +7,81 @@
  * - Temporal expression parsing (scheduling)
  * 
  * Falls back to regex parsing if AI is unavailable.
+ * Edge function calls are tracked: after AI_OUTAGE_FAILURES failures in a row a
+ * function counts as down (onOutage hook), and its next success fires onRecovery.
  */
 
 import { createClient } from '@supabase/supabase-js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
+// ============ Edge Function Health ============
+
+const OUTAGE_FAILURES = parseInt(process.env.AI_OUTAGE_FAILURES || '5');
+
+const health = new Map(); // function name → { consecutiveFailures, lastError, downSince }
+let hooks = { onOutage: null, onRecovery: null };
+
+/**
+ * @param {{ onOutage?: (info: { name: string, error: string }) => Promise<void>, onRecovery?: (info: { name: string, downSince: string }) => Promise<void> }} options
+ */
+export function configureAi(options) {
+  hooks = { ...hooks, ...options };
+}
+
+function fire(hook, info) {
+  hook?.(info).catch(e => console.error('[AI] Health hook failed:', e.message));
+}
+
+function recordCall(name, error) {
+  const state = health.get(name) || { consecutiveFailures: 0, lastError: null, downSince: null };
+  health.set(name, state);
+  if (!error) {
+    if (state.downSince) fire(hooks.onRecovery, { name, downSince: state.downSince });
+    state.consecutiveFailures = 0;
+    state.downSince = null;
+    return;
+  }
+  state.consecutiveFailures++;
+  state.lastError = error.message;
+  if (!state.downSince && state.consecutiveFailures >= OUTAGE_FAILURES) {
+    state.downSince = new Date().toISOString();
+    fire(hooks.onOutage, { name, error: state.lastError });
+  }
+}
+
+/**
+ * supabase.functions.invoke with health tracking.
+ */
+export async function invokeEdgeFunction(name, body) {
+  try {
+    const result = await supabase.functions.invoke(name, { body });
+    recordCall(name, result.error);
+    return result;
+  } catch (e) {
+    recordCall(name, e);
+    throw e;
+  }
+}
+
+/**
+ * Per edge function: `up` or `down`, failures in a row and the last error.
+ */
+export function aiHealth() {
+  const stats = {};
+  for (const [name, state] of health) {
+    stats[name] = { status: state.downSince ? 'down' : 'up', consecutiveFailures: state.consecutiveFailures, lastError: state.lastError, downSince: state.downSince };
+  }
+  return stats;
+}
+
 /**
  * Parse a natural language message into a structured command using AI.
  * Returns null if AI fails (caller should fall back to regex).
  */
 export async function aiParseCommand(text, platform = 'telegram') {
   try {
-    const { data, error } = await supabase.functions.invoke('monibot-ai', {
-      body: { action: 'parse-command', context: { text, platform } },
-    });
+    const { data, error } = await invokeEdgeFunction('monibot-ai', { action: 'parse-command', context: { text, platform } });
 
     if (error) {
       console.error('[AI] Parse error:', error.message);
@@ -45,9 +105,7 @@ export async function aiParseCommand(text, platform = 'telegram') {
  */
 export async function aiChat(text, username, platform = 'telegram') {
   try {
-    const { data, error } = await supabase.functions.invoke('monibot-ai', {
-      body: { action: 'chat', context: { text, platform, username } },
-    });
+    const { data, error } = await invokeEdgeFunction('monibot-ai', { action: 'chat', context: { text, platform, username } });
 
     if (error) {
       console.error('[AI] Chat error:', error.message);
@@ -67,9 +125,7 @@ export async function aiChat(text, username, platform = 'telegram') {
  */
 export async function aiParseSchedule(text, platform = 'telegram') {
   try {
-    const { data, error } = await supabase.functions.invoke('monibot-ai', {
-      body: { action: 'parse-schedule', context: { text, platform } },
-    });
+    const { data, error } = await invokeEdgeFunction('monibot-ai', { action: 'parse-schedule', context: { text, platform } });
 
     if (error) {
       console.error('[AI] Schedule parse error:', error.message);
@@ -88,9 +144,7 @@ export async function aiParseSchedule(text, platform = 'telegram') {
  */
 export async function aiTransactionReply(txContext) {
   try {
-    const { data, error } = await supabase.functions.invoke('monibot-ai', {
-      body: { action: 'generate-reply', context: txContext },
-    });
+    const { data, error } = await invokeEdgeFunction('monibot-ai', { action: 'generate-reply', context: txContext });
 
     if (error) return null;
     return data?.text || null;
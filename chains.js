@@ -0,0 +1,134 @@
+/**
+ * MoniBot Telegram - Chain Registry
+ *
+ * One list of payment rails (network + token + router) shared by every module:
+ * - Defaults from chains.json, or the file named by CHAINS_CONFIG_FILE
+ * - CHAINS_CONFIG (JSON array) merged over it by `key`: override fields,
+ *   add a rail (e.g. a second token on an existing network), or drop one
+ *   with `"enabled": false`
+ * - `<KEY>_RPC_URL` (e.g. BASE_RPC_URL, BASE_USDT_RPC_URL) is tried before the listed RPCs
+ * - `keywords` drive chain detection in commands; the longest match wins
+ * - `nativeUsd` is a rough gas-token price, only used to compare gas costs between chains
+ * - `minExecutorBalance`, `minAmount` and `maxAmount` feed the guardrails (guardrails.js)
+ * - `autoRoute: false` (e.g. testnets) keeps a rail out of route planning and reroutes:
+ *   it's only used when a command names it
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { defineChain } from 'viem';
+import * as viemChains from 'viem/chains';
+
+const KEY_RE = /^[a-z][a-z0-9-]*$/;
+const REQUIRED = ['rpcs', 'router', 'token', 'decimals', 'symbol'];
+
+function loadEntries() {
+  const file = process.env.CHAINS_CONFIG_FILE || fileURLToPath(new URL('./chains.json', import.meta.url));
+  const entries = JSON.parse(readFileSync(file, 'utf8'));
+
+  if (process.env.CHAINS_CONFIG) {
+    for (const override of JSON.parse(process.env.CHAINS_CONFIG)) {
+      const existing = entries.find(e => e.key === override.key);
+      if (existing) Object.assign(existing, override);
+      else entries.push(override);
+    }
+  }
+  return entries.filter(e => e.enabled !== false);
+}
+
+function viemChainFor(entry) {
+  if (entry.viemChain) {
+    const known = viemChains[entry.viemChain];
+    if (!known) throw new Error(`Chain "${entry.key}": unknown viemChain "${entry.viemChain}"`);
+    return known;
+  }
+  if (!entry.chainId) throw new Error(`Chain "${entry.key}": needs viemChain or chainId`);
+  return defineChain({
+    id: entry.chainId,
+    name: entry.label || entry.key,
+    nativeCurrency: entry.nativeCurrency || { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: { default: { http: entry.rpcs } },
+  });
+}
+
+function buildRegistry() {
+  const registry = {};
+  for (const entry of loadEntries()) {
+    if (!KEY_RE.test(entry.key || '')) throw new Error(`Chain key "${entry.key}" must be lowercase letters, digits and dashes`);
+    const missing = REQUIRED.filter(field => entry[field] === undefined);
+    if (missing.length) throw new Error(`Chain "${entry.key}" is missing ${missing.join(', ')}`);
+
+    const rpcOverride = process.env[`${entry.key.toUpperCase().replace(/-/g, '_')}_RPC_URL`];
+    const rpcs = [rpcOverride, ...entry.rpcs].filter((rpc, i, all) => rpc && all.indexOf(rpc) === i);
+
+    registry[entry.key] = {
+      key: entry.key,
+      label: entry.label || entry.key.charAt(0).toUpperCase() + entry.key.slice(1),
+      chain: viemChainFor({ ...entry, rpcs }),
+      rpcs,
+      router: entry.router,
+      token: entry.token,
+      decimals: entry.decimals,
+      symbol: entry.symbol,
+      builder: !!entry.builder,
+      explorer: entry.explorer || null,
+      nativeUsd: entry.nativeUsd ?? null,
+      minExecutorBalance: entry.minExecutorBalance ?? null,
+      minAmount: entry.minAmount ?? null,
+      maxAmount: entry.maxAmount ?? null,
+      keywords: (entry.keywords || []).map(k => k.toLowerCase()),
+      isDefault: !!entry.default,
+      autoRoute: entry.autoRoute !== false,
+    };
+  }
+
+  if (!Object.keys(registry).length) throw new Error('No chains configured');
+  return registry;
+}
+
+export const CHAINS = buildRegistry();
+export const CHAIN_KEYS = Object.keys(CHAINS);
+export const DEFAULT_CHAIN = CHAIN_KEYS.find(key => CHAINS[key].isDefault) || CHAIN_KEYS[0];
+
+/**
+ * The chain whose keyword appears in the text (longest keyword wins), or null.
+ */
+export function matchChain(text) {
+  const l = text.toLowerCase();
+  let best = null;
+  for (const key of CHAIN_KEYS) {
+    for (const keyword of CHAINS[key].keywords) {
+      if (l.includes(keyword) && (!best || keyword.length > best.length)) best = { key, length: keyword.length };
+    }
+  }
+  return best?.key || null;
+}
+
+/**
+ * Chain for a command, falling back to the default chain.
+ */
+export function detectChain(text) {
+  return matchChain(text) || DEFAULT_CHAIN;
+}
+
+/**
+ * Map a single word ("bsc", "usdt", "base-usdt"...) to a chain key: a key or one of its keywords.
+ */
+export function chainForWord(word) {
+  const l = word.toLowerCase();
+  if (CHAINS[l]) return l;
+  return CHAIN_KEYS.find(key => CHAINS[key].keywords.includes(l)) || null;
+}
+
+export function chainLabel(key) {
+  return CHAINS[key?.toLowerCase()]?.label || key;
+}
+
+export function chainSymbol(key) {
+  return CHAINS[key?.toLowerCase()]?.symbol || CHAINS[DEFAULT_CHAIN].symbol;
+}
+
+export function explorerTxUrl(key, hash) {
+  const explorer = CHAINS[key?.toLowerCase()]?.explorer;
+  return explorer ? `${explorer}/tx/${hash}` : null;
+}
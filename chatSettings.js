@@ -0,0 +1,126 @@
+/**
+ * MoniBot Telegram - Chat Settings
+ *
+ * Per-group policies set by chat admins with /settings, stored in `chat_settings`
+ * (one row per chat; no row means the defaults):
+ * - `allowed_chains`: registry keys payments and giveaways may use (null = all)
+ * - `default_chain`: used when a command doesn't name a chain (null = registry default)
+ * - `giveaways`: who can start giveaways — anyone, admins, or off
+ * - `max_giveaway_usd`: cap on a giveaway's total (amount × winners; null = no cap)
+ * - `ai_chat`: conversational replies to messages that aren't commands
+ * - `quiet`: only answer explicit @monibot mentions and replies to the bot
+ * Private chats always use the defaults. Rows are cached briefly.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { CHAINS, CHAIN_KEYS } from './chains.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const CACHE_MS = 60000;
+
+export const GIVEAWAY_PERMISSIONS = ['anyone', 'admins', 'off'];
+export const GIVEAWAY_CAP_STEPS = [null, 10, 25, 50, 100, 250, 500];
+
+export const DEFAULT_CHAT_SETTINGS = Object.freeze({
+  allowed_chains: null,
+  default_chain: null,
+  giveaways: 'anyone',
+  max_giveaway_usd: null,
+  ai_chat: true,
+  quiet: false,
+});
+
+const cache = new Map(); // chat_id → { settings, at }
+
+// Drop chains the registry no longer has, so a stale row can't lock a chat out
+function normalize(row) {
+  const settings = { ...DEFAULT_CHAT_SETTINGS, ...(row || {}) };
+  const allowed = settings.allowed_chains?.filter(key => CHAINS[key]);
+  settings.allowed_chains = allowed?.length ? allowed : null;
+  if (settings.default_chain && !chainAllowed(settings, settings.default_chain)) settings.default_chain = null;
+  if (!GIVEAWAY_PERMISSIONS.includes(settings.giveaways)) settings.giveaways = DEFAULT_CHAT_SETTINGS.giveaways;
+  settings.max_giveaway_usd = settings.max_giveaway_usd === null ? null : parseFloat(settings.max_giveaway_usd);
+  return settings;
+}
+
+/**
+ * Settings for a chat (defaults for private chats).
+ * @param {{ id: number|string, type?: string }} chat
+ */
+export async function getChatSettings(chat) {
+  if (chat.type === 'private') return normalize(null);
+  const chatId = String(chat.id);
+  const cached = cache.get(chatId);
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.settings;
+
+  const { data, error } = await supabase.from('chat_settings').select('*').eq('chat_id', chatId).maybeSingle();
+  if (error) {
+    console.error('[Settings] Load error:', error.message);
+    return cached?.settings || normalize(null);
+  }
+  const settings = normalize(data);
+  cache.set(chatId, { settings, at: Date.now() });
+  return settings;
+}
+
+/**
+ * Save a change to a chat's settings and return the result.
+ */
+export async function updateChatSettings(chatId, patch, updatedBy) {
+  const { data, error } = await supabase.from('chat_settings')
+    .upsert({ chat_id: String(chatId), ...patch, updated_by: String(updatedBy), updated_at: new Date().toISOString() }, { onConflict: 'chat_id' })
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(`Settings update failed: ${error.message}`);
+  const settings = normalize(data);
+  cache.set(String(chatId), { settings, at: Date.now() });
+  return settings;
+}
+
+export function chainAllowed(settings, chain) {
+  return !settings.allowed_chains || settings.allowed_chains.includes(chain);
+}
+
+/**
+ * Registry chains usable in a chat, in registry order.
+ */
+export function allowedChains(settings) {
+  return CHAIN_KEYS.filter(key => chainAllowed(settings, key));
+}
+
+function nextIn(list, current) {
+  return list[(list.indexOf(current) + 1) % list.length];
+}
+
+/**
+ * The change one /settings button makes.
+ * @param {string} field - chain | default | giveaways | cap | ai | quiet
+ * @param {string} [value] - chain key for `chain`
+ * @returns {object | { error: string }} patch for updateChatSettings
+ */
+export function settingsChange(settings, field, value) {
+  const allowed = allowedChains(settings);
+  switch (field) {
+    case 'chain': {
+      if (!CHAINS[value]) return { error: 'Unknown chain.' };
+      const next = allowed.includes(value) ? allowed.filter(key => key !== value) : CHAIN_KEYS.filter(key => key === value || allowed.includes(key));
+      if (!next.length) return { error: 'At least one chain has to stay enabled.' };
+      const patch = { allowed_chains: next.length === CHAIN_KEYS.length ? null : next };
+      if (settings.default_chain && !next.includes(settings.default_chain)) patch.default_chain = null;
+      return patch;
+    }
+    case 'default':
+      return { default_chain: nextIn([null, ...allowed], settings.default_chain) };
+    case 'giveaways':
+      return { giveaways: nextIn(GIVEAWAY_PERMISSIONS, settings.giveaways) };
+    case 'cap':
+      return { max_giveaway_usd: nextIn(GIVEAWAY_CAP_STEPS, settings.max_giveaway_usd) };
+    case 'ai':
+      return { ai_chat: !settings.ai_chat };
+    case 'quiet':
+      return { quiet: !settings.quiet };
+    default:
+      return { error: 'Unknown setting.' };
+  }
+}
@@ -3,53 +3,29 @@
  * 
  * Checks all alternate chains for sufficient balance/allowance when
  * the requested chain has insufficient funds. Enables auto-rerouting.
- * Supports Base ↔ BSC ↔ Tempo fallback.
+ * Falls back across the registry's auto-route chains (chains.js).
+ * Also powers the multi-chain /balance overview.
  */
 
-import { createPublicClient, http, formatUnits, erc20Abi } from 'viem';
-import { base, bsc } from 'viem/chains';
+import { formatUnits, erc20Abi } from 'viem';
+import { CHAINS, CHAIN_KEYS } from './chains.js';
+import { rpcClients } from './rpcPool.js';
 
-const CHAIN_CHECK_CONFIGS = {
-  base: {
-    chain: base,
-    rpcs: ['https://base-rpc.publicnode.com', 'https://mainnet.base.org'],
-    tokenAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-    routerAddress: '0xBEE37c2f3Ce9a48D498FC0D47629a1E10356A516',
-    decimals: 6,
-    symbol: 'USDC',
-  },
-  bsc: {
-    chain: bsc,
-    rpcs: ['https://bsc-dataseed.binance.org', 'https://bsc-rpc.publicnode.com'],
-    tokenAddress: '0x55d398326f99059fF775485246999027B3197955',
-    routerAddress: '0x9EED16952D734dFC84b7C4e75e9A3228B42D832E',
-    decimals: 18,
-    symbol: 'USDT',
-  },
-  tempo: {
-    chain: { id: 42431, name: 'Tempo Testnet', nativeCurrency: { name: 'USD', symbol: 'USD', decimals: 18 }, rpcUrls: { default: { http: ['https://rpc.moderato.tempo.xyz'] } } },
-    rpcs: ['https://rpc.moderato.tempo.xyz'],
-    tokenAddress: '0x20c0000000000000000000000000000000000001',
-    routerAddress: '0x78A824fDE7Ee3E69B2e2Ee52d1136EECD76749fc',
-    decimals: 6,
-    symbol: 'αUSD',
-  },
-};
+export const CHECK_CHAINS = CHAIN_KEYS;
 
 async function checkChainFunds(walletAddress, amount, chainName) {
-  const config = CHAIN_CHECK_CONFIGS[chainName];
-  if (!config) return { hasBalance: false, hasAllowance: false, balance: 0, allowance: 0, chain: chainName };
+  const config = CHAINS[chainName];
+  if (!config) return { hasBalance: false, hasAllowance: false, balance: 0, allowance: 0, chain: chainName, error: true };
 
-  for (const rpc of config.rpcs) {
+  // Healthiest endpoint first, then one other if it fails
+  const tried = [];
+  for (let attempt = 0; attempt < Math.min(2, config.rpcs.length); attempt++) {
+    const { pub: client, url, host } = rpcClients(chainName, { exclude: tried });
+    tried.push(url);
     try {
-      const client = createPublicClient({
-        chain: config.chain,
-        transport: http(rpc, { retryCount: 2, retryDelay: 500 }),
-      });
-
       const [balance, allowance] = await Promise.all([
-        client.readContract({ address: config.tokenAddress, abi: erc20Abi, functionName: 'balanceOf', args: [walletAddress] }),
-        client.readContract({ address: config.tokenAddress, abi: erc20Abi, functionName: 'allowance', args: [walletAddress, config.routerAddress] }),
+        client.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [walletAddress] }),
+        client.readContract({ address: config.token, abi: erc20Abi, functionName: 'allowance', args: [walletAddress, config.router] }),
       ]);
 
       const balanceNum = parseFloat(formatUnits(balance, config.decimals));
@@ -64,11 +40,22 @@ async function checkChainFunds(walletAddress, amount, chainName) {
         symbol: config.symbol,
       };
     } catch (e) {
-      console.warn(`  ⚠️ Cross-chain ${chainName} check failed (${rpc}): ${e.message}`);
+      console.warn(`  ⚠️ Cross-chain ${chainName} check failed (${host}): ${e.shortMessage || e.message}`);
     }
   }
 
-  return { hasBalance: false, hasAllowance: false, balance: 0, allowance: 0, chain: chainName, symbol: config.symbol };
+  return { hasBalance: false, hasAllowance: false, balance: 0, allowance: 0, chain: chainName, symbol: config.symbol, error: true };
+}
+
+/**
+ * Read balance and router allowance on several chains in parallel.
+ * Chains whose RPCs all fail come back with `error: true`.
+ * @param {string} walletAddress
+ * @param {string[]} [chains] - Defaults to every supported chain
+ * @returns {Promise<Array<{chain: string, symbol: string, balance: number, allowance: number, error?: boolean}>>}
+ */
+export async function getMultiChainFunds(walletAddress, chains = CHECK_CHAINS) {
+  return Promise.all(chains.map(chain => checkChainFunds(walletAddress, 0, chain)));
 }
 
 /**
@@ -79,7 +66,7 @@ async function checkChainFunds(walletAddress, amount, chainName) {
  * @returns {Promise<{chain: string, balance: number, symbol: string, needsAllowance?: boolean}|null>}
  */
 export async function findAlternateChain(walletAddress, amount, currentChain) {
-  const alternates = Object.keys(CHAIN_CHECK_CONFIGS).filter(c => c !== currentChain);
+  const alternates = CHECK_CHAINS.filter(c => c !== currentChain && CHAINS[c].autoRoute);
 
   console.log(`  🔄 Cross-chain check: looking for $${amount} on ${alternates.join(', ')}...`);
 
@@ -0,0 +1,225 @@
+/**
+ * MoniBot Telegram - Transfer Errors
+ *
+ * Failed transfer results carry a `code` from this list instead of a fragment of
+ * the underlying viem message. Each code maps to:
+ * - `reason`: short text for progress lines, summaries and stored error columns
+ * - `replyType`: the aiTransactionReply type, for codes the monibot-ai edge
+ *   function knows (others reply with `message` directly)
+ * - `message`: the full reply when there's no AI reply
+ * classifyTransferError() maps a thrown viem / RPC error to a code and decodes
+ * the router's revert reason when there is one.
+ */
+
+import { BaseError, ContractFunctionRevertedError, NonceTooLowError, NonceTooHighError, InsufficientFundsError } from 'viem';
+import { isTransportError } from './rpcPool.js';
+import { chainLabel } from './chains.js';
+
+export const TransferError = Object.freeze({
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+  INSUFFICIENT_ALLOWANCE: 'insufficient_allowance',
+  RPC_UNAVAILABLE: 'rpc_unavailable',
+  BROADCAST_UNCERTAIN: 'broadcast_uncertain',
+  GAS_ESTIMATION_FAILED: 'gas_estimation_failed',
+  NONCE_CONFLICT: 'nonce_conflict',
+  ROUTER_REVERT: 'router_revert',
+  RECIPIENT_NOT_FOUND: 'recipient_not_found',
+  SELF_SEND: 'self_send',
+  LIMIT_EXCEEDED: 'limit_exceeded',
+  GUARDRAIL: 'guardrail',
+  CHAIN_NOT_ALLOWED: 'chain_not_allowed',
+  TRANSFERS_PAUSED: 'transfers_paused',
+  TRANSFERS_UNAVAILABLE: 'transfers_unavailable',
+  NOT_CONFIRMED: 'not_confirmed',
+  NEEDS_SPLIT: 'needs_split',
+  NEEDS_CONFIRMATION: 'needs_confirmation',
+  UNKNOWN: 'unknown',
+});
+
+const APP_URL = 'monipay.lovable.app';
+
+// ctx: { tag, who, amount, chain, reason } — `who` is the recipient as written (@tag, address or name)
+const ERRORS = {
+  [TransferError.INSUFFICIENT_BALANCE]: {
+    reason: 'Low balance',
+    replyType: 'error_balance',
+    message: ({ amount }) => `Your balance is too low to send $${amount}. Fund your wallet at ${APP_URL}`,
+  },
+  [TransferError.INSUFFICIENT_ALLOWANCE]: {
+    reason: 'Low allowance',
+    replyType: 'error_allowance',
+    message: () => `You need to set your MoniBot allowance first. Go to ${APP_URL} → Settings → MoniBot AI`,
+  },
+  [TransferError.RPC_UNAVAILABLE]: {
+    reason: 'Network unavailable',
+    replyType: null,
+    message: ({ chain }) => `I couldn't reach ${chainLabel(chain)} just now. Nothing was sent. Please try again in a minute.`,
+  },
+  // The RPC dropped while the transaction was being submitted: it may be on its way
+  [TransferError.BROADCAST_UNCERTAIN]: {
+    reason: 'May have been sent',
+    replyType: null,
+    message: ({ who, chain }) => `I lost contact with ${chainLabel(chain)} while sending to ${who}. The payment may have been sent, so check /history before trying again.`,
+  },
+  [TransferError.GAS_ESTIMATION_FAILED]: {
+    reason: 'Gas estimation failed',
+    replyType: null,
+    message: ({ who }) => `The payment to ${who} couldn't be simulated, so nothing was sent. Please try again.`,
+  },
+  [TransferError.NONCE_CONFLICT]: {
+    reason: 'Nonce conflict',
+    replyType: null,
+    message: () => 'Another payment from your wallet was going through at the same time. Nothing was sent. Please try again.',
+  },
+  [TransferError.ROUTER_REVERT]: {
+    reason: 'Transaction reverted on-chain',
+    replyType: 'error_reverted',
+    message: ({ reason }) => `${reason}. Nothing was sent.`,
+  },
+  [TransferError.RECIPIENT_NOT_FOUND]: {
+    reason: 'Not found',
+    replyType: 'error_not_found',
+    message: ({ who }) => `${who} isn't registered on MoniPay yet. They can sign up at ${APP_URL}`,
+  },
+  [TransferError.SELF_SEND]: {
+    reason: 'Self-send',
+    replyType: null,
+    message: () => 'You can\'t send to yourself.',
+  },
+  [TransferError.LIMIT_EXCEEDED]: {
+    reason: 'Limit exceeded',
+    replyType: null,
+    message: () => 'This payment is over your spending limits. Check /limits.',
+  },
+  [TransferError.GUARDRAIL]: {
+    reason: 'Refused by guardrails',
+    replyType: null,
+    message: ({ reason }) => `${reason}. Nothing was sent.`,
+  },
+  [TransferError.CHAIN_NOT_ALLOWED]: {
+    reason: 'Chain not allowed in this chat',
+    replyType: null,
+    message: ({ reason }) => `${reason}. Nothing was sent.`,
+  },
+  [TransferError.TRANSFERS_PAUSED]: {
+    reason: 'Payments paused',
+    replyType: null,
+    message: () => 'MoniBot payments are paused by the operators right now. Nothing was sent. Please try again later.',
+  },
+  [TransferError.TRANSFERS_UNAVAILABLE]: {
+    reason: 'Payments unavailable',
+    replyType: null,
+    message: () => "MoniBot can't check whether payments are running right now, so it isn't sending any. Nothing was sent. Please try again in a minute.",
+  },
+  [TransferError.NOT_CONFIRMED]: {
+    reason: 'Not confirmed yet',
+    replyType: null,
+    message: ({ who }) => `The payment to ${who} was submitted but isn't confirmed yet. Please don't re-send.`,
+  },
+  [TransferError.NEEDS_SPLIT]: {
+    reason: 'Needs a split across chains',
+    replyType: null,
+    message: ({ amount }) => `No single chain has $${amount} available, and this payment can't be split without asking you first.`,
+  },
+  [TransferError.NEEDS_CONFIRMATION]: {
+    reason: 'Not confirmed',
+    replyType: null,
+    message: () => 'Payments to addresses need a confirmation first. Please send the command again.',
+  },
+  [TransferError.UNKNOWN]: {
+    reason: 'Transfer failed',
+    replyType: 'error_generic',
+    message: ({ who }) => `Something went wrong sending to ${who}. Please try again.`,
+  },
+};
+
+/**
+ * A failed transfer result.
+ * @param {string} tag - Recipient as shown to the user
+ * @param {string} code - One of TransferError
+ * @param {object} [fields] - Extra result fields (`reason` overrides the default text, `hash`, `pending`…)
+ */
+export function transferFailure(tag, code, fields = {}) {
+  return { tag, ok: false, code, reason: ERRORS[code].reason, ...fields };
+}
+
+export function isFundingError(code) {
+  return code === TransferError.INSUFFICIENT_BALANCE || code === TransferError.INSUFFICIENT_ALLOWANCE;
+}
+
+/**
+ * Refused before anything was attempted (guardrails, operator pause): replies get a ⚠️ rather than ❌.
+ */
+export function isRefusal(code) {
+  return code === TransferError.GUARDRAIL || isHeld(code);
+}
+
+/**
+ * Held back because transfers are paused (or the pause flag can't be read): the same
+ * transfer can go through once they run again, so payouts wait instead of failing.
+ */
+export function isHeld(code) {
+  return code === TransferError.TRANSFERS_PAUSED || code === TransferError.TRANSFERS_UNAVAILABLE;
+}
+
+/**
+ * aiTransactionReply type for a failure, or null when the reply should be failureMessage() as is.
+ */
+export function failureReplyType(code) {
+  return ERRORS[code]?.replyType ?? null;
+}
+
+/**
+ * Full user-facing reply for a failed transfer result.
+ * @param {object} result - transferFailure() result
+ * @param {{ amount: number, chain: string, who?: string }} ctx
+ */
+export function failureMessage(result, ctx) {
+  const { message } = ERRORS[result.code] || ERRORS[TransferError.UNKNOWN];
+  return message({ who: `@${result.tag}`, ...ctx, tag: result.tag, reason: result.reason });
+}
+
+function revertReason(revert) {
+  if (revert.reason) return revert.reason;
+  if (revert.data?.errorName) return revert.data.errorName;
+  return revert.signature ? `error ${revert.signature}` : null;
+}
+
+/**
+ * Map a thrown error to a code.
+ * @param {Error} e
+ * @param {'read'|'estimate'|'broadcast'|'wait'} stage - where in the transfer it was thrown
+ * @returns {{ code: string, reason: string }}
+ */
+export function classifyTransferError(e, stage) {
+  const find = (test) => (e instanceof BaseError ? e.walk(test) : (test(e) ? e : null));
+
+  const revert = find(err => err instanceof ContractFunctionRevertedError);
+  if (revert) {
+    const decoded = revertReason(revert);
+    // The router checks its own per-sender nonce; a stale one is the same conflict as the executor's
+    if (decoded && /nonce/i.test(decoded)) return { code: TransferError.NONCE_CONFLICT, reason: `Nonce conflict: ${decoded}` };
+    return { code: TransferError.ROUTER_REVERT, reason: decoded ? `Router rejected it: ${decoded}` : ERRORS[TransferError.ROUTER_REVERT].reason };
+  }
+  if (find(err => err instanceof NonceTooLowError || err instanceof NonceTooHighError)) {
+    return { code: TransferError.NONCE_CONFLICT, reason: ERRORS[TransferError.NONCE_CONFLICT].reason };
+  }
+  if (find(err => err instanceof InsufficientFundsError)) {
+    return { code: TransferError.GUARDRAIL, reason: 'The bot is low on gas. Try again later' };
+  }
+  if (find(isTransportError)) {
+    const code = stage === 'broadcast' ? TransferError.BROADCAST_UNCERTAIN : TransferError.RPC_UNAVAILABLE;
+    return { code, reason: ERRORS[code].reason };
+  }
+  if (stage === 'estimate') return { code: TransferError.GAS_ESTIMATION_FAILED, reason: ERRORS[TransferError.GAS_ESTIMATION_FAILED].reason };
+  return { code: TransferError.UNKNOWN, reason: ERRORS[TransferError.UNKNOWN].reason };
+}
+
+/**
+ * transferFailure() for a thrown error, logged with its code and the raw message.
+ */
+export function failureFromError(tag, e, stage, chain, fields = {}) {
+  const { code, reason } = classifyTransferError(e, stage);
+  console.warn('[Transfer] Failed', { chain, tag, stage, code, reason, error: e.shortMessage || e.message });
+  return transferFailure(tag, code, { reason, ...fields });
+}
@@ -0,0 +1,129 @@
+/**
+ * MoniBot Telegram - Claimable Payments
+ *
+ * Payments to people without a MoniPay profile, held in `pending_claims` until
+ * they link and /claim:
+ * - Bound to a Telegram @username, and to a Telegram user id when we know it
+ * - Funds stay in the sender's wallet (the router only moves allowance-backed
+ *   transfers); the hold counts against their balance for new holds
+ * - Status: pending → claiming → claimed, or expired / cancelled
+ *   (interrupted if we crashed mid-payout)
+ * - Atomic claim (pending → claiming) so a claim can't pay out twice
+ * - `claiming_at` stamps the payout; only payouts older than the send lease are
+ *   flagged interrupted, so a booting replica leaves another's in-flight payout alone
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SEND_LEASE_MS } from './txQueue.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const ESCROW_EXPIRY_MS = parseInt(process.env.ESCROW_EXPIRY_HOURS || '168') * 3600000;
+
+export async function createPendingClaim(fields) {
+  const { data, error } = await supabase.from('pending_claims').insert({
+    platform: 'telegram',
+    status: 'pending',
+    expires_at: new Date(Date.now() + ESCROW_EXPIRY_MS).toISOString(),
+    ...fields,
+  }).select().maybeSingle();
+
+  if (error) console.error('[Escrow] Create error:', error.message);
+  return data;
+}
+
+export async function setClaimMessage(id, messageId) {
+  await supabase.from('pending_claims').update({ notify_message_id: String(messageId) }).eq('id', id);
+}
+
+/**
+ * Total still held for a sender on one chain.
+ */
+export async function heldAmount(senderId, chain) {
+  const { data, error } = await supabase.from('pending_claims')
+    .select('amount')
+    .eq('sender_id', senderId)
+    .eq('chain', chain)
+    .in('status', ['pending', 'claiming']);
+  if (error) throw new Error(`Hold lookup failed: ${error.message}`);
+  return (data || []).reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+}
+
+/**
+ * Unexpired pending claims addressed to this Telegram user, by id or by @username.
+ */
+export async function findClaimableFor(user) {
+  const filters = [`recipient_telegram_id.eq.${user.id}`];
+  if (user.username) filters.push(`and(recipient_telegram_id.is.null,recipient_username.eq.${user.username.toLowerCase().replace(/[,()]/g, '')})`);
+
+  const { data } = await supabase.from('pending_claims')
+    .select('*')
+    .eq('platform', 'telegram')
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .or(filters.join(','))
+    .order('created_at', { ascending: true });
+  return data || [];
+}
+
+/**
+ * Claim a pending hold for payout. Returns the row, or null if it's no longer pending.
+ */
+export async function startClaimPayout(id) {
+  const { data } = await supabase.from('pending_claims')
+    .update({ status: 'claiming', claiming_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .select()
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Record a payout: `claimed` with the tx, or back to `pending` with the error so it can be retried.
+ * A payout that outlived its lease and was flagged interrupted can still record that it was claimed.
+ */
+export async function finishClaimPayout(id, fields) {
+  const from = fields.status === 'claimed' ? ['claiming', 'interrupted'] : ['claiming'];
+  await supabase.from('pending_claims').update(fields).eq('id', id).in('status', from);
+}
+
+export async function cancelPendingClaim(id, senderId) {
+  const { data } = await supabase.from('pending_claims')
+    .update({ status: 'cancelled' })
+    .eq('id', id)
+    .eq('sender_id', senderId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Release overdue holds back to their senders. Returns the rows this call expired.
+ */
+export async function expirePendingClaims() {
+  const { data } = await supabase.from('pending_claims')
+    .update({ status: 'expired' })
+    .eq('platform', 'telegram')
+    .eq('status', 'pending')
+    .lt('expires_at', new Date().toISOString())
+    .select();
+  return data || [];
+}
+
+/**
+ * Payouts 'claiming' for longer than the send lease were abandoned by their process
+ * and may or may not have gone through.
+ */
+export async function markInterruptedClaimPayouts() {
+  const cutoff = new Date(Date.now() - SEND_LEASE_MS).toISOString();
+  const { data } = await supabase.from('pending_claims')
+    .update({ status: 'interrupted' })
+    .eq('platform', 'telegram')
+    .eq('status', 'claiming')
+    .or(`claiming_at.is.null,claiming_at.lt.${cutoff}`)
+    .select();
+  return data || [];
+}
@@ -0,0 +1,341 @@
+/**
+ * MoniBot Telegram - Giveaway Persistence
+ *
+ * Giveaways live in `giveaways`, one row per claim in `giveaway_claims`, so a
+ * restart or crash can resume live giveaways instead of losing them:
+ * - Modes: first N @tags, timed raffle (Join button + seeded draw), quiz (secret answer)
+ * - Eligibility rules: linked account, member of the chat for N days
+ * - One claim per Telegram user and per pay_tag
+ * - Claim status: pending → sent | failed | reverted (interrupted if we crashed mid-payout);
+ *   raffle entries go entered → won | lost, and winners then pay out like claims.
+ *   A payout refused by a transfer pause goes back to won (raffles) or to deferred
+ *   (first-N, quiz) and is paid when transfers resume
+ * - `payout_started_at` is set when a claim goes pending; only claims pending for
+ *   longer than the send lease are treated as interrupted, so one replica's
+ *   recovery never touches another's in-flight payouts
+ * - Atomic transitions (draft → active → drawing → completed / ended / expired) so
+ *   draws and summaries happen once
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { SEND_LEASE_MS } from './txQueue.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const GIVEAWAY_DURATION_MS = parseInt(process.env.GIVEAWAY_DURATION_MIN || '10') * 60000;
+
+// Claims that hold a spot. Interrupted payouts may have gone through, so they keep theirs;
+// deferred ones are owed once a transfer pause lifts.
+const TAKEN = ['pending', 'sent', 'interrupted', 'deferred'];
+
+// ============ Parsing ============
+
+const QUIZ_ANSWER_RE = /\b(?:a|answer):\s*(.+)$/is;
+const QUIZ_QUESTION_RE = /\b(?:q|question):\s*(.+)$/is;
+const MEMBER_DAYS_RE = /\b(?:members?\s+(?:for\s+)?(\d+)\+?\s*d(?:ays?)?|(\d+)\+?\s*d(?:ays?)?\s+members?)\b/i;
+const LINKED_RE = /\blinked(?:\s+only)?\b/i;
+const DURATION_RE = /\b(?:ends?\s+in|in|lasting|for)\s+(\d+)\s*(m(?:ins?|inutes?)?|h(?:rs?|ours?)?)\b/i;
+const AMOUNT_RE = /\$?(\d+(?:\.\d+)?)\s*(?:\w*\s+)?(?:to\s+)?(?:the\s+)?(?:first\s+)?(\d+)/i;
+
+/**
+ * Parse /giveaway arguments, e.g. "$5 to the first 5", "raffle $5 to 3 winners in 30m members 7d",
+ * or "quiz $2 to the first 3 Q: Capital of France? A: Paris".
+ * @returns {{ mode: string, amount: number, maxParticipants: number, durationMs: number,
+ *   question: string|null, answer: string|null, rules: { requireLinked?: boolean, minMemberDays?: number } } | null}
+ */
+export function parseGiveawayCommand(text) {
+  let body = text;
+  const modeMatch = body.match(/^\s*(raffle|quiz)\b/i);
+  const mode = modeMatch ? modeMatch[1].toLowerCase() : 'first';
+  if (modeMatch) body = body.slice(modeMatch[0].length);
+
+  let question = null;
+  let answer = null;
+  const answerMatch = body.match(QUIZ_ANSWER_RE);
+  if (answerMatch) { answer = answerMatch[1].trim(); body = body.slice(0, answerMatch.index); }
+  const questionMatch = body.match(QUIZ_QUESTION_RE);
+  if (questionMatch) { question = questionMatch[1].trim(); body = body.slice(0, questionMatch.index); }
+
+  const rules = {};
+  const days = body.match(MEMBER_DAYS_RE);
+  if (days) { rules.minMemberDays = parseInt(days[1] || days[2]); body = body.replace(days[0], ' '); }
+  if (LINKED_RE.test(body)) { rules.requireLinked = true; body = body.replace(LINKED_RE, ' '); }
+
+  let durationMs = GIVEAWAY_DURATION_MS;
+  const duration = body.match(DURATION_RE);
+  if (duration) {
+    durationMs = parseInt(duration[1]) * (duration[2].toLowerCase().startsWith('h') ? 3600000 : 60000);
+    body = body.replace(duration[0], ' ');
+  }
+
+  const m = body.match(AMOUNT_RE);
+  if (!m) return null;
+  const amount = parseFloat(m[1]);
+  const maxParticipants = parseInt(m[2]);
+  if (!amount || amount <= 0 || !maxParticipants || durationMs <= 0) return null;
+
+  return { mode, amount, maxParticipants, durationMs, question, answer: mode === 'quiz' ? answer : null, rules };
+}
+
+// ============ Seeds & Answers ============
+
+export function newGiveawaySeed() {
+  return randomBytes(32).toString('hex');
+}
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Posted when a raffle opens; the seed itself is only revealed at the draw.
+ */
+export function seedCommitment(seed) {
+  return sha256(seed);
+}
+
+/**
+ * Rank entrants by sha256("<seed>:<telegram_user_id>") and take the lowest `count`.
+ * Anyone with the revealed seed and the entrant list can reproduce the result.
+ */
+export function drawWinners(entries, seed, count) {
+  return entries
+    .map(entry => ({ entry, rank: sha256(`${seed}:${entry.telegram_user_id}`) }))
+    .sort((a, b) => a.rank.localeCompare(b.rank))
+    .slice(0, count)
+    .map(r => r.entry);
+}
+
+export function normalizeAnswer(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+// Only the salted hash of a quiz answer is stored
+export function hashAnswer(answer, seed) {
+  return sha256(`${seed}:${normalizeAnswer(answer)}`);
+}
+
+export function isCorrectAnswer(giveaway, text) {
+  return !!giveaway.answer_hash && !!normalizeAnswer(text) && hashAnswer(text, giveaway.seed) === giveaway.answer_hash;
+}
+
+// ============ Persistence ============
+
+export async function createGiveaway(fields) {
+  const { data, error } = await supabase.from('giveaways').insert({
+    platform: 'telegram',
+    status: 'active',
+    ends_at: new Date(Date.now() + GIVEAWAY_DURATION_MS).toISOString(),
+    ...fields,
+  }).select().maybeSingle();
+
+  if (error) console.error('[Giveaway] Create error:', error.message);
+  return data;
+}
+
+export async function setGiveawayMessage(id, messageId) {
+  await supabase.from('giveaways').update({ message_id: String(messageId) }).eq('id', id);
+}
+
+export async function loadActiveGiveaways(status = 'active') {
+  const { data, error } = await supabase.from('giveaways').select('*').eq('platform', 'telegram').eq('status', status);
+  if (error) console.error('[Giveaway] Load error:', error.message);
+  return data || [];
+}
+
+export async function setQuizPrompt(id, promptMessageId) {
+  await supabase.from('giveaways').update({ answer_prompt_message_id: String(promptMessageId) }).eq('id', id);
+}
+
+/**
+ * Store the secret answer for a draft quiz (sent as a reply to the DM prompt) and open it.
+ * The quiz keeps the duration it was created with, counted from now.
+ */
+export async function activateQuiz(senderTelegramId, promptMessageId, answer) {
+  const { data: draft } = await supabase.from('giveaways')
+    .select('*')
+    .eq('status', 'draft')
+    .eq('sender_telegram_id', String(senderTelegramId))
+    .eq('answer_prompt_message_id', String(promptMessageId))
+    .maybeSingle();
+  if (!draft) return null;
+
+  const durationMs = new Date(draft.ends_at).getTime() - new Date(draft.created_at).getTime();
+  const { data } = await supabase.from('giveaways')
+    .update({ status: 'active', answer_hash: hashAnswer(answer, draft.seed), ends_at: new Date(Date.now() + durationMs).toISOString() })
+    .eq('id', draft.id)
+    .eq('status', 'draft')
+    .select()
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Claims pending for longer than the send lease were abandoned by the process paying
+ * them (crash, restart) and may or may not have paid out.
+ */
+export async function markInterruptedClaims() {
+  const cutoff = new Date(Date.now() - SEND_LEASE_MS).toISOString();
+  const { data, error } = await supabase.from('giveaway_claims')
+    .update({ status: 'interrupted' })
+    .eq('status', 'pending')
+    .or(`payout_started_at.is.null,payout_started_at.lt.${cutoff}`)
+    .select('id, giveaway_id');
+  if (error) console.error('[Giveaway] Interrupted claims error:', error.message);
+  return data || [];
+}
+
+/**
+ * First-N and quiz claims held back by a transfer pause, oldest first, each with its giveaway.
+ */
+export async function listDeferredClaims() {
+  const { data, error } = await supabase.from('giveaway_claims')
+    .select('*, giveaway:giveaways(*)')
+    .eq('status', 'deferred')
+    .order('created_at', { ascending: true });
+  if (error) console.error('[Giveaway] Deferred claims error:', error.message);
+  return (data || []).filter(c => c.giveaway?.platform === 'telegram');
+}
+
+/**
+ * Take a claim for payout (e.g. a raffle winner: won → pending, a deferred claim → pending). Returns true only for
+ * the caller that moved it, so two replicas never pay the same claim.
+ */
+export async function lockClaim(id, from) {
+  const { data } = await supabase.from('giveaway_claims')
+    .update({ status: 'pending', payout_started_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', from)
+    .select('id')
+    .maybeSingle();
+  return !!data;
+}
+
+/**
+ * Whether a drawing raffle has been drawing for longer than the send lease (its payer is gone).
+ */
+export function isDrawAbandoned(giveaway) {
+  return !giveaway.drawn_at || Date.now() - new Date(giveaway.drawn_at).getTime() > SEND_LEASE_MS;
+}
+
+export async function getClaims(giveawayId) {
+  const { data } = await supabase.from('giveaway_claims').select('*').eq('giveaway_id', giveawayId).order('created_at', { ascending: true }).order('id', { ascending: true });
+  return data || [];
+}
+
+export function takenClaims(claims) {
+  return claims.filter(c => TAKEN.includes(c.status));
+}
+
+/**
+ * Reserve a spot. Returns { claim, number } on success or { error } if the user
+ * or pay_tag already claimed, or the giveaway is full.
+ */
+export async function reserveClaim(giveaway, fields) {
+  const existing = takenClaims(await getClaims(giveaway.id));
+  if (existing.some(c => c.telegram_user_id === String(fields.telegram_user_id))) return { error: 'already_claimed' };
+  if (existing.some(c => c.recipient_id === fields.recipient_id)) return { error: 'already_claimed' };
+  if (existing.length >= giveaway.max_participants) return { error: 'full' };
+
+  const { data: claim, error } = await supabase.from('giveaway_claims').insert({
+    giveaway_id: giveaway.id,
+    status: 'pending',
+    payout_started_at: new Date().toISOString(),
+    ...fields,
+    telegram_user_id: String(fields.telegram_user_id),
+  }).select().maybeSingle();
+
+  // Unique (giveaway_id, telegram_user_id) / (giveaway_id, recipient_id) violations
+  if (error?.code === '23505') return { error: 'already_claimed' };
+  if (error || !claim) { console.error('[Giveaway] Claim error:', error?.message); return { error: 'db' }; }
+
+  // Another replica may have raced us into the last spot: the earliest claims win
+  const taken = takenClaims(await getClaims(giveaway.id));
+  const position = taken.findIndex(c => c.id === claim.id);
+  if (position >= giveaway.max_participants) {
+    await updateClaim(claim.id, { status: 'failed', error: 'Giveaway full' });
+    return { error: 'full' };
+  }
+  return { claim, number: position + 1 };
+}
+
+export async function updateClaim(id, fields) {
+  await supabase.from('giveaway_claims').update(fields).eq('id', id);
+}
+
+/**
+ * Enter a raffle. Returns { entry, count } or { error: 'already_entered' | 'db' }.
+ */
+export async function addRaffleEntry(giveaway, fields) {
+  const { data: entry, error } = await supabase.from('giveaway_claims').insert({
+    giveaway_id: giveaway.id,
+    status: 'entered',
+    ...fields,
+    telegram_user_id: String(fields.telegram_user_id),
+  }).select().maybeSingle();
+
+  if (error?.code === '23505') return { error: 'already_entered' };
+  if (error || !entry) { console.error('[Giveaway] Entry error:', error?.message); return { error: 'db' }; }
+
+  const { count } = await supabase.from('giveaway_claims').select('id', { count: 'exact', head: true }).eq('giveaway_id', giveaway.id).eq('status', 'entered');
+  return { entry, count: count || 0 };
+}
+
+/**
+ * Move an active raffle to 'drawing'. Returns true only for the caller that did it.
+ */
+export async function startDraw(id) {
+  const { data } = await supabase.from('giveaways')
+    .update({ status: 'drawing', drawn_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'active')
+    .select('id')
+    .maybeSingle();
+  return !!data;
+}
+
+/**
+ * Mark drawn entries as winners (in draw order) and every other entry as lost.
+ */
+export async function recordDrawResults(giveawayId, winnerIds) {
+  for (const [i, id] of winnerIds.entries()) {
+    await supabase.from('giveaway_claims').update({ status: 'won', draw_rank: i + 1 }).eq('id', id).eq('status', 'entered');
+  }
+  await supabase.from('giveaway_claims').update({ status: 'lost' }).eq('giveaway_id', giveawayId).eq('status', 'entered');
+}
+
+/**
+ * Close a giveaway that is still in `from` (active, drawing or draft).
+ * Returns true only for the caller that closed it.
+ */
+export async function finishGiveaway(id, status, reason, from = 'active') {
+  const { data } = await supabase.from('giveaways')
+    .update({ status, end_reason: reason || null, ended_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', from)
+    .select('id')
+    .maybeSingle();
+  return !!data;
+}
+
+// ============ Eligibility ============
+
+/**
+ * Remember when a user was first seen in a chat (join event or first message).
+ * Telegram doesn't expose join dates, so "member for N days" is measured from here.
+ */
+export async function recordChatMember(chatId, telegramUserId, seenAt = new Date()) {
+  const { error } = await supabase.from('chat_members_seen').upsert(
+    { chat_id: String(chatId), telegram_user_id: String(telegramUserId), first_seen_at: seenAt.toISOString() },
+    { onConflict: 'chat_id,telegram_user_id', ignoreDuplicates: true },
+  );
+  if (error) console.error('[Giveaway] Member record error:', error.message);
+}
+
+export async function firstSeenInChat(chatId, telegramUserId) {
+  const { data } = await supabase.from('chat_members_seen')
+    .select('first_seen_at')
+    .eq('chat_id', String(chatId))
+    .eq('telegram_user_id', String(telegramUserId))
+    .maybeSingle();
+  return data ? new Date(data.first_seen_at) : null;
+}
@@ -0,0 +1,93 @@
+/**
+ * MoniBot Telegram - Payment Guardrails
+ *
+ * Pre-flight checks before a router call is broadcast:
+ * - Amount bounds per chain (registry `minAmount` / `maxAmount`)
+ * - Executor gas: the executor's native balance must stay above the chain's
+ *   `minExecutorBalance`; when it doesn't, sends stop on that chain and the
+ *   onLowGas hook fires (at most once per LOW_GAS_ALERT_MIN per chain)
+ * - Network cost: router fee + executor gas as a fraction of the amount. Above
+ *   FEE_WARN_FRACTION the sender is warned before confirming; above
+ *   FEE_MAX_FRACTION the payment is refused.
+ */
+
+import { formatUnits } from 'viem';
+import { CHAINS, chainLabel } from './chains.js';
+
+const FEE_WARN_FRACTION = parseFloat(process.env.FEE_WARN_FRACTION || '0.1');
+const FEE_MAX_FRACTION = parseFloat(process.env.FEE_MAX_FRACTION || '0.5');
+const LOW_GAS_ALERT_MS = parseInt(process.env.LOW_GAS_ALERT_MIN || '30') * 60000;
+const BALANCE_CACHE_MS = 30000;
+
+// Typical executeP2P gas use, for quotes before an exact estimate exists
+export const TYPICAL_GAS_UNITS = 120000n;
+
+const executorBalances = new Map(); // chain → { balance: number, at: number }
+const lastLowGasAlert = new Map();  // chain → timestamp
+let hooks = { onLowGas: null };
+
+/**
+ * @param {{ onLowGas?: (info: { chain: string, balance: number, floor: number, symbol: string }) => Promise<void> }} options
+ */
+export function configureGuardrails(options) {
+  hooks = { ...hooks, ...options };
+}
+
+/**
+ * @returns {string|null} Why the amount can't go out on this chain, or null if it can
+ */
+export function amountBoundsError(chain, amount) {
+  const config = CHAINS[chain];
+  if (!config) return null;
+  if (config.minAmount && amount < config.minAmount) return `Minimum on ${chainLabel(chain)} is $${config.minAmount.toFixed(2)}`;
+  if (config.maxAmount && amount > config.maxAmount) return `Maximum on ${chainLabel(chain)} is $${config.maxAmount.toFixed(2)}`;
+  return null;
+}
+
+/**
+ * USD cost of `gasUnits` at `gasPrice` (0 when the chain has no `nativeUsd`).
+ */
+export function gasCostUsd(chain, gasUnits, gasPrice) {
+  const config = CHAINS[chain];
+  if (!config?.nativeUsd) return 0;
+  return parseFloat(formatUnits(gasUnits * gasPrice, config.chain.nativeCurrency.decimals)) * config.nativeUsd;
+}
+
+/**
+ * Weigh router fee + gas against the amount.
+ * @returns {{ level: 'ok'|'warn'|'refuse', fraction: number, cost: number, message: string|null }}
+ */
+export function assessNetworkCost(amount, routerFee, gasUsd) {
+  const cost = routerFee + gasUsd;
+  const fraction = amount > 0 ? cost / amount : 1;
+  const pct = `${Math.round(fraction * 100)}%`;
+  if (fraction >= FEE_MAX_FRACTION) return { level: 'refuse', fraction, cost, message: `Fees would eat ${pct} of this payment ($${cost.toFixed(2)})` };
+  if (fraction >= FEE_WARN_FRACTION) return { level: 'warn', fraction, cost, message: `Fees are ${pct} of this payment ($${cost.toFixed(2)})` };
+  return { level: 'ok', fraction, cost, message: null };
+}
+
+/**
+ * Check the executor can pay for gas on a chain (balance cached briefly).
+ * @returns {Promise<{ ok: boolean, balance: number, floor: number }>}
+ */
+export async function checkExecutorGas(chain, pub, address) {
+  const config = CHAINS[chain];
+  const floor = config?.minExecutorBalance || 0;
+  if (!floor) return { ok: true, balance: null, floor };
+
+  let cached = executorBalances.get(chain);
+  if (!cached || Date.now() - cached.at > BALANCE_CACHE_MS) {
+    const wei = await pub.getBalance({ address });
+    cached = { balance: parseFloat(formatUnits(wei, config.chain.nativeCurrency.decimals)), at: Date.now() };
+    executorBalances.set(chain, cached);
+  }
+
+  if (cached.balance >= floor) return { ok: true, balance: cached.balance, floor };
+
+  if (hooks.onLowGas && Date.now() - (lastLowGasAlert.get(chain) || 0) > LOW_GAS_ALERT_MS) {
+    lastLowGasAlert.set(chain, Date.now());
+    hooks.onLowGas({ chain, balance: cached.balance, floor, symbol: config.chain.nativeCurrency.symbol })
+      .catch(e => console.error('[Guardrails] Low gas alert failed:', e.message));
+  }
+  return { ok: false, balance: cached.balance, floor };
+}
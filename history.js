@@ -0,0 +1,161 @@
+/**
+ * MoniBot Telegram - Transaction History
+ *
+ * Reads a profile's sent and received rows from `monibot_transactions`:
+ * - Filters by chain, date range and counterparty pay_tag
+ * - Paginated pages for /history and full-range CSV export
+ * - Compact filter encoding that fits in Telegram callback_data (64 bytes)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { chainForWord } from './chains.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const PAGE_SIZE = 10;
+const EXPORT_CHUNK = 1000;
+const EXPORT_MAX_ROWS = 20000;
+const DAY_MS = 86400000;
+
+// ============ Filters ============
+
+/**
+ * Parse /history arguments, e.g. "bsc @alice 30d" or "since 2026-01-01 until 2026-03-31".
+ * @returns {{ chain: string|null, since: Date|null, until: Date|null, counterparty: string|null }}
+ */
+export function parseHistoryFilters(text = '') {
+  const filters = { chain: null, since: null, until: null, counterparty: null };
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i].toLowerCase();
+    const next = tokens[i + 1];
+
+    if (t.startsWith('@') && t.length > 1) filters.counterparty = t.slice(1);
+    else if (/^\d+d$/.test(t)) filters.since = new Date(Date.now() - parseInt(t) * DAY_MS);
+    else if ((t === 'since' || t === 'from') && next && !isNaN(Date.parse(next))) { filters.since = new Date(`${next}T00:00:00Z`); i++; }
+    else if ((t === 'until' || t === 'to') && next && !isNaN(Date.parse(next))) { filters.until = new Date(`${next}T23:59:59Z`); i++; }
+    else if (chainForWord(t)) filters.chain = chainForWord(t);
+  }
+
+  return filters;
+}
+
+// callback_data is capped at 64 bytes and "hist:<page>:" takes up to 10 of them
+const ENCODED_MAX_BYTES = 50;
+
+const toDays = (d) => (d ? Math.floor(d.getTime() / DAY_MS).toString(36) : '');
+const fromDays = (s, endOfDay) => (s ? new Date(parseInt(s, 36) * DAY_MS + (endOfDay ? DAY_MS - 1 : 0)) : null);
+
+/**
+ * Encode filters as "chain:since:until:tag" (dates as base36 day numbers). A tag too long
+ * for callback_data is written as "~" and read back from the /history command instead.
+ */
+export function encodeHistoryFilters(f) {
+  const encoded = [f.chain || '', toDays(f.since), toDays(f.until), f.counterparty || ''].join(':');
+  if (Buffer.byteLength(encoded) <= ENCODED_MAX_BYTES) return encoded;
+  return [f.chain || '', toDays(f.since), toDays(f.until), '~'].join(':');
+}
+
+/**
+ * @param {string} encoded - encodeHistoryFilters() output
+ * @param {string} [commandText] - the /history message, for a tag encoded as "~"
+ */
+export function decodeHistoryFilters(encoded = '', commandText = '') {
+  const [chain, since, until, counterparty] = encoded.split(':');
+  const tag = counterparty === '~' ? parseHistoryFilters(commandText).counterparty : counterparty || null;
+  return { chain: chain || null, since: fromDays(since, false), until: fromDays(until, true), counterparty: tag };
+}
+
+export function describeHistoryFilters(f) {
+  const parts = [];
+  if (f.chain) parts.push(f.chain.toUpperCase());
+  if (f.counterparty) parts.push(`with @${f.counterparty}`);
+  if (f.since) parts.push(`from ${f.since.toISOString().slice(0, 10)}`);
+  if (f.until) parts.push(`to ${f.until.toISOString().slice(0, 10)}`);
+  return parts.join(' · ');
+}
+
+// ============ Queries ============
+
+function historyQuery(profileId, f, options) {
+  let query = supabase.from('monibot_transactions').select('*', options);
+
+  if (f.counterparty) {
+    const tag = f.counterparty.replace(/[,()]/g, '');
+    query = query.or(`and(sender_id.eq.${profileId},recipient_pay_tag.ilike.${tag}),and(receiver_id.eq.${profileId},payer_pay_tag.ilike.${tag})`);
+  } else {
+    query = query.or(`sender_id.eq.${profileId},receiver_id.eq.${profileId}`);
+  }
+  if (f.chain) query = query.eq('chain', f.chain.toUpperCase());
+  if (f.since) query = query.gte('created_at', f.since.toISOString());
+  if (f.until) query = query.lte('created_at', f.until.toISOString());
+
+  return query.order('created_at', { ascending: false });
+}
+
+/**
+ * Fetch one page (0-based) of history.
+ * @returns {Promise<{rows: object[], total: number, pages: number}>}
+ */
+export async function fetchHistoryPage(profileId, filters, page) {
+  const from = page * PAGE_SIZE;
+  const { data, count, error } = await historyQuery(profileId, filters, { count: 'exact' }).range(from, from + PAGE_SIZE - 1);
+  if (error) throw new Error(`History lookup failed: ${error.message}`);
+  const total = count || 0;
+  return { rows: data || [], total, pages: Math.max(1, Math.ceil(total / PAGE_SIZE)) };
+}
+
+/**
+ * Fetch every matching row (capped) for export.
+ */
+export async function fetchAllHistory(profileId, filters) {
+  const rows = [];
+  for (let from = 0; from < EXPORT_MAX_ROWS; from += EXPORT_CHUNK) {
+    const { data, error } = await historyQuery(profileId, filters).range(from, from + EXPORT_CHUNK - 1);
+    if (error) throw new Error(`History export failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < EXPORT_CHUNK) break;
+  }
+  return rows;
+}
+
+// ============ Formatting ============
+
+/**
+ * Normalize a row from the point of view of `profileId`.
+ */
+export function describeHistoryRow(row, profileId) {
+  const sent = row.sender_id === profileId;
+  // Payments to raw addresses / names have no recipient profile, only recipient_address
+  const external = sent && !row.recipient_pay_tag && !!row.recipient_address;
+  return {
+    direction: sent ? 'sent' : 'received',
+    counterparty: external ? row.recipient_address : sent ? row.recipient_pay_tag : row.payer_pay_tag,
+    external,
+    amount: parseFloat(row.amount) || 0,
+    fee: parseFloat(row.fee) || 0,
+    chain: (row.chain || '').toLowerCase(),
+  };
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Build a CSV document. `explorerUrl(chain, hash)` returns a link or null.
+ */
+export function historyToCsv(rows, profileId, explorerUrl) {
+  const header = ['date', 'direction', 'amount', 'fee', 'counterparty', 'chain', 'type', 'status', 'tx_hash', 'explorer_url'];
+  const lines = [header.join(',')];
+  for (const row of rows) {
+    const d = describeHistoryRow(row, profileId);
+    lines.push([
+      row.created_at, d.direction, d.amount.toFixed(6), d.fee.toFixed(6), d.counterparty, d.chain,
+      row.type, row.status, row.tx_hash, row.tx_hash ? explorerUrl(d.chain, row.tx_hash) : '',
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\n');
+}
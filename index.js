@@ -5,28 +5,55 @@
  * - Natural language command parsing ("yo send 5 bucks to alice")
  * - Conversational AI personality (answers questions about MoniPay)
  * - Smart intent detection with regex fallback
- * - /send, /pay, /balance, /link, /help, /giveaway
+ * - /send, /pay, /balance, /link, /help, /giveaway, /settings
+ * - /admin status | pause | resume | jobs for operators (OPERATOR_TELEGRAM_IDS)
  * - Inline @monibot commands in groups
- * - Multi-chain support (Base, BSC, Tempo)
+ * - Multi-chain support from the chain registry (Base, BSC, Tempo by default)
  */
 
 import 'dotenv/config';
 import TelegramBot from 'node-telegram-bot-api';
 import express from 'express';
+import { randomBytes, timingSafeEqual } from 'crypto';
 import { createClient } from '@supabase/supabase-js';
-import { createPublicClient, createWalletClient, http, parseUnits, formatUnits, erc20Abi, encodeFunctionData } from 'viem';
-import { aiParseCommand, aiChat, aiTransactionReply } from './ai.js';
-import { findAlternateChain } from './crossChainCheck.js';
-import { base, bsc } from 'viem/chains';
-import { privateKeyToAccount } from 'viem/accounts';
+import { parseUnits, formatUnits, erc20Abi, encodeFunctionData } from 'viem';
+import { aiParseCommand, aiChat, aiTransactionReply, invokeEdgeFunction, configureAi, aiHealth } from './ai.js';
+import { findAlternateChain, getMultiChainFunds, CHECK_CHAINS } from './crossChainCheck.js';
+import { rpcClients, rpcPoolStats, startRpcProbes, stopRpcProbes, configureRpcPool } from './rpcPool.js';
+import { planRoute } from './routing.js';
+import { configureGuardrails, amountBoundsError, assessNetworkCost, checkExecutorGas, gasCostUsd, TYPICAL_GAS_UNITS } from './guardrails.js';
+import { CHAINS, CHAIN_KEYS, DEFAULT_CHAIN, detectChain, matchChain, chainForWord, chainLabel, chainSymbol, explorerTxUrl } from './chains.js';
+import { startScheduler, stopScheduler, getJobOverview } from './scheduler.js';
+import { configureOps, loadOpsState, startOpsRefresh, stopOpsRefresh, transfersPaused, setTransfersPaused, noteRevert, REVERT_ALERT_WINDOW_MIN } from './ops.js';
+import { getChatSettings, updateChatSettings, settingsChange, chainAllowed, allowedChains } from './chatSettings.js';
+import { checkSpendLimits, getSpendUsage } from './limits.js';
+import { TransferError, transferFailure, failureFromError, failureMessage, failureReplyType, isFundingError, isRefusal, isHeld } from './errors.js';
+import { broadcastTransaction, waitForTransaction, withSenderLock, txQueueStats, SEND_LEASE_MS } from './txQueue.js';
+import { findTransferByKey, recordSubmittedTransaction, recordFinalTransaction, updateTransactionHashes, resolveTransaction, listUnresolvedTransactions, listCommandTransfers, commandStatus, refreshCommandStatus, markStalledCommands } from './transactions.js';
+import { parseRequestCommand, REQUEST_DEFAULT_EXPIRY_MS, createPaymentRequest, setRequestMessage, listOpenRequests, claimRequestForPayment, listStalledRequests, settleRequestPayment, declineRequest, cancelRequest } from './requests.js';
+import { parseSplitCommand, SELF, createSplit, setSplitMessage, getSplitWithRequests, isSplitSettled, markSplitSettled } from './splits.js';
+import { GIVEAWAY_DURATION_MS, parseGiveawayCommand, newGiveawaySeed, seedCommitment, drawWinners, hashAnswer, isCorrectAnswer, createGiveaway, setGiveawayMessage, loadActiveGiveaways, setQuizPrompt, activateQuiz, markInterruptedClaims, listDeferredClaims, lockClaim, isDrawAbandoned, getClaims, reserveClaim, updateClaim, addRaffleEntry, startDraw, recordDrawResults, finishGiveaway, recordChatMember, firstSeenInChat } from './giveaways.js';
+import { createPendingClaim, setClaimMessage, heldAmount, findClaimableFor, startClaimPayout, finishClaimPayout, cancelPendingClaim, expirePendingClaims, markInterruptedClaimPayouts, ESCROW_EXPIRY_MS } from './escrow.js';
+import { ADDRESS_PATTERN, NAME_PATTERN, isValidAlias, targetKind, shortAddress, checkAddress, resolveName, resolvePaymentTarget, listAddressBook, hasAddressBookAlias, saveAddressBookEntry, removeAddressBookEntry } from './addresses.js';
+import { parseHistoryFilters, encodeHistoryFilters, decodeHistoryFilters, describeHistoryFilters, fetchHistoryPage, fetchAllHistory, describeHistoryRow, historyToCsv } from './history.js';
+import { parseRecurrence, validateRule, describeRule, createRecurring, getRecurring, listRecurring, recordRecurringRun, setRecurringStatus, MAX_CONSECUTIVE_FAILURES } from './recurring.js';
+import { savePrompt, getPrompt, takePrompt, takeExpiredPrompts } from './prompts.js';
 
 const PORT = process.env.PORT || 3000;
+
+// Webhook mode is opt-in: set TELEGRAM_WEBHOOK_URL (public base URL) and TELEGRAM_WEBHOOK_SECRET
+const WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL;
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+const WEBHOOK_PATH = process.env.TELEGRAM_WEBHOOK_PATH || '/telegram/webhook';
+const USE_WEBHOOK = !!WEBHOOK_URL;
+// Off by default: during a rolling deploy the old process stopping would unregister the new one's webhook
+const WEBHOOK_DELETE_ON_SHUTDOWN = process.env.TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN === 'true';
 const MONIBOT_PROFILE_ID = process.env.MONIBOT_PROFILE_ID || '0cb9ca32-7ef2-4ced-8389-9dbca5156c94';
 
 // ============ Express Health ============
 
 const app = express();
-app.get('/health', (req, res) => res.json({ status: 'ok', platform: 'telegram', uptime: process.uptime() }));
+app.get('/health', (req, res) => res.json({ status: 'ok', platform: 'telegram', mode: USE_WEBHOOK ? 'webhook' : 'polling', uptime: process.uptime(), transfersPaused: !!transfersPaused(), txQueue: txQueueStats(), rpc: rpcPoolStats(), ai: aiHealth() }));
 app.listen(PORT, () => console.log(`🚀 Health on port ${PORT}`));
 
 // ============ Supabase ============
@@ -43,15 +70,7 @@ function builderSuffix() {
   return `8021${padded.toString('hex')}8021`;
 }
 
-// ============ Chain Configs ============
-
-const CHAINS = {
-  base: { chain: base, rpcs: [process.env.BASE_RPC_URL, 'https://base-rpc.publicnode.com', 'https://base.drpc.org', 'https://mainnet.base.org'].filter(Boolean), router: '0xBEE37c2f3Ce9a48D498FC0D47629a1E10356A516', token: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6, symbol: 'USDC', builder: true },
-  bsc: { chain: bsc, rpcs: ['https://bsc-dataseed.binance.org', 'https://bsc-rpc.publicnode.com', 'https://bsc-dataseed1.defibit.io'], router: '0x9EED16952D734dFC84b7C4e75e9A3228B42D832E', token: '0x55d398326f99059fF775485246999027B3197955', decimals: 18, symbol: 'USDT', builder: false },
-  tempo: { chain: { id: 42431, name: 'Tempo', nativeCurrency: { name: 'USD', symbol: 'USD', decimals: 18 }, rpcUrls: { default: { http: ['https://rpc.moderato.tempo.xyz'] } } }, rpcs: [process.env.TEMPO_RPC_URL, 'https://rpc.moderato.tempo.xyz'].filter(Boolean), router: '0x78A824fDE7Ee3E69B2e2Ee52d1136EECD76749fc', token: '0x20c0000000000000000000000000000000000001', decimals: 6, symbol: 'αUSD', builder: false },
-};
-
-const rpcIndexes = { base: 0, bsc: 0, tempo: 0 };
+// ============ Chain Clients ============
 
 const routerAbi = [
   { name: 'executeP2P', type: 'function', stateMutability: 'nonpayable', inputs: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }, { name: 'nonce', type: 'uint256' }, { name: 'tweetId', type: 'string' }], outputs: [{ name: '', type: 'bool' }] },
@@ -60,23 +79,8 @@ const routerAbi = [
 ];
 
 function getClients(chain) {
-  const c = CHAINS[chain];
-  const rpcIdx = Math.min(rpcIndexes[chain] || 0, c.rpcs.length - 1);
-  const rpc = c.rpcs[rpcIdx];
-  return {
-    pub: createPublicClient({ chain: c.chain, transport: http(rpc, { retryCount: 3 }) }),
-    wallet: createWalletClient({ account: privateKeyToAccount(process.env.MONIBOT_PRIVATE_KEY), chain: c.chain, transport: http(rpc, { retryCount: 3 }) }),
-    config: c,
-  };
-}
-
-function rotateRpc(chain) {
-  const c = CHAINS[chain];
-  if (!c) return;
-  if ((rpcIndexes[chain] || 0) < c.rpcs.length - 1) {
-    rpcIndexes[chain] = (rpcIndexes[chain] || 0) + 1;
-    console.log(`  🔁 RPC failover [${chain}] → ${c.rpcs[rpcIndexes[chain]]}`);
-  }
+  const { pub, wallet } = rpcClients(chain);
+  return { pub, wallet, config: CHAINS[chain] };
 }
 
 // ============ DB Helpers ============
@@ -86,14 +90,51 @@ async function getProfileByTelegramId(telegramId) {
   return data;
 }
 
+async function getProfileById(id) {
+  const { data } = await supabase.from('profiles').select('*').eq('id', id).maybeSingle();
+  return data;
+}
+
 async function getProfileByMonitag(tag) {
   const { data } = await supabase.from('profiles').select('*').ilike('pay_tag', tag.replace('@', '').toLowerCase()).maybeSingle();
   return data;
 }
 
-async function isProcessed(msgId) {
-  const { data } = await supabase.from('platform_commands').select('id').eq('platform', 'telegram').eq('platform_message_id', String(msgId)).maybeSingle();
-  return !!data;
+/**
+ * Atomically claim a chat message before acting on it. False when it was already
+ * claimed (a redelivered update, or one a previous process handled), or when the
+ * claim couldn't be stored; the user is told in that case.
+ */
+async function claimCommand(msg, type) {
+  const { error } = await supabase.from('platform_commands').insert({
+    platform: 'telegram',
+    platform_message_id: String(msg.message_id),
+    platform_user_id: String(msg.from.id),
+    platform_channel_id: String(msg.chat.id),
+    platform_server_id: msg.chat.type !== 'private' ? String(msg.chat.id) : null,
+    command_type: type,
+    command_text: msg.text || '',
+    status: 'received',
+  });
+  if (!error) return true;
+
+  // A real duplicate is this chat's row. Otherwise the same message id from another chat hit
+  // the old (platform, platform_message_id) unique index, which has to be dropped (see README).
+  if (error.code === '23505' && (await getCommand(msg))) return false;
+  console.error('[Commands] Claim error:', error.code === '23505' ? `message id taken by another chat, drop the old unique index (${error.message})` : error.message);
+  // Fail closed (better to drop a command than pay it twice), but say so
+  await bot.sendMessage(msg.chat.id, "❌ I couldn't register this command, so nothing was done. Please try again in a minute.", { reply_to_message_id: msg.message_id }).catch(() => {});
+  return false;
+}
+
+async function getCommand(msg) {
+  const { data } = await supabase.from('platform_commands')
+    .select('command_type, status')
+    .eq('platform', 'telegram')
+    .eq('platform_channel_id', String(msg.chat.id))
+    .eq('platform_message_id', String(msg.message_id))
+    .maybeSingle();
+  return data;
 }
 
 async function logCmd(msg, type, amount, recipients, chain, status, profileId) {
@@ -110,16 +151,67 @@ async function logCmd(msg, type, amount, recipients, chain, status, profileId) {
     chain,
     status,
     profile_id: profileId,
-  }, { onConflict: 'platform,platform_message_id' });
+  }, { onConflict: 'platform,platform_channel_id,platform_message_id' });
+}
+
+/**
+ * Final status for a command from its transfer results: completed / partial / failed,
+ * or submitted while a transfer is still unconfirmed (the reconciler finishes it).
+ */
+async function logCmdOutcome(msg, cmd, sender, results) {
+  const status = commandStatus(results.map(r => ({ status: r.ok ? 'completed' : r.pending ? 'submitted' : 'failed' })));
+  await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, status, sender.id);
+}
+
+// ============ Schedule Management ============
+
+async function getPendingSchedules(telegramId) {
+  const { data } = await supabase.from('scheduled_jobs')
+    .select('*')
+    .eq('status', 'pending')
+    .eq('source_author_id', String(telegramId))
+    .eq('payload->>platform', 'telegram')
+    .is('payload->>recurringId', null)
+    .order('scheduled_at', { ascending: true });
+  return data || [];
+}
+
+/**
+ * Cancel a pending job. Only succeeds for the Telegram user who created it
+ * and only while the scheduler hasn't claimed it yet.
+ */
+async function cancelScheduledJob(jobId, telegramId) {
+  const { data } = await supabase.from('scheduled_jobs')
+    .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .eq('source_author_id', String(telegramId))
+    .select('id')
+    .maybeSingle();
+  return !!data;
+}
+
+function shortId(id) {
+  return String(id).slice(0, 8);
+}
+
+function findByShortId(jobs, id) {
+  const needle = id.toLowerCase();
+  return jobs.find(j => String(j.id).toLowerCase().startsWith(needle)) || null;
+}
+
+function describeScheduledCommand(cmd) {
+  if (!cmd) return 'Unknown command';
+  if (cmd.type === 'giveaway') return `🎁 Giveaway $${cmd.amount} to the first ${cmd.maxParticipants}`;
+  const each = cmd.recipients?.length > 1 ? ' each' : '';
+  return `💸 $${cmd.amount}${each} to ${(cmd.recipients || []).map(t => `@${t}`).join(', ')}`;
 }
 
 // ============ Schedule Detection via Edge Function ============
 
 async function parseScheduleViaEdge(text) {
   try {
-    const { data, error } = await supabase.functions.invoke('parse-schedule', {
-      body: { text, platform: 'telegram' },
-    });
+    const { data, error } = await invokeEdgeFunction('parse-schedule', { text, platform: 'telegram' });
 
     if (error) {
       console.error('[Schedule] Edge function error:', error.message);
@@ -168,13 +260,566 @@ function parseSimpleScheduleFallback(text) {
   };
 }
 
+// ============ Balances ============
+
+const UNLIMITED_ALLOWANCE = 1e12;
+
+/**
+ * Reply with balance and remaining MoniBot allowance on every chain
+ * (or just `chain`), plus a USD total.
+ */
+async function replyWithBalances(msg, profile, chain) {
+  const funds = await getMultiChainFunds(profile.wallet_address, chain ? [chain] : CHECK_CHAINS);
+
+  let reply = `💰 *Balances for @${profile.pay_tag}*\n\n`;
+  let total = 0;
+  for (const f of funds) {
+    if (f.error) { reply += `*${chainLabel(f.chain)}* — ⚠️ unavailable right now\n`; continue; }
+    total += f.balance;
+    const allowance = f.allowance >= UNLIMITED_ALLOWANCE ? 'unlimited' : `${f.allowance.toFixed(2)} ${f.symbol}`;
+    reply += `*${chainLabel(f.chain)}* — ${f.balance.toFixed(2)} ${f.symbol}\n`;
+    reply += `   🔓 Allowance: ${allowance}${f.balance > 0 && f.allowance < f.balance ? ' ⚠️' : ''}\n`;
+  }
+  reply += `\n💵 *Total:* $${total.toFixed(2)}`;
+
+  if (funds.some(f => !f.error && f.balance > 0 && f.allowance < f.balance)) {
+    reply += `\n\n_⚠️ Allowance below balance limits what MoniBot can send. Raise it at monipay.lovable.app → Settings → MoniBot AI_`;
+  }
+
+  await bot.sendMessage(msg.chat.id, reply, { parse_mode: 'Markdown' });
+}
+
+// ============ History ============
+
+/**
+ * Render one page of history as Markdown plus Prev/Next keyboard.
+ */
+async function renderHistoryPage(profile, filters, page) {
+  const { rows, total, pages } = await fetchHistoryPage(profile.id, filters, page);
+  const filterDesc = describeHistoryFilters(filters);
+
+  let text = `📜 *History for @${profile.pay_tag}*${filterDesc ? `\n_${filterDesc}_` : ''}\n\n`;
+  if (!rows.length) text += 'No transactions found.';
+  for (const row of rows) {
+    const d = describeHistoryRow(row, profile.id);
+    const who = d.external ? shortAddress(d.counterparty) : `@${d.counterparty}`;
+    const arrow = d.direction === 'sent' ? `📤 $${d.amount.toFixed(2)} → ${who}` : `📥 $${d.amount.toFixed(2)} ← ${who}`;
+    const url = row.tx_hash ? explorerTxUrl(d.chain, row.tx_hash) : null;
+    const tx = row.tx_hash ? (url ? `[${row.tx_hash.substring(0, 10)}…](${url})` : `\`${row.tx_hash.substring(0, 10)}…\``) : '';
+    text += `${arrow} · ${d.chain.toUpperCase()}${d.fee ? ` · fee $${d.fee.toFixed(2)}` : ''}\n`;
+    text += `   ${new Date(row.created_at).toUTCString().slice(5, 22)} ${tx}\n`;
+  }
+  if (total) text += `\n_Page ${page + 1}/${pages} · ${total} transactions_`;
+
+  const encoded = encodeHistoryFilters(filters);
+  const nav = [];
+  if (page > 0) nav.push({ text: '◀️ Prev', callback_data: `hist:${page - 1}:${encoded}` });
+  if (page + 1 < pages) nav.push({ text: 'Next ▶️', callback_data: `hist:${page + 1}:${encoded}` });
+
+  return { text, keyboard: nav.length ? { inline_keyboard: [nav] } : undefined };
+}
+
+async function handleHistoryCallback(query, data) {
+  // Only the person who ran /history can page through it
+  if (query.message.reply_to_message?.from?.id !== query.from.id) {
+    await bot.answerCallbackQuery(query.id, { text: 'Run /history to see your own transactions.', show_alert: true });
+    return;
+  }
+
+  const profile = await getProfileByTelegramId(query.from.id);
+  if (!profile) { await bot.answerCallbackQuery(query.id, { text: 'Not linked. Use /link first.', show_alert: true }); return; }
+
+  const [pageStr, ...encoded] = data.split(':');
+  const filters = decodeHistoryFilters(encoded.join(':'), query.message.reply_to_message.text);
+  const page = await renderHistoryPage(profile, filters, Math.max(0, parseInt(pageStr) || 0));
+  await bot.answerCallbackQuery(query.id);
+  await bot.editMessageText(page.text, { chat_id: query.message.chat.id, message_id: query.message.message_id, parse_mode: 'Markdown', disable_web_page_preview: true, reply_markup: page.keyboard });
+}
+
+/**
+ * DM the full history range as a CSV document.
+ */
+async function exportHistory(msg, profile, filters) {
+  const rows = await fetchAllHistory(profile.id, filters);
+  if (!rows.length) { await bot.sendMessage(msg.chat.id, '📭 No transactions to export.'); return; }
+
+  const csv = historyToCsv(rows, profile.id, explorerTxUrl);
+  const filename = `monibot-history-${profile.pay_tag}-${new Date().toISOString().slice(0, 10)}.csv`;
+  const filterDesc = describeHistoryFilters(filters);
+
+  try {
+    await bot.sendDocument(msg.from.id, Buffer.from(csv, 'utf8'), { caption: `📜 ${rows.length} transactions${filterDesc ? ` (${filterDesc})` : ''}` }, { filename, contentType: 'text/csv' });
+  } catch (e) {
+    console.error('❌ History export DM failed:', e.message);
+    await bot.sendMessage(msg.chat.id, '❌ I couldn\'t DM you. Start a private chat with me first, then run `/history export` again.', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  if (msg.chat.type !== 'private') await bot.sendMessage(msg.chat.id, '📬 Sent your history export to your DMs.');
+}
+
+// ============ Payment Requests ============
+
+function remainingOnRequest(req) {
+  return Math.max(0, parseFloat(req.amount) - (parseFloat(req.amount_paid) || 0));
+}
+
+function requestStatusText(req) {
+  const symbol = chainSymbol(req.chain);
+  let text = `💸 *Payment request* \`${shortId(req.id)}\`\n\n`;
+  text += `@${req.requester_pay_tag} asks @${req.payer_pay_tag} for *$${parseFloat(req.amount).toFixed(2)}* (${symbol} on ${chainLabel(req.chain)})\n`;
+  if (req.memo) text += `📝 ${req.memo}\n`;
+
+  const paid = parseFloat(req.amount_paid) || 0;
+  const status = {
+    open: `⏳ Open — expires ${new Date(req.expires_at).toUTCString()}`,
+    partial: `🟡 Partially paid: $${paid.toFixed(2)} of $${parseFloat(req.amount).toFixed(2)}`,
+    processing: '🔄 Payment in progress…',
+    paid: '✅ Paid',
+    declined: '❌ Declined',
+    cancelled: '🗑 Cancelled by requester',
+    expired: '⌛ Expired',
+  }[req.status] || req.status;
+  return `${text}\n${status}`;
+}
+
+function requestKeyboard(req) {
+  if (!['open', 'partial'].includes(req.status)) return { inline_keyboard: [] };
+  return { inline_keyboard: [[{ text: `💸 Pay $${remainingOnRequest(req).toFixed(2)}`, callback_data: `req_pay:${req.id}` }, { text: '✖️ Decline', callback_data: `req_decline:${req.id}` }]] };
+}
+
+/**
+ * Send the Pay / Decline prompt to the payer: DM if their Telegram is linked,
+ * otherwise a mention in the group. Returns 'dm' or 'group'.
+ */
+async function notifyRequestPayer(req, groupChatId) {
+  if (await dmRequestPayer(req)) return 'dm';
+
+  const options = { parse_mode: 'Markdown', reply_markup: requestKeyboard(req) };
+  const mention = req.payer_telegram_id ? `[@${req.payer_pay_tag}](tg://user?id=${req.payer_telegram_id})` : `@${req.payer_pay_tag}`;
+  const sent = await bot.sendMessage(groupChatId, `${mention} 👇\n\n${requestStatusText(req)}`, options);
+  await setRequestMessage(req.id, groupChatId, sent.message_id);
+  return 'group';
+}
+
+/**
+ * DM the Pay / Decline prompt if the payer has linked Telegram. Returns true if sent.
+ */
+async function dmRequestPayer(req) {
+  if (!req.payer_telegram_id) return false;
+  try {
+    const sent = await bot.sendMessage(req.payer_telegram_id, requestStatusText(req), { parse_mode: 'Markdown', reply_markup: requestKeyboard(req) });
+    await setRequestMessage(req.id, req.payer_telegram_id, sent.message_id);
+    return true;
+  } catch (e) {
+    console.warn(`  ⚠️ Request DM to @${req.payer_pay_tag} failed: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Re-render the payer's prompt message (and its bill split summary, if any)
+ * to reflect the current status.
+ */
+async function refreshRequestMessage(req) {
+  if (req.notify_chat_id && req.notify_message_id) {
+    await bot.editMessageText(requestStatusText(req), {
+      chat_id: req.notify_chat_id,
+      message_id: Number(req.notify_message_id),
+      parse_mode: 'Markdown',
+      reply_markup: requestKeyboard(req),
+    }).catch(() => {});
+  }
+  if (req.split_id) await refreshSplitSummary(req.split_id);
+}
+
+/**
+ * Tell the requester (in the chat where they asked) about a payment or decline,
+ * unless that's the chat the action just happened in.
+ */
+async function notifyRequestUpdate(req, actionChatId) {
+  if (String(req.chat_id) === String(actionChatId)) return;
+  await bot.sendMessage(req.chat_id, requestStatusText(req), { parse_mode: 'Markdown' }).catch(e => console.warn(`  ⚠️ Request update notify failed: ${e.message}`));
+}
+
+/**
+ * Pay a request (fully, or `partialAmount` of what's left) through the shared
+ * P2P path. Returns { error } if the request can't be paid by this user.
+ */
+async function payPaymentRequest(chat, from, requestId, partialAmount) {
+  const payer = await getProfileByTelegramId(from.id);
+  if (!payer) return { error: 'Not linked. Use /link first.' };
+
+  const payMsg = { message_id: `req_${shortId(requestId)}_${Date.now().toString(36)}`, text: `request ${requestId}`, chat, from };
+  const req = await claimRequestForPayment(requestId, payer.id, { channelId: chat.id, messageId: payMsg.message_id });
+  if (req.error) return req;
+
+  const remaining = remainingOnRequest(req);
+  const amount = partialAmount ? Math.min(partialAmount, remaining) : remaining;
+
+  let result = null;
+  try {
+    const results = await executeP2PCommand(payMsg, { type: 'p2p', amount, recipients: [req.requester_pay_tag], chain: req.chain || DEFAULT_CHAIN, chainExplicit: true, interactive: false });
+    result = results?.[0] || null;
+  } finally {
+    // An unconfirmed payment most likely lands: count it so nobody pays twice
+    const paid = result?.ok || result?.pending;
+    const updated = await settleRequestPayment(req, paid ? amount : 0, result?.hash);
+    await refreshRequestMessage(updated);
+    if (paid) await notifyRequestUpdate(updated, chat.id);
+  }
+  return { ok: !!(result?.ok || result?.pending) };
+}
+
+/**
+ * Requests a stopped process left 'processing' past the send lease: count what their
+ * payment sent (an unconfirmed transfer most likely lands), then reopen or close them.
+ */
+async function recoverStalledRequests() {
+  for (const req of await listStalledRequests(new Date(Date.now() - SEND_LEASE_MS))) {
+    const transfers = req.payment_message_id ? await listCommandTransfers(req.payment_channel_id, req.payment_message_id) : [];
+    // Rows hold the net amount; the request counts what the payer sent
+    const paid = Math.round(transfers.reduce((sum, t) => sum + parseFloat(t.amount) + (parseFloat(t.fee) || 0), 0) * 1e6) / 1e6;
+    const updated = await settleRequestPayment(req, paid, transfers[0]?.tx_hash);
+    console.warn(`📨 Request ${req.id} was left processing, now ${updated.status}`);
+    await refreshRequestMessage(updated);
+    if (paid) await notifyRequestUpdate(updated, req.payment_channel_id);
+  }
+}
+
+// ============ Bill Splitting ============
+
+async function handleSplitTg(msg, text) {
+  const parsed = parseSplitCommand(text);
+  if (!parsed) { await bot.sendMessage(msg.chat.id, '❓ Usage: `/split $45 between me, @alice and @bob` or `/split $45 @alice $20, @bob $15, me $10`', { parse_mode: 'Markdown' }); return; }
+  if (parsed.error) { await bot.sendMessage(msg.chat.id, `❌ ${parsed.error}`); return; }
+
+  const requester = await getProfileByTelegramId(msg.from.id);
+  if (!requester) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+
+  const owed = parsed.shares.filter(s => s.tag !== SELF && s.tag !== requester.pay_tag.toLowerCase());
+  if (!owed.length) { await bot.sendMessage(msg.chat.id, '❓ Mention who you\'re splitting with, e.g. `split $45 between me, @alice and @bob`', { parse_mode: 'Markdown' }); return; }
+
+  const chain = detectChain(text);
+  const split = await createSplit({
+    chat_id: String(msg.chat.id),
+    source_message_id: String(msg.message_id),
+    requester_id: requester.id,
+    requester_pay_tag: requester.pay_tag,
+    total: parsed.total,
+    chain,
+    memo: parsed.memo,
+    weighted: parsed.weighted,
+  });
+  if (!split) { await bot.sendMessage(msg.chat.id, '❌ Failed to create the split. Please try again.'); return; }
+
+  const skipped = [];
+  const expiresAt = new Date(Date.now() + REQUEST_DEFAULT_EXPIRY_MS).toISOString();
+  for (const share of owed) {
+    const payer = await getProfileByMonitag(share.tag);
+    if (!payer || payer.id === requester.id) { skipped.push(share.tag); continue; }
+
+    const req = await createPaymentRequest({
+      split_id: split.id,
+      chat_id: String(msg.chat.id),
+      chat_type: msg.chat.type,
+      source_message_id: String(msg.message_id),
+      requester_id: requester.id,
+      requester_pay_tag: requester.pay_tag,
+      requester_telegram_id: String(msg.from.id),
+      payer_id: payer.id,
+      payer_pay_tag: payer.pay_tag,
+      payer_telegram_id: payer.telegram_id || null,
+      amount: share.amount,
+      chain,
+      memo: parsed.memo ? `Split: ${parsed.memo}` : 'Bill split',
+      expires_at: expiresAt,
+    });
+    if (req) await dmRequestPayer(req);
+    else skipped.push(share.tag);
+  }
+
+  const loaded = await getSplitWithRequests(split.id);
+  if (!loaded?.requests.length) { await bot.sendMessage(msg.chat.id, `❌ None of ${skipped.map(t => `@${t}`).join(', ')} are registered on MoniPay.`); return; }
+
+  const summary = renderSplitSummary(loaded.split, loaded.requests);
+  const sent = await bot.sendMessage(msg.chat.id, summary.text, { parse_mode: 'Markdown', reply_markup: summary.keyboard });
+  await setSplitMessage(split.id, msg.chat.id, sent.message_id);
+
+  if (skipped.length) await bot.sendMessage(msg.chat.id, `⚠️ Left out (not on MoniPay): ${skipped.map(t => `@${t}`).join(', ')}`);
+}
+
+function renderSplitSummary(split, requests) {
+  const symbol = chainSymbol(split.chain);
+  const owedTotal = requests.reduce((a, r) => a + parseFloat(r.amount), 0);
+  const collected = requests.reduce((a, r) => a + (parseFloat(r.amount_paid) || 0), 0);
+
+  let text = `🧾 *Bill split*${split.memo ? ` — ${split.memo}` : ''}\n`;
+  text += `Total $${parseFloat(split.total).toFixed(2)} ${symbol} on ${chainLabel(split.chain)} · paid by @${split.requester_pay_tag}\n\n`;
+  for (const r of requests) {
+    const amount = `$${parseFloat(r.amount).toFixed(2)}`;
+    const line = {
+      paid: `✅ @${r.payer_pay_tag} — ${amount}`,
+      partial: `🟡 @${r.payer_pay_tag} — $${(parseFloat(r.amount_paid) || 0).toFixed(2)} of ${amount}`,
+      processing: `🔄 @${r.payer_pay_tag} — ${amount} (paying…)`,
+      declined: `❌ @${r.payer_pay_tag} — ${amount} (declined)`,
+      cancelled: `🗑 @${r.payer_pay_tag} — ${amount} (cancelled)`,
+      expired: `⌛ @${r.payer_pay_tag} — ${amount} (expired)`,
+    }[r.status] || `⏳ @${r.payer_pay_tag} — ${amount}`;
+    text += `${line}\n`;
+  }
+  text += `\n💰 Collected $${collected.toFixed(2)} of $${owedTotal.toFixed(2)}`;
+
+  const settled = isSplitSettled(requests);
+  if (settled) text += `\n\n🎉 *All settled!*`;
+
+  const buttons = settled ? [] : requests
+    .filter(r => ['open', 'partial'].includes(r.status))
+    .map(r => [{ text: `💸 @${r.payer_pay_tag} pays $${remainingOnRequest(r).toFixed(2)}`, callback_data: `req_pay:${r.id}` }]);
+
+  return { text, keyboard: { inline_keyboard: buttons } };
+}
+
+/**
+ * Edit the split's summary message in place; announce once everyone has settled.
+ */
+async function refreshSplitSummary(splitId) {
+  const loaded = await getSplitWithRequests(splitId);
+  if (!loaded?.split.summary_message_id) return;
+  const { split, requests } = loaded;
+
+  const summary = renderSplitSummary(split, requests);
+  await bot.editMessageText(summary.text, {
+    chat_id: split.summary_chat_id,
+    message_id: Number(split.summary_message_id),
+    parse_mode: 'Markdown',
+    reply_markup: summary.keyboard,
+  }).catch(() => {});
+
+  if (isSplitSettled(requests) && await markSplitSettled(split.id)) {
+    const paid = requests.filter(r => r.status === 'paid').length;
+    await bot.sendMessage(split.summary_chat_id, `🎉 Bill split${split.memo ? ` "${split.memo}"` : ''} settled — ${paid}/${requests.length} paid @${split.requester_pay_tag}.`, { reply_to_message_id: Number(split.summary_message_id) }).catch(() => {});
+  }
+}
+
+// ============ Claimable Payments ============
+
+let botUsername = null;
+
+function describeHoldExpiry() {
+  return ESCROW_EXPIRY_MS >= 86400000 ? `${Math.round(ESCROW_EXPIRY_MS / 86400000)} days` : `${Math.round(ESCROW_EXPIRY_MS / 3600000)} hours`;
+}
+
+async function claimLink(id) {
+  if (!botUsername) botUsername = (await bot.getMe().catch(() => null))?.username || null;
+  return botUsername ? `https://t.me/${botUsername}?start=claim_${id}` : null;
+}
+
+/**
+ * After a send, offer to hold the amount for each recipient that isn't on MoniPay.
+ */
+async function offerClaimableHolds(msg, cmd, results) {
+  for (const r of results.filter(r => r.code === TransferError.RECIPIENT_NOT_FOUND)) {
+    const id = randomBytes(6).toString('hex');
+    const prompt = await bot.sendMessage(msg.chat.id, `📨 Hold *$${cmd.amount.toFixed(2)}* for @${r.tag} instead? They can claim it with /claim once they link MoniPay. If it's not claimed within ${describeHoldExpiry()}, it's released back to you.`, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [[{ text: `📨 Hold for @${r.tag}`, callback_data: `esc_hold:${id}` }, { text: '✖️ No thanks', callback_data: `esc_drop:${id}` }]] },
+    });
+
+    // Kept in pending_prompts (not memory) so the tap can land on any replica
+    const saved = await savePrompt('claim_offer', id, { chatId: msg.chat.id, promptId: prompt.message_id, ownerId: msg.from.id, data: { msg, tag: r.tag, amount: cmd.amount, chain: cmd.chain }, ttlMs: CONFIRM_TIMEOUT_MS });
+    if (!saved) await bot.editMessageText(`⚠️ I couldn't set up the offer to hold $${cmd.amount.toFixed(2)} for @${r.tag}. Nothing was held.`, { chat_id: msg.chat.id, message_id: prompt.message_id }).catch(() => {});
+  }
+}
+
+/**
+ * Check the sender can cover the hold (on top of what they already hold) and record it.
+ * @returns {Promise<{hold: object} | {error: string}>}
+ */
+async function holdForUnregistered(offer) {
+  const { msg, tag, amount, chain } = offer;
+  const sender = await getProfileByTelegramId(msg.from.id);
+  if (!sender) return { error: 'Not linked. Use /link first.' };
+  if (!(await enforceSpendLimits(msg, sender, amount, 1))) return { error: 'Not held — over your spending limits.' };
+
+  try {
+    const { pub, config } = getClients(chain);
+    const needed = parseUnits((amount + await heldAmount(sender.id, chain)).toFixed(config.decimals), config.decimals);
+    const [balance, allowance] = await Promise.all([
+      pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [sender.wallet_address] }),
+      pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'allowance', args: [sender.wallet_address, config.router] }),
+    ]);
+    if (balance < needed) return { error: `Not enough ${config.symbol} on ${chain.toUpperCase()} to cover this and your other holds.` };
+    if (allowance < needed) return { error: 'Your MoniBot allowance is too low. Raise it at monipay.lovable.app → Settings → MoniBot AI.' };
+  } catch (e) {
+    console.error('❌ Hold balance check failed:', e.message);
+    return { error: "Couldn't check your balance right now. Please try again." };
+  }
+
+  // Replying to the recipient's message pins the hold to their Telegram account, not just the username
+  const replyTo = msg.reply_to_message?.from;
+  const hold = await createPendingClaim({
+    sender_id: sender.id,
+    sender_pay_tag: sender.pay_tag,
+    sender_telegram_id: String(msg.from.id),
+    recipient_username: tag.toLowerCase(),
+    recipient_telegram_id: replyTo && !replyTo.is_bot && replyTo.username?.toLowerCase() === tag.toLowerCase() ? String(replyTo.id) : null,
+    amount,
+    chain,
+    chat_id: String(msg.chat.id),
+    source_message_id: String(msg.message_id),
+  });
+  return hold ? { hold } : { error: 'Failed to create the hold. Please try again.' };
+}
+
+async function handleClaimOfferCallback(query, id, accepted) {
+  const stored = await getPrompt('claim_offer', id);
+  if (!stored) { await bot.answerCallbackQuery(query.id, { text: 'This offer has expired.', show_alert: true }); return; }
+  if (String(query.from.id) !== stored.owner_telegram_id) { await bot.answerCallbackQuery(query.id, { text: 'Only the sender can decide this.', show_alert: true }); return; }
+  if (!(await takePrompt('claim_offer', id))) { await bot.answerCallbackQuery(query.id, { text: 'This offer was already answered.', show_alert: true }); return; }
+
+  const offer = { ...stored.data, promptId: Number(stored.prompt_message_id) };
+  const where = { chat_id: offer.msg.chat.id, message_id: offer.promptId };
+
+  if (!accepted) {
+    await bot.answerCallbackQuery(query.id, { text: 'OK' });
+    await bot.editMessageText(`✖️ Nothing held for @${offer.tag}.`, where).catch(() => {});
+    return;
+  }
+
+  await bot.answerCallbackQuery(query.id, { text: 'Holding…' });
+  const outcome = await holdForUnregistered(offer);
+  if (outcome.error) { await bot.editMessageText(`❌ ${outcome.error}`, where).catch(() => {}); return; }
+
+  const { hold } = outcome;
+  await bot.editMessageText(`📨 Held $${parseFloat(hold.amount).toFixed(2)} for @${offer.tag}.`, where).catch(() => {});
+
+  const link = await claimLink(hold.id);
+  const until = new Date(hold.expires_at).toUTCString().replace(' GMT', ' UTC');
+  const notice = await bot.sendMessage(offer.msg.chat.id, `🎁 @${offer.tag}, *@${hold.sender_pay_tag}* sent you *$${parseFloat(hold.amount).toFixed(2)}* on ${hold.chain.toUpperCase()}!\n\n1️⃣ Link a MoniPay account (/link)\n2️⃣ Tap *Claim* or send /claim\n\n⏳ _Claim by ${until}, or it goes back to the sender._`, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: [[...(link ? [{ text: '🎁 Claim', url: link }] : []), { text: '🗑 Cancel', callback_data: `esc_cancel:${hold.id}` }]] },
+  });
+  await setClaimMessage(hold.id, notice.message_id);
+
+  if (hold.recipient_telegram_id) {
+    await bot.sendMessage(hold.recipient_telegram_id, `🎁 @${hold.sender_pay_tag} sent you $${parseFloat(hold.amount).toFixed(2)}! Link MoniPay with /link, then send /claim.`).catch(() => {});
+  }
+}
+
+/**
+ * Replace the hold notice (drops the Claim / Cancel buttons).
+ */
+async function closeHoldMessage(hold, text) {
+  if (!hold.notify_message_id) return;
+  await bot.editMessageText(text, { chat_id: hold.chat_id, message_id: Number(hold.notify_message_id) }).catch(() => {});
+}
+
+async function handleCancelHoldCallback(query, id) {
+  const sender = await getProfileByTelegramId(query.from.id);
+  const hold = sender ? await cancelPendingClaim(id, sender.id) : null;
+  if (!hold) { await bot.answerCallbackQuery(query.id, { text: 'Only the sender can cancel a hold that is still unclaimed.', show_alert: true }); return; }
+  await bot.answerCallbackQuery(query.id, { text: '🗑 Hold cancelled' });
+  await closeHoldMessage(hold, `🗑 @${hold.sender_pay_tag} cancelled the $${parseFloat(hold.amount).toFixed(2)} hold for @${hold.recipient_username}.`);
+}
+
+/**
+ * Pay out holds waiting for this Telegram user: all of them, or just `onlyId` from a claim link.
+ */
+async function handleClaimTg(msg, onlyId = null) {
+  let holds = await findClaimableFor(msg.from);
+  if (onlyId) holds = holds.filter(h => h.id === onlyId);
+  if (!holds.length) {
+    await bot.sendMessage(msg.chat.id, onlyId ? "🎁 That payment isn't waiting for you — it may have been claimed, cancelled or expired." : '🎁 Nothing waiting for you right now.');
+    return;
+  }
+
+  const profile = await getProfileByTelegramId(msg.from.id);
+  if (!profile) {
+    const total = holds.reduce((sum, h) => sum + parseFloat(h.amount), 0);
+    const senders = [...new Set(holds.map(h => `@${h.sender_pay_tag}`))].join(', ');
+    await bot.sendMessage(msg.chat.id, `🎁 *$${total.toFixed(2)}* is waiting for you from ${senders}!\n\nLink your MoniPay account first — send /link for the steps — then send /claim.`, { parse_mode: 'Markdown' });
+    return;
+  }
+
+  const lines = [];
+  for (const hold of holds) lines.push(await payOutHold(msg, hold, profile));
+  await bot.sendMessage(msg.chat.id, `🎁 *Claims for @${profile.pay_tag}*\n\n${lines.join('\n')}`, { parse_mode: 'Markdown', disable_web_page_preview: true });
+}
+
+/**
+ * Pay one hold from its sender to the claimer through the shared P2P path.
+ * Failed payouts go back to pending so they can be claimed again before expiry.
+ */
+async function payOutHold(msg, hold, profile) {
+  const amount = parseFloat(hold.amount);
+  const label = `$${amount.toFixed(2)} from @${hold.sender_pay_tag}`;
+
+  const row = await startClaimPayout(hold.id);
+  if (!row) return `⏳ ${label} — already being claimed`;
+
+  const sender = await getProfileById(row.sender_id);
+  if (!sender) {
+    await finishClaimPayout(row.id, { status: 'cancelled', last_error: 'Sender profile not found' });
+    return `❌ ${label} — sender no longer on MoniPay`;
+  }
+
+  const payMsg = { message_id: row.source_message_id, chat: { id: Number(row.chat_id) } };
+  const limit = await checkSpendLimits(sender, payMsg.chat.id, amount).catch(() => ({ ok: false, rule: 'unavailable' }));
+  if (!limit.ok) {
+    await finishClaimPayout(row.id, { status: 'pending', last_error: `Limit: ${limit.rule}` });
+    return `❌ ${label} — the sender is over their spending limits right now, try again later`;
+  }
+
+  const result = await attemptP2POnChain(payMsg, sender, profile, amount, profile.pay_tag, row.chain, `tg_claim_${row.source_message_id}_${profile.pay_tag}`);
+  if (result.pending) {
+    // It may still land: never put it back up for claiming
+    await finishClaimPayout(row.id, { status: 'interrupted', tx_hash: result.hash, last_error: result.reason });
+    return `⏳ ${label} — submitted, not confirmed yet. I'll post in the sender's chat when it settles`;
+  }
+  if (!result.ok) {
+    await finishClaimPayout(row.id, { status: 'pending', last_error: result.reason });
+    if (isFundingError(result.code)) {
+      await bot.sendMessage(row.chat_id, `⚠️ @${sender.pay_tag}, @${profile.pay_tag} tried to claim $${amount.toFixed(2)} but your ${result.reason.toLowerCase()} is too low. Top up so they can claim again.`).catch(() => {});
+    }
+    return `❌ ${label} — ${result.reason}`;
+  }
+
+  await finishClaimPayout(row.id, { status: 'claimed', tx_hash: result.hash, fee: result.fee, claimed_by: profile.id, claimed_at: new Date().toISOString() });
+  await closeHoldMessage(row, `✅ @${profile.pay_tag} claimed ${label}.`);
+  if (row.chat_id !== String(msg.chat.id)) await bot.sendMessage(row.chat_id, `🎁 @${profile.pay_tag} claimed ${label}.`).catch(() => {});
+
+  const url = explorerTxUrl(row.chain, result.hash);
+  return `✅ $${(amount - result.fee).toFixed(2)} from @${hold.sender_pay_tag}${url ? ` · [tx](${url})` : ''}`;
+}
+
+/**
+ * Release overdue holds and tell the sender's chat.
+ */
+async function releaseExpiredHolds() {
+  for (const hold of await expirePendingClaims()) {
+    const amount = `$${parseFloat(hold.amount).toFixed(2)}`;
+    await closeHoldMessage(hold, `⌛ @${hold.recipient_username} didn't claim ${amount} in time.`);
+    await bot.sendMessage(hold.chat_id, `↩️ @${hold.sender_pay_tag}, the ${amount} held for @${hold.recipient_username} wasn't claimed and is released back to you.`).catch(() => {});
+  }
+}
+
+/**
+ * Flag payouts a stopped process left mid-flight (older than the send lease); they need an on-chain check.
+ */
+async function flagInterruptedHolds() {
+  for (const hold of await markInterruptedClaimPayouts()) {
+    console.warn(`⚠️ Claim payout ${hold.id} was interrupted`);
+    await bot.sendMessage(hold.chat_id, `⚠️ A claim of $${parseFloat(hold.amount).toFixed(2)} from @${hold.sender_pay_tag} for @${hold.recipient_username} was interrupted. Check /history before re-sending.`).catch(() => {});
+  }
+}
+
 // ============ Command Parsing ============
 
-function detectChain(text) {
-  const l = text.toLowerCase();
-  if (['on tempo', 'tempo', 'alphausd'].some(k => l.includes(k))) return 'tempo';
-  if (['usdt', 'bnb', 'bsc'].some(k => l.includes(k))) return 'bsc';
-  return 'base';
+function networkHelp() {
+  const others = CHAIN_KEYS.filter(key => key !== DEFAULT_CHAIN && CHAINS[key].keywords.length)
+    .map(key => `\`${CHAINS[key].keywords[0]}\` for ${CHAINS[key].label}`);
+  return `Default: ${CHAINS[DEFAULT_CHAIN].symbol} on ${CHAINS[DEFAULT_CHAIN].label}${others.length ? `\nAdd ${others.join(', ')}` : ''}`;
 }
 
 function parseP2P(text) {
@@ -187,9 +832,32 @@ function parseP2P(text) {
   // Single: "send $5 to @alice"
   const single = text.match(/(?:send|pay)\s+\$?([\d.]+)\s*(?:\w*\s+)?(?:to\s+)?@(\w[\w-]*)/i);
   if (single) return { type: 'p2p', amount: parseFloat(single[1]), recipients: [single[2].toLowerCase()], chain: detectChain(text) };
+  // External: "send $5 to 0xAbC…" or "pay $5 to alice.base.eth"
+  const external = text.match(EXTERNAL_P2P_RE);
+  if (external) return { type: 'p2p_address', amount: parseFloat(external[1]), recipients: [external[2]], chain: detectChain(text) };
   return null;
 }
 
+const EXTERNAL_P2P_RE = new RegExp(`(?:send|pay)\\s+\\$?([\\d.]+)\\s*(?:\\w*\\s+)?(?:to\\s+)?(${ADDRESS_PATTERN}|${NAME_PATTERN})\\b`, 'i');
+
+/**
+ * "send $5 to dave" where dave is in the sender's address book. Null otherwise,
+ * so the text can still go to AI parsing. The word is checked against the
+ * sender's cached alias list, so other words don't cost an address-book lookup.
+ */
+async function parseAliasPayment(msg, text) {
+  const m = text.match(/(?:send|pay)\s+\$?([\d.]+)\s*(?:\w*\s+)?to\s+([a-z][\w-]{1,31})\b/i);
+  if (!m || !isValidAlias(m[2].toLowerCase())) return null;
+  const profile = await getProfileByTelegramId(msg.from.id);
+  if (!profile || !(await hasAddressBookAlias(profile.id, m[2]))) return null;
+  return { type: 'p2p_address', amount: parseFloat(m[1]), recipients: [m[2].toLowerCase()], chain: detectChain(text) };
+}
+
+function describeRecipients(cmd) {
+  if (cmd.type === 'p2p_address') return cmd.label || shortAddress(cmd.address || cmd.recipients[0]);
+  return cmd.recipients.map(t => `@${t}`).join(', ');
+}
+
 // ============ Telegram Bot ============
 
 console.log('┌─────────────────────────────────────────────────┐');
@@ -197,22 +865,65 @@ console.log('│       MoniBot Telegram Bot v2.0 (AI-Powered)    │');
 console.log('│    NLP Commands + Conversational AI              │');
 console.log('└─────────────────────────────────────────────────┘\n');
 
-const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
+if (USE_WEBHOOK && !WEBHOOK_SECRET) {
+  console.error('❌ TELEGRAM_WEBHOOK_SECRET is required when TELEGRAM_WEBHOOK_URL is set');
+  process.exit(1);
+}
+
+const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: !USE_WEBHOOK });
+
+// ============ Webhook Mode ============
+
+function isValidWebhookSecret(header) {
+  if (!header) return false;
+  const a = Buffer.from(String(header));
+  const b = Buffer.from(WEBHOOK_SECRET);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+if (USE_WEBHOOK) {
+  // Updates go through bot.processUpdate, so every handler below works unchanged
+  app.post(WEBHOOK_PATH, express.json({ limit: '1mb' }), (req, res) => {
+    if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) { res.sendStatus(401); return; }
+    bot.processUpdate(req.body);
+    res.sendStatus(200);
+  });
+
+  const hookUrl = `${WEBHOOK_URL.replace(/\/$/, '')}${WEBHOOK_PATH}`;
+  bot.setWebHook(hookUrl, { secret_token: WEBHOOK_SECRET })
+    .then(() => console.log(`🪝 Webhook set → ${hookUrl}`))
+    .catch(e => console.error('❌ setWebHook failed:', e.message));
+}
+
+// /start and /help (/start claim_<id> comes from a claim link)
+bot.onText(/\/(start|help)(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+  if (match[2]?.startsWith('claim_')) { await handleClaimTg(msg, match[2].slice('claim_'.length)); return; }
 
-// /start and /help
-bot.onText(/\/(start|help)/, async (msg) => {
   const helpText = `🤖 *MoniBot — Instant Crypto Payments*
 
 *Commands:*
 💸 \`/send $5 to @alice\`
 📤 \`/send $1 each to @alice, @bob\`
-💰 \`/balance\`
+📬 \`/send $5 to 0x…\` or \`/send $5 to name.base.eth\`
+📒 \`/addressbook add dave 0x…\` — Save addresses
+💰 \`/balance\` — All chains, or \`/balance bsc\`
+🛡 \`/limits\` — Remaining spending headroom
+🧾 \`/confirmations $25\` — Confirm payments above $25
+⚙️ \`/settings\` — Group policies (chat admins)
+📨 \`/request $20 from @bob for lunch\`
+🎁 \`/claim\` — Collect payments held for you
+📋 \`/requests\` — Open payment requests
+🧾 \`/split $45 between me, @alice and @bob\`
+📜 \`/history\` — Transactions (\`/history export\` for CSV)
 🔗 \`/link\` — Connect your Telegram
 🎁 \`/giveaway $5 to the first 5\`
+🎟 \`/giveaway raffle $5 to 3 winners in 30m\`
+🧩 \`/giveaway quiz $2 to the first 3 Q: question\`
+⏰ \`/schedules\` — View or cancel scheduled payments
+🔁 \`/recurring send $10 to @alice every friday\`
 
 *Networks:*
-Default: USDC on Base
-Add \`usdt\` for BSC, \`on tempo\` for Tempo
+${networkHelp()}
 
 _Link your account at monipay.lovable.app → Settings → MoniBot AI_`;
 
@@ -222,157 +933,387 @@ _Link your account at monipay.lovable.app → Settings → MoniBot AI_`;
 // /link
 bot.onText(/\/link/, async (msg) => {
   const profile = await getProfileByTelegramId(msg.from.id);
+  const waiting = await findClaimableFor(msg.from);
+  const waitingNote = waiting.length ? `\n\n🎁 You have *${waiting.length}* payment(s) waiting — send /claim${profile ? '' : ' once linked'}.` : '';
   if (profile) {
-    await bot.sendMessage(msg.chat.id, `✅ Your Telegram is linked to *@${profile.pay_tag}*`, { parse_mode: 'Markdown' });
+    await bot.sendMessage(msg.chat.id, `✅ Your Telegram is linked to *@${profile.pay_tag}*${waitingNote}`, { parse_mode: 'Markdown' });
     return;
   }
-  await bot.sendMessage(msg.chat.id, `🔗 *Link Your MoniPay Account*\n\n1️⃣ Go to [monipay.lovable.app](https://monipay.lovable.app)\n2️⃣ Open *Settings* → *MoniBot AI*\n3️⃣ Click *Link Telegram*\n4️⃣ Enter your Telegram ID: \`${msg.from.id}\`\n\n_One-time setup. Then use MoniBot anywhere!_`, { parse_mode: 'Markdown', disable_web_page_preview: true });
+  await bot.sendMessage(msg.chat.id, `🔗 *Link Your MoniPay Account*\n\n1️⃣ Go to [monipay.lovable.app](https://monipay.lovable.app)\n2️⃣ Open *Settings* → *MoniBot AI*\n3️⃣ Click *Link Telegram*\n4️⃣ Enter your Telegram ID: \`${msg.from.id}\`\n\n_One-time setup. Then use MoniBot anywhere!_${waitingNote}`, { parse_mode: 'Markdown', disable_web_page_preview: true });
+});
+
+// /claim — collect payments held for you
+bot.onText(/\/claim(?:@\w+)?$/i, async (msg) => {
+  await handleClaimTg(msg);
 });
 
-// /balance
-bot.onText(/\/balance/, async (msg) => {
+// /balance, /balance base
+bot.onText(/\/balance(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
   const profile = await getProfileByTelegramId(msg.from.id);
   if (!profile) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
 
-  const chain = profile.preferred_network || 'base';
-  const { pub, config } = getClients(chain);
-  const bal = await pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [profile.wallet_address] });
+  const arg = (match[1] || '').trim();
+  const chain = arg ? chainForWord(arg) : null;
+  if (arg && !chain) { await bot.sendMessage(msg.chat.id, `❓ Usage: \`/balance\` or \`/balance ${CHAIN_KEYS.join('|')}\``, { parse_mode: 'Markdown' }); return; }
 
-  await bot.sendMessage(msg.chat.id, `💰 *${parseFloat(formatUnits(bal, config.decimals)).toFixed(2)} ${config.symbol}* on ${chain.charAt(0).toUpperCase() + chain.slice(1)}\n\n_@${profile.pay_tag}_`, { parse_mode: 'Markdown' });
+  await replyWithBalances(msg, profile, chain);
 });
 
 // /send or /pay
 bot.onText(/\/(send|pay)\s+(.+)/i, async (msg, match) => {
-  if (await isProcessed(msg.message_id)) return;
+  if (!(await claimCommand(msg, 'p2p'))) return;
 
-  const text = match[2];
-  const cmd = parseP2P(text);
-  if (!cmd) { await bot.sendMessage(msg.chat.id, '❓ Usage: `/send $5 to @alice`', { parse_mode: 'Markdown' }); return; }
+  // parseP2P expects the verb, which the slash command strips
+  const text = `${match[1]} ${match[2]}`;
+  const cmd = parseP2P(text) || await parseAliasPayment(msg, text);
+  if (!cmd) { await bot.sendMessage(msg.chat.id, '❓ Usage: `/send $5 to @alice`, `/send $5 to 0x…` or `/send $5 to name.eth`', { parse_mode: 'Markdown' }); return; }
 
-  const sender = await getProfileByTelegramId(msg.from.id);
-  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+  await confirmOrExecuteP2P(msg, cmd, 'regex');
+});
 
-  await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'processing', sender.id);
+// /addressbook, /addressbook add <alias> <0x…|name.eth>, /addressbook remove <alias>
+bot.onText(/\/addressbook(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+  const profile = await getProfileByTelegramId(msg.from.id);
+  if (!profile) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
 
-  const results = [];
-  for (const tag of cmd.recipients) {
-    const recipient = await getProfileByMonitag(tag);
-    if (!recipient) { results.push({ tag, ok: false, reason: 'Not found' }); continue; }
-    if (recipient.id === sender.id) { results.push({ tag, ok: false, reason: 'Self-send' }); continue; }
+  const [action = 'list', alias, target] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+  const usage = '❓ Usage: `/addressbook add dave 0x…`, `/addressbook add dave dave.base.eth` or `/addressbook remove dave`';
 
-    let activeChain = cmd.chain;
-    const result = await attemptP2POnChain(msg, sender, recipient, cmd.amount, tag, activeChain);
-    
-    if (result.ok) {
-      results.push(result);
-      continue;
-    }
-    
-    // Cross-chain fallback
-    if (result.reason === 'Low balance' || result.reason === 'Low allowance') {
-      const alt = await findAlternateChain(sender.wallet_address, cmd.amount, activeChain);
-      
-      if (alt && !alt.needsAllowance) {
-        await bot.sendMessage(msg.chat.id, `🔄 Rerouting to *${alt.chain.toUpperCase()}* (${alt.balance.toFixed(2)} ${alt.symbol})...`, { parse_mode: 'Markdown' });
-        const retryResult = await attemptP2POnChain(msg, sender, recipient, cmd.amount, tag, alt.chain);
-        if (retryResult.ok) retryResult.rerouted = `${activeChain} → ${alt.chain}`;
-        results.push(retryResult);
-        continue;
-      } else if (alt && alt.needsAllowance) {
-        results.push({ tag, ok: false, reason: `Funds on ${alt.chain.toUpperCase()} but needs allowance` });
-        continue;
-      }
-    }
-    
-    results.push(result);
+  if (action.toLowerCase() === 'list') {
+    const entries = await listAddressBook(profile.id);
+    if (!entries.length) { await bot.sendMessage(msg.chat.id, `📒 Your address book is empty.\n\n${usage.slice(2)}`, { parse_mode: 'Markdown' }); return; }
+    let reply = '📒 *Address book*\n\n';
+    for (const e of entries) reply += `• *${e.alias}* → \`${e.address}\`${e.name ? ` (${e.name})` : ''}\n`;
+    reply += `\n_Pay with_ \`/send $5 to ${entries[0].alias}\``;
+    await bot.sendMessage(msg.chat.id, reply, { parse_mode: 'Markdown' });
+    return;
   }
 
-  // Build reply
-  const successes = results.filter(r => r.ok);
-  const failures = results.filter(r => !r.ok);
-  let reply = successes.length ? `✅ *${successes.length} payment(s) sent!*\n` : '';
-  successes.forEach(r => {
-    const routeNote = r.rerouted ? ` _(${r.rerouted})_` : '';
-    reply += `• @${r.tag}: $${(cmd.amount - r.fee).toFixed(2)} ✓${routeNote}\n`;
+  if (action.toLowerCase() === 'add') {
+    if (!alias || !target || targetKind(target) === 'alias') { await bot.sendMessage(msg.chat.id, usage, { parse_mode: 'Markdown' }); return; }
+    if (!isValidAlias(alias.toLowerCase())) { await bot.sendMessage(msg.chat.id, '❓ Aliases are 2–32 letters, digits or dashes, starting with a letter.'); return; }
+
+    const isName = targetKind(target) === 'name';
+    const resolved = isName ? await resolveName(target.toLowerCase()) : checkAddress(target);
+    if (resolved.error) { await bot.sendMessage(msg.chat.id, `❌ ${resolved.error}`, { parse_mode: 'Markdown' }); return; }
+
+    const entry = await saveAddressBookEntry(profile.id, alias, resolved.address, isName ? target.toLowerCase() : null);
+    if (!entry) { await bot.sendMessage(msg.chat.id, '❌ Could not save that address. Please try again.'); return; }
+    await bot.sendMessage(msg.chat.id, `📒 Saved *${entry.alias}* → \`${entry.address}\`${entry.name ? ` (${entry.name})` : ''}\n\n_Double-check it: payments to addresses can't be reversed._`, { parse_mode: 'Markdown' });
+    return;
+  }
+
+  if (['remove', 'delete'].includes(action.toLowerCase()) && alias) {
+    const removed = await removeAddressBookEntry(profile.id, alias);
+    await bot.sendMessage(msg.chat.id, removed ? `🗑 Removed *${removed.alias}* from your address book.` : `❓ No address saved as *${alias.toLowerCase()}*.`, { parse_mode: 'Markdown' });
+    return;
+  }
+
+  await bot.sendMessage(msg.chat.id, usage, { parse_mode: 'Markdown' });
+});
+
+// /confirmations — show or set the amount above which payments need a confirm tap
+bot.onText(/\/confirmations(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+  const profile = await getProfileByTelegramId(msg.from.id);
+  if (!profile) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+
+  const arg = (match[1] || '').trim().toLowerCase();
+  if (!arg) {
+    await bot.sendMessage(msg.chat.id, `🧾 Payments above *$${confirmThreshold(profile).toFixed(2)}* need a confirmation tap. AI-parsed payments always do.\n\n_Change with_ \`/confirmations $25\` _or_ \`/confirmations always\``, { parse_mode: 'Markdown' });
+    return;
+  }
+
+  const value = arg === 'always' ? 0 : parseFloat(arg.replace('$', ''));
+  if (isNaN(value) || value < 0) { await bot.sendMessage(msg.chat.id, '❓ Usage: `/confirmations $25` or `/confirmations always`', { parse_mode: 'Markdown' }); return; }
+
+  const { error } = await supabase.from('profiles').update({ monibot_confirm_threshold: value }).eq('id', profile.id);
+  if (error) { console.error('❌ Failed to save threshold:', error.message); await bot.sendMessage(msg.chat.id, '❌ Could not save that setting. Please try again.'); return; }
+  await bot.sendMessage(msg.chat.id, value === 0 ? '🧾 Every payment will now ask for confirmation.' : `🧾 Payments above *$${value.toFixed(2)}* will now ask for confirmation.`, { parse_mode: 'Markdown' });
+});
+
+// /settings — chat admins set this group's MoniBot policies
+bot.onText(/\/settings(?:@\w+)?$/i, async (msg) => {
+  if (msg.chat.type === 'private') { await bot.sendMessage(msg.chat.id, '⚙️ /settings configures a group. Use it there as a chat admin.'); return; }
+  if (!(await isAdminMessage(msg))) { await bot.sendMessage(msg.chat.id, '🚫 Only chat admins can change MoniBot settings.'); return; }
+
+  const settings = await getChatSettings(msg.chat);
+  await bot.sendMessage(msg.chat.id, settingsPanelText(settings), { parse_mode: 'Markdown', reply_markup: settingsKeyboard(settings) });
+});
+
+// /limits — remaining spending headroom
+bot.onText(/\/limits(?:@\w+)?$/i, async (msg) => {
+  const profile = await getProfileByTelegramId(msg.from.id);
+  if (!profile) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+
+  const usage = await getSpendUsage(profile, msg.chat.type !== 'private' ? msg.chat.id : undefined);
+  const line = (label, u) => u.cap > 0 ? `${label}: $${u.used.toFixed(2)} / $${u.cap.toFixed(2)} (left $${u.remaining.toFixed(2)})\n` : `${label}: unlimited\n`;
+
+  let reply = `🛡 *Spending limits for @${profile.pay_tag}*\n\n`;
+  reply += usage.maxPerTx > 0 ? `Per payment: $${usage.maxPerTx.toFixed(2)}\n` : 'Per payment: unlimited\n';
+  reply += line('Last 24h', usage.daily);
+  reply += line('Last 7 days', usage.weekly);
+  if (usage.chat) reply += line('This chat (24h)', usage.chat);
+  reply += usage.hourly.cap > 0 ? `Payments this hour: ${usage.hourly.used} / ${usage.hourly.cap}\n` : '';
+
+  await bot.sendMessage(msg.chat.id, reply, { parse_mode: 'Markdown' });
+});
+
+// /giveaway $5 to the first 5 | raffle $5 to 3 winners in 30m | quiz $2 to the first 3 Q: … A: …
+bot.onText(/\/giveaway(?:@\w+)?\s+(.+)/is, async (msg, match) => {
+  const parsed = parseGiveawayCommand(match[1]);
+  if (!parsed) {
+    await bot.sendMessage(msg.chat.id, '❓ Usage:\n`/giveaway $5 to the first 5`\n`/giveaway raffle $5 to 3 winners in 30m`\n`/giveaway quiz $2 to the first 3 Q: question`\n\nRules: add `linked` and/or `members 7d`', { parse_mode: 'Markdown' });
+    return;
+  }
+  if (!(await claimCommand(msg, 'giveaway'))) return;
+  await handleGiveawayTg(msg, parsed.amount, parsed.maxParticipants, detectChain(msg.text), parsed);
+});
+
+// /schedules, /schedules <id>, /schedules cancel <id>
+bot.onText(/\/schedules(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+  const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+  const jobs = await getPendingSchedules(msg.from.id);
+
+  if (args[0]?.toLowerCase() === 'cancel') {
+    if (!args[1]) { await bot.sendMessage(msg.chat.id, '❓ Usage: `/schedules cancel <id>`', { parse_mode: 'Markdown' }); return; }
+    const job = findByShortId(jobs, args[1]);
+    if (!job) { await bot.sendMessage(msg.chat.id, `❌ No pending schedule \`${args[1]}\` found for you.`, { parse_mode: 'Markdown' }); return; }
+    const cancelled = await cancelScheduledJob(job.id, msg.from.id);
+    await bot.sendMessage(msg.chat.id, cancelled ? `🗑 Cancelled \`${shortId(job.id)}\` — ${describeScheduledCommand(job.payload.command)}` : '⚠️ That job already started or was cancelled.', { parse_mode: 'Markdown' });
+    return;
+  }
+
+  if (args[0]) {
+    const job = findByShortId(jobs, args[0]);
+    if (!job) { await bot.sendMessage(msg.chat.id, `❌ No pending schedule \`${args[0]}\` found for you.`, { parse_mode: 'Markdown' }); return; }
+    const { command } = job.payload;
+    await bot.sendMessage(msg.chat.id,
+      `⏰ *Schedule* \`${shortId(job.id)}\`\n\n📋 *Command:* ${describeScheduledCommand(command)}\n⛓ *Chain:* ${(command.chain || DEFAULT_CHAIN).toUpperCase()}\n🕐 *When:* ${new Date(job.scheduled_at).toUTCString()}\n💬 *Original:* ${job.payload.originalText || '—'}\n\n_Job ID: ${job.id}_`,
+      { parse_mode: 'Markdown', reply_markup: { inline_keyboard: [[{ text: '🗑 Cancel', callback_data: `sched_cancel:${job.id}` }]] } }
+    );
+    return;
+  }
+
+  if (!jobs.length) { await bot.sendMessage(msg.chat.id, '📭 You have no pending scheduled payments.'); return; }
+
+  let reply = `⏰ *Your pending schedules (${jobs.length})*\n\n`;
+  jobs.forEach(job => {
+    reply += `\`${shortId(job.id)}\` • ${new Date(job.scheduled_at).toUTCString()}\n   ${describeScheduledCommand(job.payload.command)}\n`;
   });
-  if (failures.length) { reply += `\n❌ *Failed:*\n`; failures.forEach(r => { reply += `• @${r.tag}: ${r.reason}\n`; }); }
+  reply += '\n_Cancel with_ `/schedules cancel <id>`';
+
+  await bot.sendMessage(msg.chat.id, reply, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: jobs.slice(0, 10).map(job => [{ text: `🗑 Cancel ${shortId(job.id)}`, callback_data: `sched_cancel:${job.id}` }]) },
+  });
+});
+
+// /recurring, /recurring <command>, /recurring pause|resume|cancel <id>
+bot.onText(/\/recurring(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+  const args = (match[1] || '').trim();
+  const action = args.match(/^(pause|resume|cancel)\s+(\S+)$/i);
+
+  if (action) {
+    const rec = findByShortId(await listRecurring(msg.from.id), action[2]);
+    if (!rec) { await bot.sendMessage(msg.chat.id, `❌ No recurring payment \`${action[2]}\` found for you.`, { parse_mode: 'Markdown' }); return; }
+    const updated = await setRecurringStatus(rec.id, msg.from.id, action[1].toLowerCase());
+    await bot.sendMessage(msg.chat.id, updated ? recurringStatusText(updated) : `⚠️ Can't ${action[1].toLowerCase()} that recurring payment right now.`, { parse_mode: 'Markdown' });
+    return;
+  }
+
+  if (args) {
+    const parsed = parseRecurrence(args, new Date(), { adverbs: true });
+    if (!parsed) { await bot.sendMessage(msg.chat.id, '❓ Usage: `/recurring send $10 to @alice every friday at 9am for 4 weeks`', { parse_mode: 'Markdown' }); return; }
+    if (!(await claimCommand(msg, 'recurring'))) return;
+    await handleRecurringCommandTg(msg, parsed, args);
+    return;
+  }
+
+  const recs = await listRecurring(msg.from.id);
+  if (!recs.length) { await bot.sendMessage(msg.chat.id, '📭 You have no recurring payments.\n\nTry `/recurring send $10 to @alice every friday`', { parse_mode: 'Markdown' }); return; }
+
+  let reply = `🔁 *Your recurring payments (${recs.length})*\n\n`;
+  recs.forEach(rec => {
+    const state = rec.status === 'paused' ? '⏸ paused' : `next ${new Date(rec.next_run_at).toUTCString()}`;
+    reply += `\`${shortId(rec.id)}\` • ${describeScheduledCommand(rec.payload.command)}\n   ${describeRule(rec.rule)} — ${state}\n`;
+  });
+  reply += '\n_Manage with_ `/recurring pause|resume|cancel <id>`';
 
   await bot.sendMessage(msg.chat.id, reply, { parse_mode: 'Markdown' });
 });
 
-// /giveaway
-bot.onText(/\/giveaway\s+\$?([\d.]+)\s*(?:\w*\s+)?(?:to\s+)?(?:the\s+)?(?:first\s+)?(\d+)/i, async (msg, match) => {
-  const amount = parseFloat(match[1]);
-  const maxPeople = parseInt(match[2]);
-  const chain = detectChain(msg.text);
+// /history [filters], /history export [filters]
+bot.onText(/\/history(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+  const profile = await getProfileByTelegramId(msg.from.id);
+  if (!profile) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+
+  let args = (match[1] || '').trim();
+  const isExport = /^export\b/i.test(args);
+  if (isExport) args = args.replace(/^export\s*/i, '');
+  const filters = parseHistoryFilters(args);
 
-  const sender = await getProfileByTelegramId(msg.from.id);
-  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+  try {
+    if (isExport) {
+      await exportHistory(msg, profile, filters);
+      return;
+    }
 
-  await bot.sendMessage(msg.chat.id, `🎁 *Giveaway by @${sender.pay_tag}!*\n\n💰 *$${amount}* each to the first *${maxPeople}* people!\n\n👇 Drop your @MoniTag below to claim!`, { parse_mode: 'Markdown' });
+    const page = await renderHistoryPage(profile, filters, 0);
+    await bot.sendMessage(msg.chat.id, page.text, { parse_mode: 'Markdown', disable_web_page_preview: true, reply_to_message_id: msg.message_id, reply_markup: page.keyboard });
+  } catch (e) {
+    console.error('❌ History error:', e.message);
+    await bot.sendMessage(msg.chat.id, `❌ I couldn't load your history${isExport ? ' export' : ''} right now. Please try again in a minute.`).catch(() => {});
+  }
+});
 
-  let claimed = 0;
-  const claimedUsers = new Set();
+// /request $20 from @bob for lunch
+bot.onText(/\/request(?:@\w+)?\s+(.+)/i, async (msg, match) => {
+  const parsed = parseRequestCommand(match[1]);
+  if (!parsed) { await bot.sendMessage(msg.chat.id, '❓ Usage: `/request $20 from @bob for lunch`', { parse_mode: 'Markdown' }); return; }
+  if (!(await claimCommand(msg, 'request'))) return;
+
+  const requester = await getProfileByTelegramId(msg.from.id);
+  if (!requester) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+
+  const chain = detectChain(match[1]);
+  const lines = [];
+  for (const tag of parsed.payers) {
+    const payer = await getProfileByMonitag(tag);
+    if (!payer) { lines.push(`• @${tag}: isn't registered on MoniPay`); continue; }
+    if (payer.id === requester.id) { lines.push(`• @${tag}: can't request from yourself`); continue; }
+
+    const req = await createPaymentRequest({
+      chat_id: String(msg.chat.id),
+      chat_type: msg.chat.type,
+      source_message_id: String(msg.message_id),
+      requester_id: requester.id,
+      requester_pay_tag: requester.pay_tag,
+      requester_telegram_id: String(msg.from.id),
+      payer_id: payer.id,
+      payer_pay_tag: payer.pay_tag,
+      payer_telegram_id: payer.telegram_id || null,
+      amount: parsed.amount,
+      chain,
+      memo: parsed.memo,
+      expires_at: parsed.expiresAt.toISOString(),
+    });
+    if (!req) { lines.push(`• @${tag}: failed to create request`); continue; }
 
-  // Listen for replies for 10 minutes
-  const handler = async (reply) => {
-    if (reply.chat.id !== msg.chat.id || claimed >= maxPeople) return;
-    if (reply.from.bot || claimedUsers.has(reply.from.id)) return;
+    const where = await notifyRequestPayer(req, msg.chat.id);
+    lines.push(`• @${tag}: $${parsed.amount.toFixed(2)} requested${where === 'dm' ? ' (sent to their DMs)' : ''}`);
+  }
 
-    const tagMatch = reply.text?.match(/@(\w[\w-]*)/);
-    if (!tagMatch) return;
-    const claimTag = tagMatch[1].toLowerCase();
-    if (claimTag === 'monibot') return;
+  await bot.sendMessage(msg.chat.id, `📨 *Payment request${parsed.payers.length > 1 ? 's' : ''}*${parsed.memo ? ` — ${parsed.memo}` : ''}\n\n${lines.join('\n')}`, { parse_mode: 'Markdown' });
+});
 
-    const recipient = await getProfileByMonitag(claimTag);
-    if (!recipient || recipient.id === sender.id) return;
+// /split $45 between me, @a and @b
+bot.onText(/\/split(?:@\w+)?\s+(.+)/i, async (msg) => {
+  if (!(await claimCommand(msg, 'split'))) return;
+  await handleSplitTg(msg, msg.text);
+});
 
-    claimedUsers.add(reply.from.id);
-    claimed++;
+// /requests, /requests pay <id> [$amount], /requests decline|cancel <id>
+bot.onText(/\/requests(?:@\w+)?(?:\s+(.+))?$/i, async (msg, match) => {
+  const profile = await getProfileByTelegramId(msg.from.id);
+  if (!profile) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
 
-    try {
-      const { pub, wallet, config } = getClients(chain);
-      const amt = parseUnits(amount.toFixed(config.decimals), config.decimals);
-      const [nonce, bal, allow] = await Promise.all([
-        pub.readContract({ address: config.router, abi: routerAbi, functionName: 'getNonce', args: [sender.wallet_address] }),
-        pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [sender.wallet_address] }),
-        pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'allowance', args: [sender.wallet_address, config.router] }),
-      ]);
+  const { incoming, outgoing } = await listOpenRequests(profile.id);
+  const action = (match[1] || '').trim().match(/^(pay|decline|cancel)\s+(\S+)(?:\s+\$?([\d.]+))?$/i);
 
-      if (bal < amt || allow < amt) {
-        await bot.sendMessage(msg.chat.id, '❌ Giveaway ended — insufficient funds.');
-        bot.removeListener('message', handler);
-        return;
-      }
+  if (action) {
+    const verb = action[1].toLowerCase();
+    const req = findByShortId(verb === 'cancel' ? outgoing : incoming, action[2]);
+    if (!req) { await bot.sendMessage(msg.chat.id, `❌ No open ${verb === 'cancel' ? 'outgoing' : 'incoming'} request \`${action[2]}\` found.`, { parse_mode: 'Markdown' }); return; }
 
-      let cd = encodeFunctionData({ abi: routerAbi, functionName: 'executeP2P', args: [sender.wallet_address, recipient.wallet_address, amt, nonce, `tg_giveaway_${msg.message_id}_${claimed}`] });
-      if (config.builder) cd = `${cd}${builderSuffix()}`;
-
-      const gas = await pub.estimateContractGas({ address: config.router, abi: routerAbi, functionName: 'executeP2P', args: [sender.wallet_address, recipient.wallet_address, amt, nonce, `tg_giveaway_${msg.message_id}_${claimed}`], account: wallet.account?.address });
-      const hash = await wallet.sendTransaction({ to: config.router, data: cd, gas: gas + gas / 5n });
-      const receipt = await pub.waitForTransactionReceipt({ hash });
-      if (receipt.status === 'reverted') {
-        claimedUsers.delete(reply.from.id);
-        claimed--;
-        await bot.sendMessage(msg.chat.id, `Transaction for @${recipient.pay_tag} was reverted on-chain.`);
-        return;
-      }
+    if (verb === 'pay') {
+      const outcome = await payPaymentRequest(msg.chat, msg.from, req.id, action[3] ? parseFloat(action[3]) : null);
+      if (outcome.error) await bot.sendMessage(msg.chat.id, `❌ ${outcome.error}`);
+      return;
+    }
 
-      await bot.sendMessage(msg.chat.id, `✅ *$${amount}* sent to *@${recipient.pay_tag}*! (${claimed}/${maxPeople})`, { parse_mode: 'Markdown' });
+    const updated = verb === 'decline' ? await declineRequest(req.id, profile.id) : await cancelRequest(req.id, profile.id);
+    if (!updated) { await bot.sendMessage(msg.chat.id, `⚠️ Can't ${verb} that request right now.`); return; }
+    await refreshRequestMessage(updated);
+    await notifyRequestUpdate(updated, msg.chat.id);
+    await bot.sendMessage(msg.chat.id, requestStatusText(updated), { parse_mode: 'Markdown' });
+    return;
+  }
 
-      if (claimed >= maxPeople) {
-        await bot.sendMessage(msg.chat.id, '🎁 *Giveaway complete!* All spots filled.', { parse_mode: 'Markdown' });
-        bot.removeListener('message', handler);
-      }
-    } catch (e) {
-      claimedUsers.delete(reply.from.id);
-      claimed--;
-      console.error('Giveaway error:', e.message);
+  if (!incoming.length && !outgoing.length) { await bot.sendMessage(msg.chat.id, '📭 No open payment requests.'); return; }
+
+  const line = (r, other) => `\`${shortId(r.id)}\` • $${remainingOnRequest(r).toFixed(2)}${r.status === 'partial' ? ` of $${parseFloat(r.amount).toFixed(2)}` : ''} ${other}${r.memo ? ` — ${r.memo}` : ''}\n`;
+  let reply = '💸 *Open payment requests*\n';
+  if (incoming.length) { reply += '\n📥 *You owe:*\n'; incoming.forEach(r => { reply += line(r, `to @${r.requester_pay_tag}`); }); }
+  if (outgoing.length) { reply += '\n📤 *Owed to you:*\n'; outgoing.forEach(r => { reply += line(r, `from @${r.payer_pay_tag}`); }); }
+  reply += '\n_Manage with_ `/requests pay|decline|cancel <id>`';
+
+  await bot.sendMessage(msg.chat.id, reply, {
+    parse_mode: 'Markdown',
+    reply_markup: incoming.length ? { inline_keyboard: incoming.slice(0, 10).map(r => [{ text: `💸 Pay $${remainingOnRequest(r).toFixed(2)} to @${r.requester_pay_tag}`, callback_data: `req_pay:${r.id}` }]) } : undefined,
+  });
+});
+
+// ============ Inline Keyboard Callbacks ============
+
+const callbackHandlers = {
+  sched_cancel: async (query, jobId) => {
+    const cancelled = await cancelScheduledJob(jobId, query.from.id);
+    if (!cancelled) {
+      const { data: job } = await supabase.from('scheduled_jobs').select('status, source_author_id').eq('id', jobId).maybeSingle();
+      const reason = job && job.source_author_id !== String(query.from.id) ? 'Only the person who scheduled this can cancel it.' : 'This job already started or was cancelled.';
+      await bot.answerCallbackQuery(query.id, { text: reason, show_alert: true });
+      return;
     }
-  };
+    await bot.answerCallbackQuery(query.id, { text: '🗑 Schedule cancelled' });
+    await bot.sendMessage(query.message.chat.id, `🗑 Scheduled job \`${shortId(jobId)}\` cancelled.`, { parse_mode: 'Markdown' });
+  },
+  p2p_confirm: (query, id) => handleConfirmationCallback(query, id, true),
+  p2p_cancel: (query, id) => handleConfirmationCallback(query, id, false),
+  hist: handleHistoryCallback,
+  req_pay: async (query, id) => {
+    await bot.answerCallbackQuery(query.id, { text: 'Processing payment…' });
+    const outcome = await payPaymentRequest(query.message.chat, query.from, id, null);
+    if (outcome.error) await bot.sendMessage(query.message.chat.id, `❌ ${outcome.error}`);
+  },
+  req_decline: async (query, id) => {
+    const payer = await getProfileByTelegramId(query.from.id);
+    const updated = payer ? await declineRequest(id, payer.id) : null;
+    if (!updated) { await bot.answerCallbackQuery(query.id, { text: 'Only the person asked to pay can decline an open request.', show_alert: true }); return; }
+    await bot.answerCallbackQuery(query.id, { text: 'Declined' });
+    await refreshRequestMessage(updated);
+    await notifyRequestUpdate(updated, query.message.chat.id);
+  },
+  rec_pause: (query, id) => handleRecurringCallback(query, id, 'pause'),
+  rec_cancel: (query, id) => handleRecurringCallback(query, id, 'cancel'),
+  esc_hold: (query, id) => handleClaimOfferCallback(query, id, true),
+  esc_drop: (query, id) => handleClaimOfferCallback(query, id, false),
+  esc_cancel: handleCancelHoldCallback,
+  gw_join: joinRaffle,
+  cset: handleSettingsCallback,
+};
+
+async function handleRecurringCallback(query, id, action) {
+  const updated = await setRecurringStatus(id, query.from.id, action);
+  if (!updated) {
+    const rec = await getRecurring(id);
+    const reason = rec && rec.source_author_id !== String(query.from.id) ? 'Only the payer can change this recurring payment.' : `Can't ${action} this recurring payment right now.`;
+    await bot.answerCallbackQuery(query.id, { text: reason, show_alert: true });
+    return;
+  }
+  await bot.answerCallbackQuery(query.id, { text: action === 'pause' ? '⏸ Paused' : '🗑 Cancelled' });
+  await bot.sendMessage(query.message.chat.id, recurringStatusText(updated), { parse_mode: 'Markdown' });
+}
 
-  bot.on('message', handler);
-  setTimeout(() => { bot.removeListener('message', handler); }, 600000);
+bot.on('callback_query', async (query) => {
+  const [action, ...rest] = (query.data || '').split(':');
+  const handler = callbackHandlers[action];
+  if (!handler) { await bot.answerCallbackQuery(query.id); return; }
+  try {
+    await handler(query, rest.join(':'));
+  } catch (e) {
+    console.error(`Callback ${action} error:`, e.message);
+    await bot.answerCallbackQuery(query.id, { text: '❌ Something went wrong.' }).catch(() => {});
+  }
 });
 
 // ============ AI-Powered Natural Language Handler ============
@@ -385,6 +1326,7 @@ bot.on('message', async (msg) => {
   // Skip slash commands (handled above) and bot's own messages
   if (text.startsWith('/')) return;
   if (msg.from?.is_bot) return;
+  if (isQuizAnswerReply(msg)) return;
   
   // Only respond if mentioned or in private chat or replying to bot
   const isMentioned = text.toLowerCase().includes('@monibot') || text.toLowerCase().includes('monibot');
@@ -393,15 +1335,32 @@ bot.on('message', async (msg) => {
   
   if (!isMentioned && !isPrivate && !isReplyToBot) return;
   
+  // Quiet chats only answer when addressed directly
+  const settings = await getChatSettings(msg.chat);
+  if (settings.quiet && !isPrivate && !isReplyToBot && !text.toLowerCase().includes('@monibot')) return;
+  
   // Clean the text
   const cleaned = text.replace(/@monibot/gi, '').replace(/monibot/gi, '').trim();
   if (!cleaned) return;
   
-  // Deduplication
-  if (await isProcessed(msg.message_id)) return;
+  // Deduplication: claimed before anything can pay out
+  if (!(await claimCommand(msg, 'nlp'))) return;
   
   console.log(`[AI] NLP input from ${msg.from.username || msg.from.id}: "${cleaned.substring(0, 80)}"`);
   
+  // Bill splitting ("split $45 between me, @a and @b")
+  if (/^split\b/i.test(cleaned)) {
+    await handleSplitTg(msg, cleaned);
+    return;
+  }
+
+  // Recurring payments need an explicit "every …" or "cron …": "pay @bob $5 daily" stays a one-off
+  const recurrence = parseRecurrence(cleaned);
+  if (recurrence) {
+    await handleRecurringCommandTg(msg, recurrence, cleaned);
+    return;
+  }
+
   // Check for time-aware scheduling via edge function
   const scheduleResult = await parseScheduleViaEdge(text);
   if (scheduleResult?.hasSchedule && scheduleResult.scheduledAt && scheduleResult.command) {
@@ -410,9 +1369,9 @@ bot.on('message', async (msg) => {
   }
   
   // Try regex first (fast path)
-  const regexCmd = parseP2P(cleaned);
+  const regexCmd = parseP2P(cleaned) || await parseAliasPayment(msg, cleaned);
   if (regexCmd) {
-    await executeP2PCommand(msg, regexCmd);
+    await confirmOrExecuteP2P(msg, regexCmd, 'regex');
     return;
   }
   
@@ -423,10 +1382,7 @@ bot.on('message', async (msg) => {
     if (aiResult.type === 'balance') {
       const profile = await getProfileByTelegramId(msg.from.id);
       if (!profile) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
-      const chain = aiResult.chain || profile.preferred_network || 'base';
-      const { pub, config } = getClients(chain);
-      const bal = await pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [profile.wallet_address] });
-      await bot.sendMessage(msg.chat.id, `💰 *${parseFloat(formatUnits(bal, config.decimals)).toFixed(2)} ${config.symbol}* on ${chain.charAt(0).toUpperCase() + chain.slice(1)}`, { parse_mode: 'Markdown' });
+      await replyWithBalances(msg, profile, CHAINS[aiResult.chain] ? aiResult.chain : null);
       return;
     }
     
@@ -447,17 +1403,23 @@ bot.on('message', async (msg) => {
     
     // AI-parsed giveaway
     if (aiResult.type === 'giveaway' && aiResult.amount && aiResult.maxParticipants) {
-      await handleGiveawayTg(msg, aiResult.amount, aiResult.maxParticipants, aiResult.chain || 'base');
+      await handleGiveawayTg(msg, aiResult.amount, aiResult.maxParticipants, aiResult.chain || DEFAULT_CHAIN);
       return;
     }
     
     if ((aiResult.type === 'p2p' || aiResult.type === 'p2p_multi') && aiResult.amount && aiResult.recipients?.length) {
-      await executeP2PCommand(msg, { type: aiResult.type, amount: aiResult.amount, recipients: aiResult.recipients, chain: aiResult.chain || 'base' });
+      // The AI returns addresses and names as plain recipients
+      const external = aiResult.recipients.length === 1 && targetKind(aiResult.recipients[0]) !== 'alias';
+      await confirmOrExecuteP2P(msg, { type: external ? 'p2p_address' : aiResult.type, amount: aiResult.amount, recipients: aiResult.recipients, chain: aiResult.chain || DEFAULT_CHAIN }, 'ai');
       return;
     }
   }
   
-  // Conversational AI fallback
+  // Conversational AI fallback (groups can turn it off; quiet groups get no hint either)
+  if (!settings.ai_chat) {
+    if (!settings.quiet) await bot.sendMessage(msg.chat.id, "I'm MoniBot! 💸 Try `/help` to see what I can do.", { parse_mode: 'Markdown' });
+    return;
+  }
   const chatReply = await aiChat(cleaned, msg.from.username || msg.from.first_name, 'telegram');
   if (chatReply) {
     await bot.sendMessage(msg.chat.id, chatReply, { parse_mode: 'Markdown' });
@@ -466,248 +1428,1580 @@ bot.on('message', async (msg) => {
   }
 });
 
-// ============ Shared P2P Execution ============
+// ============ Edited Messages ============
+// Edits never run a command: Telegram delivers the whole message again, and acting on
+// it could pay twice. A pending confirmation for the edited message is cancelled.
 
-async function executeP2PCommand(msg, cmd) {
-  const sender = await getProfileByTelegramId(msg.from.id);
-  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
-  
-  await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'processing', sender.id);
-  
-  const results = [];
-  for (const tag of cmd.recipients) {
-    const recipient = await getProfileByMonitag(tag);
-    if (!recipient) { results.push({ tag, ok: false, reason: 'Not found' }); continue; }
-    if (recipient.id === sender.id) { results.push({ tag, ok: false, reason: 'Self-send' }); continue; }
-    
-    let activeChain = cmd.chain;
-    const result = await attemptP2POnChain(msg, sender, recipient, cmd.amount, tag, activeChain);
-    
-    if (result.ok) {
-      results.push(result);
-      continue;
-    }
-    
-    // Cross-chain fallback on balance/allowance errors
-    if (result.reason === 'Low balance' || result.reason === 'Low allowance') {
-      const alt = await findAlternateChain(sender.wallet_address, cmd.amount, activeChain);
-      
-      if (alt && !alt.needsAllowance) {
-        await bot.sendMessage(msg.chat.id, `🔄 Rerouting @${tag} payment to *${alt.chain.toUpperCase()}* (${alt.balance.toFixed(2)} ${alt.symbol})...`, { parse_mode: 'Markdown' });
-        const retryResult = await attemptP2POnChain(msg, sender, recipient, cmd.amount, tag, alt.chain);
-        if (retryResult.ok) retryResult.rerouted = `${activeChain} → ${alt.chain}`;
-        results.push(retryResult);
-        continue;
-      } else if (alt && alt.needsAllowance) {
-        results.push({ tag, ok: false, reason: `Funds on ${alt.chain.toUpperCase()} but needs allowance` });
-        continue;
-      }
-    }
-    
-    results.push(result);
-  }
-  
-  // Build AI-powered natural language reply
-  if (results.length === 1 && results[0].ok) {
-    const r = results[0];
-    const aiReply = await aiTransactionReply({
-      type: r.rerouted ? 'p2p_rerouted' : 'p2p_success',
-      amount: cmd.amount - r.fee,
-      fee: r.fee,
-      symbol: CHAINS[r.rerouted ? r.rerouted.split(' → ')[1] : cmd.chain]?.symbol || 'USDC',
-      recipient: r.tag,
-      sender: sender.pay_tag,
-      chain: r.rerouted ? r.rerouted.split(' → ')[1] : cmd.chain,
-      originalChain: r.rerouted ? r.rerouted.split(' → ')[0] : undefined,
-      txHash: r.hash,
-    });
-    await bot.sendMessage(msg.chat.id, aiReply || `Sent $${(cmd.amount - r.fee).toFixed(2)} to @${r.tag}. TX: \`${r.hash.substring(0, 18)}...\``, { parse_mode: 'Markdown' });
-    return;
-  }
+const EDITABLE_COMMAND = /^\/(send|pay|giveaway)\b/i;
 
-  if (results.length === 1 && !results[0].ok) {
-    const r = results[0];
-    let failType = 'error_generic';
-    if (r.reason === 'Low balance') failType = 'error_balance';
-    else if (r.reason === 'Low allowance') failType = 'error_allowance';
-    else if (r.reason?.includes('reverted')) failType = 'error_reverted';
-    else if (r.reason === 'Not found') failType = 'error_not_found';
-    
-    const aiReply = await aiTransactionReply({ type: failType, sender: sender.pay_tag, recipient: r.tag, amount: cmd.amount, chain: cmd.chain });
-    const fallbacks = {
-      error_balance: `Your balance is too low to send $${cmd.amount}. Fund your wallet at monipay.lovable.app`,
-      error_allowance: `You need to set your MoniBot allowance first. Go to monipay.lovable.app → Settings → MoniBot AI`,
-      error_reverted: `The transaction was submitted but reverted on-chain. Please try again.`,
-      error_not_found: `@${r.tag} isn't registered on MoniPay yet. They can sign up at monipay.lovable.app`,
-      error_generic: `Something went wrong sending to @${r.tag}. Please try again.`,
-    };
-    await bot.sendMessage(msg.chat.id, aiReply || fallbacks[failType], { parse_mode: 'Markdown' });
+bot.on('edited_message', async (msg) => {
+  if (!msg.text || msg.from?.is_bot) return;
+  const text = msg.text.trim();
+
+  const key = `${msg.chat.id}_${msg.message_id}`;
+  const pending = await takePrompt('confirmation', key);
+  if (pending) {
+    const { cmd, senderId } = pending.data;
+    await logCmd(pending.data.msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'cancelled', senderId);
+    await bot.editMessageText('✏️ The command was edited, so this confirmation was cancelled. Nothing was sent.', { chat_id: msg.chat.id, message_id: Number(pending.prompt_message_id) }).catch(() => {});
+    await bot.sendMessage(msg.chat.id, '✏️ Send the corrected command as a new message.', { reply_to_message_id: msg.message_id });
     return;
   }
 
-  // Multi-recipient summary
-  const successes = results.filter(r => r.ok);
-  const failures = results.filter(r => !r.ok);
-  let reply = successes.length ? `✅ *${successes.length} payment(s) sent!*\n` : '';
-  successes.forEach(r => {
-    const routeNote = r.rerouted ? ` _(routed: ${r.rerouted})_` : '';
-    reply += `• @${r.tag}: $${(cmd.amount - r.fee).toFixed(2)} ✓${routeNote}\n`;
-  });
-  if (failures.length) { reply += `\n❌ *Failed:*\n`; failures.forEach(r => { reply += `• @${r.tag}: ${r.reason}\n`; }); }
-  
-  await bot.sendMessage(msg.chat.id, reply, { parse_mode: 'Markdown' });
+  const looksLikeCommand = EDITABLE_COMMAND.test(text) || /monibot/i.test(text) || (msg.chat.type === 'private' && !!parseP2P(text));
+  if (!looksLikeCommand) return;
+
+  const previous = await getCommand(msg);
+  const handled = previous && previous.status !== 'received' && previous.status !== 'awaiting_confirmation';
+  await bot.sendMessage(msg.chat.id, handled
+    ? '✏️ Editing doesn\'t change a command I already ran. Send a new message for anything else.'
+    : '✏️ I don\'t act on edited messages. Send it as a new message.', { reply_to_message_id: msg.message_id });
+});
+
+// ============ Payment Confirmation ============
+
+const CONFIRM_THRESHOLD = parseFloat(process.env.CONFIRM_THRESHOLD || '10');
+const CONFIRM_TIMEOUT_MS = parseInt(process.env.CONFIRM_TIMEOUT_SEC || '120') * 1000;
+
+function confirmThreshold(profile) {
+  const custom = profile?.monibot_confirm_threshold;
+  return custom === null || custom === undefined ? CONFIRM_THRESHOLD : parseFloat(custom);
 }
 
 /**
- * Attempt a single P2P transfer on a specific chain. Returns result object.
+ * Quote the router fee for one payment of `amount` on `chain`.
  */
-async function attemptP2POnChain(msg, sender, recipient, amount, tag, chainName) {
-  try {
-    const { pub, wallet, config } = getClients(chainName);
-    const amountUnits = parseUnits(amount.toFixed(config.decimals), config.decimals);
-    const [nonce, balance, allowance] = await Promise.all([
-      pub.readContract({ address: config.router, abi: routerAbi, functionName: 'getNonce', args: [sender.wallet_address] }),
-      pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [sender.wallet_address] }),
-      pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'allowance', args: [sender.wallet_address, config.router] }),
-    ]);
-    
-    if (balance < amountUnits) return { tag, ok: false, reason: 'Low balance' };
-    if (allowance < amountUnits) return { tag, ok: false, reason: 'Low allowance' };
-    
-    let calldata = encodeFunctionData({ abi: routerAbi, functionName: 'executeP2P', args: [sender.wallet_address, recipient.wallet_address, amountUnits, nonce, `tg_${msg.message_id}_${tag}`] });
-    if (config.builder) calldata = `${calldata}${builderSuffix()}`;
-    
-    const gas = await pub.estimateContractGas({ address: config.router, abi: routerAbi, functionName: 'executeP2P', args: [sender.wallet_address, recipient.wallet_address, amountUnits, nonce, `tg_${msg.message_id}_${tag}`], account: wallet.account?.address });
-      const receipt = await pub.waitForTransactionReceipt({ hash });
-      if (receipt.status === 'reverted') return { tag, ok: false, reason: 'Transaction reverted on-chain' };
-    
-    const [fee] = await pub.readContract({ address: config.router, abi: routerAbi, functionName: 'calculateFee', args: [amountUnits] });
-    const feeNum = parseFloat(formatUnits(fee, config.decimals));
-    
-    await supabase.from('monibot_transactions').insert({
-      sender_id: sender.id, receiver_id: recipient.id,
-      amount: amount - feeNum, fee: feeNum, tx_hash: hash,
-      type: 'p2p_command', payer_pay_tag: sender.pay_tag, recipient_pay_tag: recipient.pay_tag,
-      chain: chainName.toUpperCase(), status: 'completed', replied: true,
-    });
-    
-    return { tag, ok: true, hash, fee: feeNum };
-  } catch (e) {
-    return { tag, ok: false, reason: e.message.split(':')[0] };
-  }
+async function quoteFee(chain, amount) {
+  const { pub, config } = getClients(chain);
+  const amountUnits = parseUnits(amount.toFixed(config.decimals), config.decimals);
+  const [[fee, net], gasPrice] = await Promise.all([
+    pub.readContract({ address: config.router, abi: routerAbi, functionName: 'calculateFee', args: [amountUnits] }),
+    pub.getGasPrice(),
+  ]);
+  const feeNum = parseFloat(formatUnits(fee, config.decimals));
+  const cost = assessNetworkCost(amount, feeNum, gasCostUsd(chain, TYPICAL_GAS_UNITS, gasPrice));
+  return { fee: feeNum, net: parseFloat(formatUnits(net, config.decimals)), symbol: config.symbol, cost };
 }
 
-// ============ AI-Parsed Giveaway for Telegram ============
-
-async function handleGiveawayTg(msg, amount, maxPeople, chain) {
+/**
+ * Execute a p2p command straight away, or ask the sender to confirm it first
+ * when it's above their threshold or came from AI parsing.
+ * @param {'regex'|'ai'} source - How the command was parsed
+ */
+async function confirmOrExecuteP2P(msg, cmd, source) {
   const sender = await getProfileByTelegramId(msg.from.id);
   if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+  const policy = await applyChatChainPolicy(msg, cmd);
+  if (policy.error) { await bot.sendMessage(msg.chat.id, `🚫 ${policy.error}.`); return; }
+  cmd = policy.cmd;
+  if (cmd.type === 'p2p_address') { await confirmAddressPayment(msg, sender, cmd, source); return; }
+
+  const bounds = amountBoundsError(cmd.chain, cmd.amount);
+  if (bounds) { await bot.sendMessage(msg.chat.id, `❌ ${bounds}.`); return; }
+
+  // Fees that eat a big share of the payment always get a confirmation tap, with the fee shown
+  const total = cmd.amount * cmd.recipients.length;
+  const requestedQuote = await tryQuoteFee(cmd.chain, cmd.amount);
+  if (requestedQuote?.cost.level === 'refuse') { await bot.sendMessage(msg.chat.id, `❌ ${requestedQuote.cost.message}. Try a larger amount.`); return; }
+  if (source !== 'ai' && total <= confirmThreshold(sender) && requestedQuote?.cost.level !== 'warn') {
+    await executeP2PCommand(msg, cmd);
+    return;
+  }
 
-  await bot.sendMessage(msg.chat.id, `🎁 *Giveaway by @${sender.pay_tag}!*\n\n💰 *$${amount}* each to the first *${maxPeople}* people!\n\n👇 Drop your @MoniTag below to claim!`, { parse_mode: 'Markdown' });
+  const key = `${msg.chat.id}_${msg.message_id}`;
+  if (await getPrompt('confirmation', key)) return;
 
-  let claimed = 0;
-  const claimedUsers = new Set();
+  // Single payments show (and lock in) the planned route; multi-sends pick theirs when sending
+  const recipient = cmd.recipients.length === 1 ? await getProfileByMonitag(cmd.recipients[0]) : null;
+  const plan = recipient && recipient.id !== sender.id ? await planCommandRoute(msg, sender, cmd, [recipient]) : null;
+  const routeChain = plan ? plan.legs[0].chain : cmd.chain;
+  const quote = plan?.split ? null : routeChain === cmd.chain ? requestedQuote : await tryQuoteFee(routeChain, cmd.amount);
 
-  const handler = async (reply) => {
-    if (reply.chat.id !== msg.chat.id || claimed >= maxPeople) return;
-    if (reply.from.bot || claimedUsers.has(reply.from.id)) return;
+  await askToConfirm(msg, sender, plan ? { ...cmd, plan } : cmd, key, confirmationText(cmd, plan, quote, source));
+}
 
-    const tagMatch = reply.text?.match(/@(\w[\w-]*)/);
-    if (!tagMatch) return;
-    const claimTag = tagMatch[1].toLowerCase();
-    if (claimTag === 'monibot') return;
+/**
+ * @param {string|null} source - 'ai' adds a double-check note
+ */
+function confirmationText(cmd, plan, quote, source) {
+  const total = cmd.amount * cmd.recipients.length;
+  const chain = plan && !plan.split ? plan.legs[0].chain : cmd.chain;
+  const symbol = quote?.symbol || chainSymbol(chain);
+  const each = cmd.recipients.length > 1 ? ' each' : '';
+  let text = plan?.split ? `🧾 *Confirm split payment*\n\n` : `🧾 *Confirm payment*\n\n`;
+  text += `💸 *Amount:* $${cmd.amount.toFixed(2)}${each} (total $${total.toFixed(2)})\n`;
+  text += `👥 *To:* ${cmd.recipients.map(t => `@${t}`).join(', ')}\n`;
+  if (plan?.split) {
+    text += `⛓ *Route:*\n`;
+    plan.legs.forEach(l => { text += `• $${l.amount.toFixed(2)} on ${chainLabel(l.chain)} (${chainSymbol(l.chain)}), fee ~$${l.fee.toFixed(2)}\n`; });
+  } else {
+    text += `⛓ *Chain:* ${chain.toUpperCase()} (${symbol})\n`;
+    text += quote ? `🏷 *Fee:* $${quote.fee.toFixed(2)}${each}\n✅ *Recipient gets:* $${quote.net.toFixed(2)}${each}\n` : `🏷 *Fee:* unavailable right now\n`;
+    if (quote && quote.cost.level !== 'ok') text += `⚠️ *${quote.cost.message}*\n`;
+  }
+  if (plan) text += `🧭 _Route: ${plan.summary}_\n`;
+  if (source === 'ai') text += `\n🤖 _Parsed by AI — please double-check before confirming._\n`;
+  if (plan?.split) text += `\n⚠️ _No single chain has enough. Confirm to send it in ${plan.legs.length} parts._\n`;
+  text += `\n⏳ _Expires in ${Math.round(CONFIRM_TIMEOUT_MS / 1000)}s_`;
+  return text;
+}
 
-    const recipient = await getProfileByMonitag(claimTag);
-    if (!recipient || recipient.id === sender.id) return;
+async function tryQuoteFee(chain, amount) {
+  try { return await quoteFee(chain, amount); } catch (e) { console.warn(`  ⚠️ Fee quote failed [${chain}]: ${e.message}`); return null; }
+}
 
-    claimedUsers.add(reply.from.id);
-    claimed++;
+/**
+ * Payments to addresses and names always need a confirmation tap, and the prompt
+ * shows the full resolved address.
+ */
+async function confirmAddressPayment(msg, sender, cmd, source) {
+  const key = `${msg.chat.id}_${msg.message_id}`;
+  if (await getPrompt('confirmation', key)) return;
+
+  const resolved = await resolvePaymentTarget(cmd.recipients[0], sender.id);
+  if (resolved.error) { await bot.sendMessage(msg.chat.id, `❌ ${resolved.error}`, { parse_mode: 'Markdown' }); return; }
+  const resolvedCmd = { ...cmd, address: resolved.address, label: resolved.label };
+
+  const bounds = amountBoundsError(cmd.chain, cmd.amount);
+  if (bounds) { await bot.sendMessage(msg.chat.id, `❌ ${bounds}.`); return; }
+  const quote = await tryQuoteFee(cmd.chain, cmd.amount);
+  if (quote?.cost.level === 'refuse') { await bot.sendMessage(msg.chat.id, `❌ ${quote.cost.message}. Try a larger amount.`); return; }
+  const symbol = quote?.symbol || chainSymbol(cmd.chain);
+  let text = `🧾 *Confirm payment to an address*\n\n`;
+  text += `💸 *Amount:* $${cmd.amount.toFixed(2)}\n`;
+  if (resolved.label) text += `🏷 *Name:* ${resolved.label}\n`;
+  text += `📬 *Address:*\n\`${resolved.address}\`\n`;
+  text += `⛓ *Chain:* ${cmd.chain.toUpperCase()} (${symbol})\n`;
+  text += quote ? `🏷 *Fee:* $${quote.fee.toFixed(2)}\n✅ *Address gets:* $${quote.net.toFixed(2)}\n` : `🏷 *Fee:* unavailable right now\n`;
+  if (quote?.cost.level === 'warn') text += `⚠️ *${quote.cost.message}*\n`;
+  if (source === 'ai') text += `\n🤖 _Parsed by AI — please double-check before confirming._\n`;
+  text += `\n⚠️ _Check the address carefully: payments to addresses can't be reversed._`;
+  text += `\n⏳ _Expires in ${Math.round(CONFIRM_TIMEOUT_MS / 1000)}s_`;
+
+  await askToConfirm(msg, sender, resolvedCmd, key, text);
+}
 
-    try {
-      const { pub, wallet, config } = getClients(chain);
-      const amt = parseUnits(amount.toFixed(config.decimals), config.decimals);
-      const [nonce, bal, allow] = await Promise.all([
-        pub.readContract({ address: config.router, abi: routerAbi, functionName: 'getNonce', args: [sender.wallet_address] }),
-        pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [sender.wallet_address] }),
-        pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'allowance', args: [sender.wallet_address, config.router] }),
-      ]);
+// What a confirmed prompt does. Prompts are stored as JSON in pending_prompts (so a tap can
+// land on any replica), so they name their action instead of carrying a callback.
+const CONFIRM_ACTIONS = {
+  send: (msg, cmd) => executeP2PCommand(msg, cmd),
+  schedule: (msg, cmd, sender, { scheduledAt, scheduleResult, originalText }) =>
+    queueScheduledCommand(msg, sender, cmd, new Date(scheduledAt), scheduleResult, originalText),
+  recurring: (msg, cmd, sender, { parsed, originalText }) =>
+    setUpRecurring(msg, sender, cmd, { ...parsed, endAt: parsed.endAt ? new Date(parsed.endAt) : null }, originalText),
+};
 
-      if (bal < amt || allow < amt) {
-        await bot.sendMessage(msg.chat.id, '❌ Giveaway ended — insufficient funds.');
-        bot.removeListener('message', handler);
-        return;
-      }
+/**
+ * Post a Confirm / Cancel prompt for `cmd`. Confirming runs CONFIRM_ACTIONS[action] with
+ * `details` (sending the payment unless the caller sets up something else, like a scheduled job).
+ * @param {{ action?: 'send'|'schedule'|'recurring', details?: object, confirmedText?: string }} [options] -
+ *   `details` must be plain JSON
+ */
+async function askToConfirm(msg, sender, cmd, key, text, { action = 'send', details = {}, confirmedText = null } = {}) {
+  await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'awaiting_confirmation', sender.id);
 
-      let cd = encodeFunctionData({ abi: routerAbi, functionName: 'executeP2P', args: [sender.wallet_address, recipient.wallet_address, amt, nonce, `tg_giveaway_${msg.message_id}_${claimed}`] });
-      if (config.builder) cd = `${cd}${builderSuffix()}`;
-
-      const gas = await pub.estimateContractGas({ address: config.router, abi: routerAbi, functionName: 'executeP2P', args: [sender.wallet_address, recipient.wallet_address, amt, nonce, `tg_giveaway_${msg.message_id}_${claimed}`], account: wallet.account?.address });
-      const hash = await wallet.sendTransaction({ to: config.router, data: cd, gas: gas + gas / 5n });
-      const receipt = await pub.waitForTransactionReceipt({ hash });
-      if (receipt.status === 'reverted') {
-        claimedUsers.delete(reply.from.id);
-        claimed--;
-        await bot.sendMessage(msg.chat.id, `Transaction for @${recipient.pay_tag} was reverted. Skipping.`);
-        return;
-      }
-      await supabase.from('monibot_transactions').insert({
-        sender_id: sender.id, receiver_id: recipient.id,
-        amount: amount, fee: 0, tx_hash: hash,
-        type: 'p2p_command', payer_pay_tag: sender.pay_tag, recipient_pay_tag: recipient.pay_tag,
-        chain: chain.toUpperCase(), status: 'completed', replied: true,
-      });
-
-      await bot.sendMessage(msg.chat.id, `✅ *$${amount}* sent to *@${recipient.pay_tag}*! (${claimed}/${maxPeople})`, { parse_mode: 'Markdown' });
-
-      if (claimed >= maxPeople) {
-        await bot.sendMessage(msg.chat.id, '🎁 *Giveaway complete!* All spots filled.', { parse_mode: 'Markdown' });
-        bot.removeListener('message', handler);
-      }
-    } catch (e) {
-      claimedUsers.delete(reply.from.id);
-      claimed--;
-      console.error('Giveaway error:', e.message);
-    }
-  };
+  const prompt = await bot.sendMessage(msg.chat.id, text, {
+    parse_mode: 'Markdown',
+    reply_to_message_id: msg.message_id,
+    reply_markup: { inline_keyboard: [[{ text: '✅ Confirm', callback_data: `p2p_confirm:${key}` }, { text: '❌ Cancel', callback_data: `p2p_cancel:${key}` }]] },
+  });
 
-  bot.on('message', handler);
-  setTimeout(() => { bot.removeListener('message', handler); }, 600000);
+  const saved = await savePrompt('confirmation', key, { chatId: msg.chat.id, promptId: prompt.message_id, ownerId: msg.from.id, data: { msg, cmd, senderId: sender.id, action, details, confirmedText }, ttlMs: CONFIRM_TIMEOUT_MS });
+  if (!saved) {
+    await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'failed', sender.id);
+    await bot.editMessageText("⚠️ I couldn't save this confirmation, so nothing will be sent. Please try again in a minute.", { chat_id: msg.chat.id, message_id: prompt.message_id }).catch(() => {});
+  }
 }
 
-// ============ Scheduled Command Handler ============
+async function handleConfirmationCallback(query, key, confirmed) {
+  const stored = await getPrompt('confirmation', key);
+  if (!stored) {
+    await bot.answerCallbackQuery(query.id, { text: 'This confirmation has expired.', show_alert: true });
+    return;
+  }
+  if (String(query.from.id) !== stored.owner_telegram_id) {
+    await bot.answerCallbackQuery(query.id, { text: 'Only the sender can confirm this payment.', show_alert: true });
+    return;
+  }
+  // A double tap, or the same tap retried on another replica, finds it gone
+  if (!(await takePrompt('confirmation', key))) {
+    await bot.answerCallbackQuery(query.id, { text: 'This confirmation was already answered.', show_alert: true });
+    return;
+  }
 
-async function handleScheduledCommandTg(msg, scheduleResult, originalText) {
-  const sender = await getProfileByTelegramId(msg.from.id);
-  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+  const { msg, cmd, senderId, action, details, confirmedText } = stored.data;
+  const where = { chat_id: msg.chat.id, message_id: Number(stored.prompt_message_id) };
 
-  const scheduledAt = new Date(scheduleResult.scheduledAt);
-  if (scheduledAt <= new Date()) {
-    await bot.sendMessage(msg.chat.id, '⏰ That time is in the past. Please specify a future time.');
+  if (!confirmed) {
+    await bot.answerCallbackQuery(query.id, { text: 'Cancelled' });
+    await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'cancelled', senderId);
+    await bot.editMessageText('❌ Payment cancelled. Nothing was sent.', where).catch(() => {});
     return;
   }
 
-  // Parse the underlying command
-  const innerCmd = parseP2P(scheduleResult.command);
-  let aiCmd = null;
-  if (!innerCmd) {
-    const aiResult = await aiParseCommand(scheduleResult.command, 'telegram');
-    if (aiResult && aiResult.type && aiResult.type !== 'chat' && aiResult.type !== 'help' && aiResult.type !== 'link' && aiResult.type !== 'balance') {
-      aiCmd = aiResult;
+  await bot.answerCallbackQuery(query.id, { text: confirmedText ? 'Confirmed' : 'Sending…' });
+  await bot.editMessageText(confirmedText || `✅ Confirmed — sending $${cmd.amount.toFixed(2)} to ${describeRecipients(cmd)}…`, where).catch(() => {});
+  if (action === 'send') { await CONFIRM_ACTIONS.send(msg, cmd); return; }
+
+  const sender = await getProfileById(senderId);
+  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+  await CONFIRM_ACTIONS[action](msg, cmd, sender, details);
+}
+
+/**
+ * Expire prompts past their TTL: log expired confirmations and close their messages.
+ */
+async function expirePrompts() {
+  for (const prompt of await takeExpiredPrompts()) {
+    const where = { chat_id: prompt.chat_id, message_id: Number(prompt.prompt_message_id) };
+    if (prompt.kind === 'claim_offer') {
+      const { amount, tag } = prompt.data;
+      await bot.editMessageText(`⌛ Offer to hold $${amount.toFixed(2)} for @${tag} expired.`, where).catch(() => {});
+      continue;
     }
+    const { msg, cmd, senderId } = prompt.data;
+    await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'expired', senderId);
+    await bot.editMessageText('⌛ Payment confirmation expired. Nothing was sent.', where).catch(() => {});
   }
+}
 
-  const cmd = innerCmd || aiCmd;
-  if (!cmd) {
-    await bot.sendMessage(msg.chat.id, '❌ I can only schedule payment commands. Try: `monibot send $5 to @alice tomorrow at 3pm`', { parse_mode: 'Markdown' });
-    return;
-  }
+// ============ Chat Settings ============
 
+async function isChatAdmin(chatId, userId) {
+  const member = await bot.getChatMember(chatId, userId).catch(() => null);
+  return member?.status === 'creator' || member?.status === 'administrator';
+}
+
+/**
+ * Whether a message comes from a chat admin. Anonymous admins post as the group itself
+ * (`from` is GroupAnonymousBot, `sender_chat` is this chat), which only an admin can do.
+ */
+async function isAdminMessage(msg) {
+  if (msg.sender_chat?.id === msg.chat.id) return true;
+  return isChatAdmin(msg.chat.id, msg.from.id);
+}
+
+const GIVEAWAY_PERMISSION_LABELS = { anyone: 'anyone', admins: 'admins only', off: 'off' };
+
+function settingsPanelText(settings) {
+  const chains = settings.allowed_chains ? settings.allowed_chains.map(chainLabel).join(', ') : 'all';
+  const fallback = chainAllowed(settings, DEFAULT_CHAIN) ? DEFAULT_CHAIN : allowedChains(settings)[0];
+  return `⚙️ *MoniBot settings for this chat*
+
+⛓ Chains: ${chains}
+⭐ Default chain: ${settings.default_chain ? chainLabel(settings.default_chain) : `auto (${chainLabel(fallback)} unless the route planner finds cheaper)`}
+🎁 Giveaways: ${GIVEAWAY_PERMISSION_LABELS[settings.giveaways]}
+💰 Giveaway cap: ${settings.max_giveaway_usd ? `$${settings.max_giveaway_usd.toFixed(2)} total` : 'none'}
+🤖 AI chat replies: ${settings.ai_chat ? 'on' : 'off'}
+🤫 Quiet mode: ${settings.quiet ? 'on (only @monibot mentions and replies)' : 'off'}
+
+_Tap to change. Only chat admins can._`;
+}
+
+function settingsKeyboard(settings) {
+  const chainButtons = CHAIN_KEYS.map(key => ({ text: `${chainAllowed(settings, key) ? '✅' : '▫️'} ${chainLabel(key)}`, callback_data: `cset:chain:${key}` }));
+  const rows = [];
+  for (let i = 0; i < chainButtons.length; i += 3) rows.push(chainButtons.slice(i, i + 3));
+  rows.push([{ text: `⭐ Default: ${settings.default_chain ? chainLabel(settings.default_chain) : 'auto'}`, callback_data: 'cset:default' }]);
+  rows.push([
+    { text: `🎁 Giveaways: ${GIVEAWAY_PERMISSION_LABELS[settings.giveaways]}`, callback_data: 'cset:giveaways' },
+    { text: `💰 Cap: ${settings.max_giveaway_usd ? `$${settings.max_giveaway_usd}` : 'none'}`, callback_data: 'cset:cap' },
+  ]);
+  rows.push([
+    { text: `🤖 AI chat: ${settings.ai_chat ? 'on' : 'off'}`, callback_data: 'cset:ai' },
+    { text: `🤫 Quiet: ${settings.quiet ? 'on' : 'off'}`, callback_data: 'cset:quiet' },
+  ]);
+  rows.push([{ text: '✔️ Done', callback_data: 'cset:done' }]);
+  return { inline_keyboard: rows };
+}
+
+async function handleSettingsCallback(query, data) {
+  const chat = query.message.chat;
+  if (!(await isChatAdmin(chat.id, query.from.id))) {
+    await bot.answerCallbackQuery(query.id, { text: 'Only chat admins can change settings.', show_alert: true });
+    return;
+  }
+
+  const [field, value] = data.split(':');
+  const edit = { chat_id: chat.id, message_id: query.message.message_id, parse_mode: 'Markdown' };
+  if (field === 'done') {
+    await bot.answerCallbackQuery(query.id);
+    await bot.editMessageText(settingsPanelText(await getChatSettings(chat)).replace(/\n\n_Tap to change.*_$/, ''), edit).catch(() => {});
+    return;
+  }
+
+  const patch = settingsChange(await getChatSettings(chat), field, value);
+  if (patch.error) { await bot.answerCallbackQuery(query.id, { text: patch.error, show_alert: true }); return; }
+
+  const updated = await updateChatSettings(chat.id, patch, query.from.id);
+  console.log(`⚙️ Chat ${chat.id} settings by ${query.from.id}:`, patch);
+  await bot.answerCallbackQuery(query.id, { text: '✅ Saved' });
+  await bot.editMessageText(settingsPanelText(updated), { ...edit, reply_markup: settingsKeyboard(updated) }).catch(() => {});
+}
+
+/**
+ * A chat's chain policy applied to a command. With no chain named, the chat's default
+ * chain is used and kept like a named one; a chain the chat doesn't allow is refused.
+ * @returns {Promise<{ cmd: object } | { error: string }>}
+ */
+async function applyChatChainPolicy(msg, cmd) {
+  const settings = await getChatSettings(msg.chat);
+  const named = cmd.chainExplicit ?? !!matchChain(msg.text || '');
+  if (named) {
+    if (!chainAllowed(settings, cmd.chain)) return { error: `${chainLabel(cmd.chain)} isn't enabled in this chat. Use ${allowedChains(settings).map(chainLabel).join(', ')}` };
+    return { cmd: { ...cmd, chainExplicit: true } };
+  }
+  if (settings.default_chain) return { cmd: { ...cmd, chain: settings.default_chain, chainExplicit: true } };
+  const chain = chainAllowed(settings, cmd.chain) ? cmd.chain : allowedChains(settings)[0];
+  return { cmd: { ...cmd, chain, chainExplicit: false } };
+}
+
+/**
+ * Who may start a giveaway in this chat, and how big it may be.
+ * @returns {Promise<string|null>} why not, or null
+ */
+async function giveawayPolicyError(msg, amount, maxPeople) {
+  const settings = await getChatSettings(msg.chat);
+  if (settings.giveaways === 'off') return 'Giveaways are turned off in this chat.';
+  if (settings.giveaways === 'admins' && !(await isAdminMessage(msg))) return 'Only chat admins can start giveaways here.';
+  const total = amount * maxPeople;
+  if (settings.max_giveaway_usd && total > settings.max_giveaway_usd) {
+    return `Giveaways here are capped at $${settings.max_giveaway_usd.toFixed(2)} in total ($${amount} × ${maxPeople} = $${total.toFixed(2)}).`;
+  }
+  return null;
+}
+
+// ============ Spending Limits ============
+
+function limitRefusalText(check) {
+  const usd = (n) => `$${n.toFixed(2)}`;
+  switch (check.rule) {
+    case 'max_per_tx': return `🚫 Max *${usd(check.cap)}* per payment. Try a smaller amount.`;
+    case 'tx_per_hour': return `🚫 Slow down — max *${check.cap}* payments per hour. Try again later.`;
+    case 'daily': return `🚫 Daily limit: you've sent *${usd(check.used)}* of *${usd(check.cap)}* in the last 24h. Remaining: *${usd(check.remaining)}*.`;
+    case 'weekly': return `🚫 Weekly limit: you've sent *${usd(check.used)}* of *${usd(check.cap)}* in the last 7 days. Remaining: *${usd(check.remaining)}*.`;
+    case 'chat_daily': return `🚫 This chat hit its daily limit: *${usd(check.used)}* of *${usd(check.cap)}* sent in 24h. Remaining: *${usd(check.remaining)}*.`;
+    default: return `⚠️ Couldn't verify your spending limits right now. Nothing was sent — please try again.`;
+  }
+}
+
+/**
+ * Check `count` payments of `amount` against the sender's and chat's limits.
+ * Replies with the refusal and returns false when blocked (fails closed).
+ */
+async function enforceSpendLimits(msg, sender, amount, count) {
+  let check;
+  try {
+    check = await checkSpendLimits(sender, msg.chat.id, amount, count);
+  } catch (e) {
+    console.error('❌ Limit check failed:', e.message);
+    check = { ok: false, rule: 'unavailable' };
+  }
+  if (check.ok) return true;
+  await bot.sendMessage(msg.chat.id, limitRefusalText(check), { parse_mode: 'Markdown' });
+  return false;
+}
+
+// ============ Shared P2P Execution ============
+
+/**
+ * Run a parsed p2p / p2p_multi command and reply in the chat.
+ * Returns the per-recipient results, or null if the sender isn't linked.
+ */
+async function executeP2PCommand(msg, cmd) {
+  const sender = await getProfileByTelegramId(msg.from.id);
+  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return null; }
+  // Scheduled, recurring and request payments come straight here, so the chat's policy is applied again
+  const policy = await applyChatChainPolicy(msg, cmd);
+  if (policy.error) {
+    await bot.sendMessage(msg.chat.id, `🚫 ${policy.error}.`);
+    await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'rejected_policy', sender.id);
+    return cmd.recipients.map(tag => transferFailure(tag, TransferError.CHAIN_NOT_ALLOWED, { reason: policy.error }));
+  }
+  cmd = policy.cmd;
+  if (cmd.type === 'p2p_address') return executeAddressPayment(msg, sender, cmd);
+
+  if (!(await enforceSpendLimits(msg, sender, cmd.amount, cmd.recipients.length))) {
+    await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'rejected_limit', sender.id);
+    return cmd.recipients.map(tag => transferFailure(tag, TransferError.LIMIT_EXCEEDED));
+  }
+  
+  await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'processing', sender.id);
+  if (cmd.recipients.length > 1) {
+    const results = await executeMultiSend(msg, cmd, sender);
+    await logCmdOutcome(msg, cmd, sender, results);
+    return results;
+  }
+  
+  const [tag] = cmd.recipients;
+  const recipient = await getProfileByMonitag(tag);
+  let result;
+  if (!recipient) result = transferFailure(tag, TransferError.RECIPIENT_NOT_FOUND);
+  else if (recipient.id === sender.id) result = transferFailure(tag, TransferError.SELF_SEND);
+  else {
+    // A plan in the command was already shown to (and confirmed by) the sender
+    const plan = cmd.plan || await planCommandRoute(msg, sender, cmd, [recipient]);
+    if (plan?.split && !cmd.plan) {
+      if (cmd.interactive === false) result = transferFailure(tag, TransferError.NEEDS_SPLIT);
+      else { await askToConfirm(msg, sender, { ...cmd, plan }, `${msg.chat.id}_${msg.message_id}`, confirmationText(cmd, plan, null, null)); return []; }
+    } else if (plan) {
+      result = await sendAlongRoute(msg, sender, recipient, cmd.amount, tag, plan);
+    } else {
+      result = await sendWithReroute(msg, sender, recipient, cmd.amount, tag, cmd.chain);
+    }
+  }
+  
+  const results = [result];
+  await logCmdOutcome(msg, cmd, sender, results);
+  await replyWithP2PResults(msg, cmd, sender, results);
+  await offerClaimableHolds(msg, cmd, results);
+  return results;
+}
+
+/**
+ * Plan the route for a command. The chain counts as chosen by the sender when the
+ * command names one (or the caller says so with `chainExplicit`).
+ */
+async function planCommandRoute(msg, sender, cmd, recipients) {
+  const settings = await getChatSettings(msg.chat);
+  return planRoute({
+    walletAddress: sender.wallet_address,
+    amount: cmd.amount,
+    count: recipients.length,
+    requestedChain: cmd.chain,
+    explicit: cmd.chainExplicit ?? !!matchChain(msg.text || ''),
+    preferred: recipients.map(r => r.preferred_network),
+    chains: allowedChains(settings),
+  }).catch(e => { console.error('[Routing] Plan failed:', e.message); return null; });
+}
+
+/**
+ * Send one payment along a planned route: one chain, or consecutive legs of a split.
+ * A split that fails part-way reports what already went out.
+ */
+async function sendAlongRoute(msg, sender, recipient, amount, tag, plan) {
+  if (!plan.split) {
+    const [{ chain }] = plan.legs;
+    const result = await attemptP2POnChain(msg, sender, recipient, amount, tag, chain);
+    return { ...result, chain, route: plan.summary };
+  }
+  
+  const legs = [];
+  for (const leg of plan.legs) {
+    const result = await attemptP2POnChain(msg, sender, recipient, leg.amount, tag, leg.chain, `tg_${msg.message_id}_${tag}_${leg.chain}`);
+    legs.push({ ...result, chain: leg.chain, amount: leg.amount });
+    if (!result.ok) break;
+  }
+  
+  const sent = legs.filter(l => l.ok);
+  const failed = legs.find(l => !l.ok);
+  const sentAmount = sent.reduce((sum, l) => sum + l.amount, 0);
+  return {
+    tag, ok: !failed, hash: sent[0]?.hash, fee: sent.reduce((sum, l) => sum + l.fee, 0), legs, route: plan.summary,
+    ...(failed?.pending ? { pending: true } : {}),
+    ...(failed ? { code: failed.code, reason: sent.length ? `Split stopped after $${sentAmount.toFixed(2)}: ${failed.reason} on ${chainLabel(failed.chain)}` : failed.reason } : {}),
+  };
+}
+
+/**
+ * One transfer, falling back to another chain on balance/allowance errors.
+ */
+async function sendWithReroute(msg, sender, recipient, amount, tag, chainName) {
+  const result = await attemptP2POnChain(msg, sender, recipient, amount, tag, chainName);
+  if (result.ok) return result;
+  
+  // Cross-chain fallback on balance/allowance errors
+  if (isFundingError(result.code)) {
+    const found = await findAlternateChain(sender.wallet_address, amount, chainName);
+    const alt = found && chainAllowed(await getChatSettings(msg.chat), found.chain) ? found : null;
+    
+    if (alt && !alt.needsAllowance) {
+      await bot.sendMessage(msg.chat.id, `🔄 Rerouting @${tag} payment to *${alt.chain.toUpperCase()}* (${alt.balance.toFixed(2)} ${alt.symbol})...`, { parse_mode: 'Markdown' });
+      const retryResult = await attemptP2POnChain(msg, sender, recipient, amount, tag, alt.chain);
+      if (retryResult.ok) retryResult.rerouted = `${chainName} → ${alt.chain}`;
+      return retryResult;
+    } else if (alt && alt.needsAllowance) {
+      return transferFailure(tag, TransferError.INSUFFICIENT_ALLOWANCE, { reason: `Funds on ${alt.chain.toUpperCase()} but needs allowance` });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Multi-recipient send: settle everything in one batch on the requested chain and edit
+ * a progress reply as receipts land. Whatever the batch couldn't settle (unfunded batch,
+ * a revert that invalidated later router nonces) goes one by one with the usual reroutes.
+ */
+async function executeMultiSend(msg, cmd, sender) {
+  const results = new Array(cmd.recipients.length).fill(null);
+  const pending = [];
+  for (const [index, tag] of cmd.recipients.entries()) {
+    const recipient = await getProfileByMonitag(tag);
+    if (!recipient) results[index] = transferFailure(tag, TransferError.RECIPIENT_NOT_FOUND);
+    else if (recipient.id === sender.id) results[index] = transferFailure(tag, TransferError.SELF_SEND);
+    else pending.push({ index, tag, recipient, amount: cmd.amount, memo: `tg_${msg.message_id}_${tag}` });
+  }
+  
+  // One chain for the whole batch: the cheapest that covers every transfer
+  const plan = pending.length ? await planCommandRoute(msg, sender, cmd, pending.map(p => p.recipient)) : null;
+  const chain = plan ? plan.legs[0].chain : cmd.chain;
+  const routeNote = plan ? `\n🧭 _Route: ${plan.summary}_` : '';
+  
+  const progress = await startProgressReply(msg.chat.id, multiSendProgressText(cmd, results));
+  
+  if (pending.length > 1) {
+    const batch = await settleP2PBatch(msg, sender, pending, chain, (result, i) => {
+      if (result.retry) return;
+      results[pending[i].index] = result;
+      progress.update(multiSendProgressText(cmd, results));
+    });
+    batch?.forEach((result, i) => { if (!result.retry) results[pending[i].index] = result; });
+  }
+  
+  for (const item of pending) {
+    if (results[item.index]) continue;
+    results[item.index] = await sendWithReroute(msg, sender, item.recipient, cmd.amount, item.tag, chain);
+    progress.update(multiSendProgressText(cmd, results));
+  }
+  
+  await progress.finish(multiSendSummary(cmd, results) + routeNote);
+  await offerClaimableHolds(msg, cmd, results);
+  return results;
+}
+
+function multiSendProgressText(cmd, results) {
+  const done = results.filter(Boolean).length;
+  let text = `⏳ *Sending $${cmd.amount} each to ${cmd.recipients.length} people* (${done}/${results.length})\n`;
+  results.forEach((r, i) => {
+    if (!r) text += `• @${cmd.recipients[i]}: pending…\n`;
+    else if (r.ok) text += `• @${r.tag}: $${(cmd.amount - r.fee).toFixed(2)} ✓\n`;
+    else if (r.pending) text += `• @${r.tag}: ⏳ not confirmed yet\n`;
+    else text += `• @${r.tag}: ❌ ${r.reason}\n`;
+  });
+  return text;
+}
+
+async function replyWithP2PResults(msg, cmd, sender, results) {
+  if (results.length === 1 && results[0].legs) {
+    await bot.sendMessage(msg.chat.id, splitResultText(cmd, results[0]), { parse_mode: 'Markdown', disable_web_page_preview: true });
+    return;
+  }
+
+  // Build AI-powered natural language reply
+  if (results.length === 1 && results[0].ok) {
+    const r = results[0];
+    const chain = r.rerouted ? r.rerouted.split(' → ')[1] : (r.chain || cmd.chain);
+    const aiReply = await aiTransactionReply({
+      type: r.rerouted ? 'p2p_rerouted' : 'p2p_success',
+      amount: cmd.amount - r.fee,
+      fee: r.fee,
+      symbol: chainSymbol(chain),
+      recipient: r.tag,
+      sender: sender.pay_tag,
+      chain,
+      originalChain: r.rerouted ? r.rerouted.split(' → ')[0] : undefined,
+      txHash: r.hash,
+    });
+    const routeNote = r.route ? `\n\n🧭 _Route: ${r.route}_` : '';
+    await bot.sendMessage(msg.chat.id, (aiReply || `Sent $${(cmd.amount - r.fee).toFixed(2)} to @${r.tag}. TX: \`${r.hash.substring(0, 18)}...\``) + routeNote, { parse_mode: 'Markdown' });
+    return;
+  }
+
+  if (results.length === 1 && results[0].pending) {
+    await bot.sendMessage(msg.chat.id, pendingTransferText(results[0].tag, results[0]), { parse_mode: 'Markdown', disable_web_page_preview: true });
+    return;
+  }
+
+  if (results.length === 1 && !results[0].ok) {
+    const r = results[0];
+    const chain = r.chain || cmd.chain;
+    const type = failureReplyType(r.code);
+    const aiReply = type ? await aiTransactionReply({ type, code: r.code, reason: r.reason, sender: sender.pay_tag, recipient: r.tag, amount: cmd.amount, chain }) : null;
+    if (aiReply) await bot.sendMessage(msg.chat.id, aiReply, { parse_mode: 'Markdown' });
+    else await bot.sendMessage(msg.chat.id, `${isRefusal(r.code) ? '⚠️ ' : ''}${failureMessage(r, { amount: cmd.amount, chain })}`);
+    return;
+  }
+
+  await bot.sendMessage(msg.chat.id, multiSendSummary(cmd, results), { parse_mode: 'Markdown' });
+}
+
+function splitResultText(cmd, r) {
+  const sent = r.legs.filter(l => l.ok);
+  let text = r.ok
+    ? `✅ *Sent $${cmd.amount.toFixed(2)} to @${r.tag}* across ${r.legs.length} chains\n`
+    : `⚠️ *Split payment to @${r.tag} incomplete*\n${r.reason}\n`;
+  r.legs.forEach(l => {
+    const url = l.hash ? explorerTxUrl(l.chain, l.hash) : null;
+    if (l.ok) text += `• ${chainLabel(l.chain)}: $${(l.amount - l.fee).toFixed(2)} (fee $${l.fee.toFixed(2)})${url ? ` · [tx](${url})` : ''}\n`;
+    else if (l.pending) text += `• ${chainLabel(l.chain)}: ⏳ not confirmed yet${url ? ` · [tx](${url})` : ''}\n`;
+    else text += `• ${chainLabel(l.chain)}: ❌ ${l.reason}\n`;
+  });
+  if (!r.ok && sent.length) text += `\n_$${sent.reduce((sum, l) => sum + l.amount, 0).toFixed(2)} already went out. Nothing else will be sent._\n`;
+  text += `\n🧭 _Route: ${r.route}_`;
+  return text;
+}
+
+function multiSendSummary(cmd, results) {
+  const successes = results.filter(r => r.ok);
+  const pending = results.filter(r => r.pending);
+  const failures = results.filter(r => !r.ok && !r.pending);
+  let reply = successes.length ? `✅ *${successes.length} payment(s) sent!*\n` : '';
+  successes.forEach(r => {
+    const routeNote = r.rerouted ? ` _(routed: ${r.rerouted})_` : '';
+    reply += `• @${r.tag}: $${(cmd.amount - r.fee).toFixed(2)} ✓${routeNote}\n`;
+  });
+  if (pending.length) {
+    reply += `\n⏳ *Submitted, not confirmed yet:*\n`;
+    pending.forEach(r => { reply += `• @${r.tag}: \`${r.hash.substring(0, 18)}...\`\n`; });
+    reply += `_I'll post here when they settle. Don't re-send._\n`;
+  }
+  if (failures.length) { reply += `\n❌ *Failed:*\n`; failures.forEach(r => { reply += `• @${r.tag}: ${r.reason}\n`; }); }
+  return reply;
+}
+
+/**
+ * Reply for a transfer that was broadcast but had no receipt when we stopped waiting.
+ */
+function pendingTransferText(who, r) {
+  const url = explorerTxUrl(r.chain || DEFAULT_CHAIN, r.hash);
+  return `⏳ Payment to ${who.startsWith('@') || who.startsWith('0x') ? who : `@${who}`} was submitted but isn't confirmed yet.\n` +
+    `TX: ${url ? `[${r.hash.substring(0, 18)}...](${url})` : `\`${r.hash.substring(0, 18)}...\``}\n` +
+    `_I'll post here when it settles. Please don't re-send._`;
+}
+
+/**
+ * Pay a confirmed address / name / alias. No cross-chain rerouting: the payee
+ * expects funds on the chain that was confirmed.
+ */
+async function executeAddressPayment(msg, sender, cmd) {
+  if (!cmd.address) {
+    await bot.sendMessage(msg.chat.id, '❌ Payments to addresses need a confirmation first. Please send the command again.');
+    return [transferFailure(cmd.recipients[0], TransferError.NEEDS_CONFIRMATION)];
+  }
+  if (!(await enforceSpendLimits(msg, sender, cmd.amount, 1))) {
+    await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'rejected_limit', sender.id);
+    return [transferFailure(cmd.recipients[0], TransferError.LIMIT_EXCEEDED)];
+  }
+
+  await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, 'processing', sender.id);
+
+  const payee = { id: null, pay_tag: null, wallet_address: cmd.address };
+  const who = describeRecipients(cmd);
+  const result = await attemptP2POnChain(msg, sender, payee, cmd.amount, who, cmd.chain, `tg_${msg.message_id}_${cmd.address.slice(0, 10)}`);
+  await logCmdOutcome(msg, cmd, sender, [result]);
+
+  if (result.pending) {
+    await bot.sendMessage(msg.chat.id, pendingTransferText(who, { ...result, chain: cmd.chain }), { parse_mode: 'Markdown', disable_web_page_preview: true });
+  } else if (result.ok) {
+    const url = explorerTxUrl(cmd.chain, result.hash);
+    await bot.sendMessage(msg.chat.id, `✅ Sent *$${(cmd.amount - result.fee).toFixed(2)}* to ${who}\n\`${cmd.address}\`${url ? `\n[View transaction](${url})` : ''}`, { parse_mode: 'Markdown', disable_web_page_preview: true });
+  } else {
+    await bot.sendMessage(msg.chat.id, `${isRefusal(result.code) ? '⚠️' : '❌'} ${failureMessage(result, { amount: cmd.amount, chain: cmd.chain, who })}`);
+  }
+  return [result];
+}
+
+/**
+ * Attempt a single P2P transfer on a specific chain. Returns result object.
+ * `memo` is the router's tweetId field; defaults to `tg_<message_id>_<tag>`.
+ * Transfers from the same wallet run one at a time (the router nonce only moves
+ * once the previous one is mined) and go out through the executor's tx queue.
+ */
+function attemptP2POnChain(msg, sender, recipient, amount, tag, chainName, memo = `tg_${msg.message_id}_${tag}`) {
+  return withSenderLock(chainName, sender.wallet_address, () => sendP2POnChain(msg, sender, recipient, amount, tag, chainName, memo));
+}
+
+async function sendP2POnChain(msg, sender, recipient, amount, tag, chainName, memo) {
+  const paused = transfersPaused();
+  if (paused) return transferFailure(tag, paused.unknown ? TransferError.TRANSFERS_UNAVAILABLE : TransferError.TRANSFERS_PAUSED);
+  const bounds = amountBoundsError(chainName, amount);
+  if (bounds) return transferFailure(tag, TransferError.GUARDRAIL, { reason: bounds });
+  
+  let stage = 'read';
+  try {
+    const previous = await findTransferByKey(String(msg.chat.id), memo);
+    if (previous) return previousTransferResult(tag, previous);
+    
+    const { pub, wallet, config } = getClients(chainName);
+    const amountUnits = parseUnits(amount.toFixed(config.decimals), config.decimals);
+    const [nonce, balance, allowance] = await Promise.all([
+      pub.readContract({ address: config.router, abi: routerAbi, functionName: 'getNonce', args: [sender.wallet_address] }),
+      pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [sender.wallet_address] }),
+      pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'allowance', args: [sender.wallet_address, config.router] }),
+    ]);
+    
+    if (balance < amountUnits) return transferFailure(tag, TransferError.INSUFFICIENT_BALANCE);
+    if (allowance < amountUnits) return transferFailure(tag, TransferError.INSUFFICIENT_ALLOWANCE);
+    
+    const call = { address: config.router, abi: routerAbi, functionName: 'executeP2P', args: [sender.wallet_address, recipient.wallet_address, amountUnits, nonce, memo], account: wallet.account?.address };
+    let calldata = encodeFunctionData(call);
+    if (config.builder) calldata = `${calldata}${builderSuffix()}`;
+    
+    stage = 'estimate';
+    const gas = await pub.estimateContractGas(call);
+    stage = 'read';
+    const guard = await preflightGuard(chainName, pub, wallet, amount, amountUnits, gas);
+    if (guard.error) return transferFailure(tag, TransferError.GUARDRAIL, { reason: guard.error });
+    
+    stage = 'broadcast';
+    const tx = { to: config.router, data: calldata, gas: gas + gas / 5n };
+    const sent = await broadcastTransaction(chainName, { pub, wallet }, tx);
+    const feeNum = guard.fee;
+    
+    let outcome;
+    try {
+      outcome = await trackTransfer(chainName, { pub, wallet }, tx, sent, transactionFields(msg, sender, recipient, amount, feeNum, chainName, memo));
+    } catch (e) {
+      console.warn(`  ⏳ [${chainName}] ${sent.hash} not confirmed yet: ${e.shortMessage || e.message}`);
+      return transferFailure(tag, TransferError.NOT_CONFIRMED, { hash: sent.hash, fee: feeNum, pending: true });
+    }
+    if (outcome.receipt.status === 'reverted') return explainMinedRevert(pub, call, outcome.receipt, tag, chainName);
+    
+    return { tag, ok: true, hash: outcome.hash, fee: feeNum };
+  } catch (e) {
+    return failureFromError(tag, e, stage, chainName);
+  }
+}
+
+/**
+ * A mined revert carries no reason: replay the call at the block it was mined in to decode one.
+ */
+async function explainMinedRevert(pub, call, receipt, tag, chainName) {
+  const fields = { hash: receipt.transactionHash };
+  try {
+    await pub.simulateContract({ ...call, blockNumber: receipt.blockNumber });
+  } catch (e) {
+    const failure = failureFromError(tag, e, 'wait', chainName, fields);
+    if (failure.code === TransferError.ROUTER_REVERT || failure.code === TransferError.NONCE_CONFLICT) return failure;
+  }
+  console.warn('[Transfer] Failed', { chain: chainName, tag, stage: 'wait', code: TransferError.ROUTER_REVERT, hash: receipt.transactionHash });
+  return transferFailure(tag, TransferError.ROUTER_REVERT, fields);
+}
+
+/**
+ * Executor gas and network-cost checks right before broadcasting.
+ * @returns {Promise<{ fee: number } | { error: string }>} the router fee, or why not to send
+ */
+async function preflightGuard(chainName, pub, wallet, amount, amountUnits, gas) {
+  const config = CHAINS[chainName];
+  const [gasCheck, [fee], gasPrice] = await Promise.all([
+    checkExecutorGas(chainName, pub, wallet.account.address),
+    pub.readContract({ address: config.router, abi: routerAbi, functionName: 'calculateFee', args: [amountUnits] }),
+    pub.getGasPrice(),
+  ]);
+  if (!gasCheck.ok) return { error: `Payments on ${chainLabel(chainName)} are paused (bot is low on gas). Try again later` };
+  
+  const feeNum = parseFloat(formatUnits(fee, config.decimals));
+  const cost = assessNetworkCost(amount, feeNum, gasCostUsd(chainName, gas, gasPrice));
+  if (cost.level === 'refuse') return { error: cost.message };
+  return { fee: feeNum };
+}
+
+/**
+ * A transfer with this memo already went out in this chat (redelivered update, resumed
+ * giveaway, retried job): report it instead of paying again.
+ */
+function previousTransferResult(tag, row) {
+  console.warn(`  ♻️ Duplicate transfer ${row.idempotency_key}: already ${row.status} (${row.tx_hash})`);
+  const fields = { hash: row.tx_hash, fee: parseFloat(row.fee) || 0, chain: row.chain.toLowerCase(), duplicate: true };
+  if (row.status === 'completed') return { tag, ok: true, ...fields };
+  return transferFailure(tag, TransferError.NOT_CONFIRMED, { ...fields, pending: true });
+}
+
+function transactionFields(msg, sender, recipient, amount, feeNum, chainName, memo) {
+  // External payees (addresses, names) have no profile: receiver_id is null and the address is kept instead
+  return {
+    sender_id: sender.id, receiver_id: recipient.id,
+    amount: amount - feeNum, fee: feeNum,
+    type: 'p2p_command', payer_pay_tag: sender.pay_tag, recipient_pay_tag: recipient.pay_tag,
+    ...(recipient.id ? {} : { recipient_address: recipient.wallet_address }),
+    chain: chainName.toUpperCase(), replied: true, idempotency_key: memo,
+    platform_channel_id: String(msg.chat.id), platform_message_id: String(msg.message_id),
+  };
+}
+
+// monibot_transactions ids this process is still waiting on (the reconciler leaves them alone)
+const watchedTransactions = new Set();
+
+/**
+ * Record a broadcast transfer as submitted, wait for its receipt (following fee bumps)
+ * and move the row to completed / reverted. Throws if no receipt came back; the row
+ * then stays submitted for the reconciler.
+ * @returns {Promise<{ hash: string, receipt: object }>}
+ */
+async function trackTransfer(chainName, clients, tx, sent, fields) {
+  const hashes = [sent.hash];
+  const row = await recordSubmittedTransaction({ ...fields, tx_hash: sent.hash, tx_hashes: hashes, executor_nonce: sent.nonce });
+  if (row) watchedTransactions.add(row.id);
+  try {
+    const { hash, receipt } = await waitForTransaction(chainName, clients, tx, sent, {
+      onReplace: async (next) => {
+        hashes.push(next);
+        if (row) await updateTransactionHashes(row.id, hashes);
+      },
+    });
+    const status = receipt.status === 'reverted' ? 'reverted' : 'completed';
+    if (status === 'reverted') noteTransferRevert(chainName, hash);
+    if (row) await resolveTransaction(row.id, status, { tx_hash: hash });
+    else await recordFinalTransaction({ ...fields, tx_hash: hash }, status);
+    return { hash, receipt };
+  } finally {
+    if (row) watchedTransactions.delete(row.id);
+  }
+}
+
+// ============ Batched Settlement ============
+
+// Later transfers in a batch can't be estimated (their router nonce isn't current yet),
+// so they reuse the first estimate with extra headroom for longer memos
+const BATCH_GAS_HEADROOM = 2n;
+const PROGRESS_EDIT_MS = 1500;
+
+/**
+ * Settle several transfers from one sender on one chain without waiting on each receipt.
+ * None of the routers expose a batch method, and executeP2P only accepts the executor as
+ * caller (so Multicall3 can't wrap it): instead every transfer is broadcast back to back
+ * with consecutive router nonces and the receipts are collected as they land.
+ *
+ * @param {Array<{ recipient: object, tag: string, amount: number, memo: string }>} items
+ * @param {(result: object, index: number) => void} onResult - called as each receipt lands
+ * @returns {Promise<Array<object>|null>} attemptP2POnChain-style results in item order, or
+ *   null when the batch can't be funded up front, fails a guardrail or holds a transfer
+ *   that already went out (settle one by one instead). Results with `retry` weren't settled and are safe to send again individually.
+ */
+function settleP2PBatch(msg, sender, items, chainName, onResult = () => {}) {
+  return withSenderLock(chainName, sender.wallet_address, async () => {
+    // Paused: the one-by-one path reports it per transfer
+    if (transfersPaused()) return null;
+    const { pub, wallet, config } = getClients(chainName);
+    const units = items.map(item => parseUnits(item.amount.toFixed(config.decimals), config.decimals));
+    const total = units.reduce((sum, u) => sum + u, 0n);
+
+    let nonce, balance, allowance, gas, feeNums;
+    try {
+      [nonce, balance, allowance] = await Promise.all([
+        pub.readContract({ address: config.router, abi: routerAbi, functionName: 'getNonce', args: [sender.wallet_address] }),
+        pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [sender.wallet_address] }),
+        pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'allowance', args: [sender.wallet_address, config.router] }),
+      ]);
+      // A transfer failing mid-batch would leave every later router nonce stale
+      if (balance < total || allowance < total) return null;
+      // Anything already sent under its memo is reported (not re-sent) by the one-by-one path
+      const previous = await Promise.all(items.map(item => findTransferByKey(String(msg.chat.id), item.memo)));
+      if (previous.some(Boolean)) return null;
+      if (items.some(item => amountBoundsError(chainName, item.amount))) return null;
+      gas = await pub.estimateContractGas({ address: config.router, abi: routerAbi, functionName: 'executeP2P', args: [sender.wallet_address, items[0].recipient.wallet_address, units[0], nonce, items[0].memo], account: wallet.account?.address });
+      // Guardrail refusals are reported per transfer by the one-by-one path
+      if ((await preflightGuard(chainName, pub, wallet, items[0].amount, units[0], gas)).error) return null;
+      // Fees are needed for the submitted rows written before each receipt
+      const quoted = new Map();
+      for (const u of new Set(units)) {
+        const [fee] = await pub.readContract({ address: config.router, abi: routerAbi, functionName: 'calculateFee', args: [u] });
+        quoted.set(u, parseFloat(formatUnits(fee, config.decimals)));
+      }
+      feeNums = units.map(u => quoted.get(u));
+    } catch (e) {
+      console.error(`[Batch] ${chainName} preflight failed:`, e.message);
+      return null;
+    }
+
+    const results = new Array(items.length);
+    const waits = [];
+    for (const [i, item] of items.entries()) {
+      const args = [sender.wallet_address, item.recipient.wallet_address, units[i], nonce + BigInt(i), item.memo];
+      let data = encodeFunctionData({ abi: routerAbi, functionName: 'executeP2P', args });
+      if (config.builder) data = `${data}${builderSuffix()}`;
+      const tx = { to: config.router, data, gas: i === 0 ? gas + gas / 5n : gas * BATCH_GAS_HEADROOM };
+
+      let sent;
+      try {
+        sent = await broadcastTransaction(chainName, { pub, wallet }, tx);
+      } catch (e) {
+        // Nothing after this one can succeed with its pre-assigned router nonce
+        const failure = failureFromError(item.tag, e, 'broadcast', chainName);
+        // One that may have gone out isn't sent again
+        const uncertain = failure.code === TransferError.BROADCAST_UNCERTAIN;
+        for (let j = i; j < items.length; j++) {
+          results[j] = j === i && uncertain ? failure : transferFailure(items[j].tag, failure.code, { reason: failure.reason, retry: true });
+        }
+        break;
+      }
+
+      waits.push((async () => {
+        const fields = transactionFields(msg, sender, item.recipient, item.amount, feeNums[i], chainName, item.memo);
+        try {
+          const { hash, receipt } = await trackTransfer(chainName, { pub, wallet }, tx, sent, fields);
+          if (receipt.status === 'reverted') {
+            results[i] = transferFailure(item.tag, TransferError.ROUTER_REVERT, { hash, retry: true });
+          } else {
+            results[i] = { tag: item.tag, ok: true, hash, fee: feeNums[i] };
+          }
+        } catch (e) {
+          // Broadcast but never confirmed: it may still land, so don't send it twice
+          console.warn(`  ⏳ [${chainName}] ${sent.hash} not confirmed yet: ${e.shortMessage || e.message}`);
+          results[i] = transferFailure(item.tag, TransferError.NOT_CONFIRMED, { hash: sent.hash, fee: feeNums[i], pending: true });
+        }
+        onResult(results[i], i);
+      })());
+    }
+
+    await Promise.all(waits);
+    return results;
+  });
+}
+
+/**
+ * Send a Markdown message and keep editing it, at most once per PROGRESS_EDIT_MS.
+ */
+async function startProgressReply(chatId, text) {
+  const sent = await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', disable_web_page_preview: true }).catch(() => null);
+  let latest = text, shown = text, timer = null;
+
+  const flush = async () => {
+    timer = null;
+    if (!sent || latest === shown) return;
+    shown = latest;
+    await bot.editMessageText(latest, { chat_id: chatId, message_id: sent.message_id, parse_mode: 'Markdown', disable_web_page_preview: true }).catch(() => {});
+  };
+
+  return {
+    update(next) {
+      latest = next;
+      if (!timer) timer = setTimeout(flush, PROGRESS_EDIT_MS);
+    },
+    async finish(next) {
+      latest = next;
+      if (timer) clearTimeout(timer);
+      if (sent) await flush();
+      else await bot.sendMessage(chatId, next, { parse_mode: 'Markdown', disable_web_page_preview: true });
+    },
+  };
+}
+
+// ============ Giveaway Engine ============
+
+// Live giveaways by id. Each has a promise chain so its claims pay out one at a time.
+const liveGiveaways = new Map();
+
+const QUIZ_ANSWER_PROMPT = '🧩 Secret answer';
+const MEMBER_STATUSES = ['creator', 'administrator', 'member', 'restricted'];
+
+// User text going into Markdown messages
+const plainMd = (text) => text.replace(/[_*`[\]]/g, '');
+
+/**
+ * Start a giveaway (slash command, AI-parsed or scheduled).
+ * `options` come from parseGiveawayCommand: mode, durationMs, question, answer, rules.
+ * @returns {Promise<{ ok: true } | { ok: false, reason: string }>} ok once it was announced
+ *   (or is waiting for its quiz answer); otherwise why not, as already told to the chat
+ */
+async function handleGiveawayTg(msg, amount, maxPeople, chain, options = {}) {
+  const { mode = 'first', durationMs = GIVEAWAY_DURATION_MS, question = null, answer = null, rules = {} } = options;
+
+  const sender = await getProfileByTelegramId(msg.from.id);
+  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return { ok: false, reason: 'Sender not linked' }; }
+  const refusal = await giveawayPolicyError(msg, amount, maxPeople);
+  if (refusal) { await bot.sendMessage(msg.chat.id, `🚫 ${refusal}`); return { ok: false, reason: refusal }; }
+  const policy = await applyChatChainPolicy(msg, { chain });
+  if (policy.error) { await bot.sendMessage(msg.chat.id, `🚫 ${policy.error}.`); return { ok: false, reason: policy.error }; }
+  chain = policy.cmd.chain;
+  if (!(await enforceSpendLimits(msg, sender, amount, maxPeople))) return { ok: false, reason: 'Over spending limits' };
+
+  const seed = mode === 'first' ? null : newGiveawaySeed();
+  const awaitingAnswer = mode === 'quiz' && !answer;
+
+  const giveaway = await createGiveaway({
+    chat_id: String(msg.chat.id),
+    source_message_id: String(msg.message_id),
+    sender_id: sender.id,
+    sender_pay_tag: sender.pay_tag,
+    sender_telegram_id: String(msg.from.id),
+    amount,
+    max_participants: maxPeople,
+    chain,
+    mode,
+    question,
+    rules,
+    seed,
+    answer_hash: answer ? hashAnswer(answer, seed) : null,
+    status: awaitingAnswer ? 'draft' : 'active',
+    ends_at: new Date(Date.now() + durationMs).toISOString(),
+  });
+  if (!giveaway) { await bot.sendMessage(msg.chat.id, '❌ Failed to start the giveaway. Please try again.'); return { ok: false, reason: 'Giveaway could not be saved' }; }
+
+  if (awaitingAnswer) return promptQuizAnswer(msg, giveaway);
+
+  // The command carries the answer in plain text: take it off the chat before announcing
+  if (mode === 'quiz') {
+    await bot.deleteMessage(msg.chat.id, msg.message_id).catch(() =>
+      bot.sendMessage(msg.chat.id, "⚠️ I couldn't delete your command, so the answer may be visible. Make me an admin, or leave out `A:` and I'll ask for it in DM.", { parse_mode: 'Markdown' }));
+  }
+
+  await announceGiveaway(giveaway);
+  return { ok: true };
+}
+
+/**
+ * Ask the quiz creator for the secret answer in DM. The quiz stays a draft until they reply.
+ */
+async function promptQuizAnswer(msg, giveaway) {
+  const question = giveaway.question ? ` ("${giveaway.question}")` : '';
+  try {
+    const prompt = await bot.sendMessage(msg.from.id, `${QUIZ_ANSWER_PROMPT} for your $${giveaway.amount} quiz giveaway${question}\n\nReply to this message with the answer. Only a hash of it is stored.`, { reply_markup: { force_reply: true } });
+    await setQuizPrompt(giveaway.id, prompt.message_id);
+    await bot.sendMessage(msg.chat.id, `🧩 Quiz almost ready — @${giveaway.sender_pay_tag}, check your DMs to set the secret answer.`);
+    return { ok: true };
+  } catch (e) {
+    await finishGiveaway(giveaway.id, 'cancelled', 'Could not DM the creator', 'draft');
+    await bot.sendMessage(msg.chat.id, "🧩 I can't DM you yet — start a chat with me first, or include the answer: `/giveaway quiz $2 to the first 3 Q: your question A: answer` (I'll delete the command).", { parse_mode: 'Markdown' });
+    return { ok: false, reason: 'Could not DM the creator' };
+  }
+}
+
+function isQuizAnswerReply(msg) {
+  return msg.chat.type === 'private' && !!msg.reply_to_message?.from?.is_bot && !!msg.reply_to_message.text?.startsWith(QUIZ_ANSWER_PROMPT);
+}
+
+function giveawayRulesText(giveaway) {
+  const rules = giveaway.rules || {};
+  const parts = [];
+  if (giveaway.mode !== 'first' || rules.requireLinked) parts.push('linked MoniPay account');
+  if (rules.minMemberDays) parts.push(`in this group ${rules.minMemberDays}+ days`);
+  return parts.length ? `\n📋 _Eligibility: ${parts.join(' · ')}_` : '';
+}
+
+function raffleKeyboard(giveaway, entries) {
+  return { inline_keyboard: [[{ text: entries ? `🎟 Join (${entries})` : '🎟 Join', callback_data: `gw_join:${giveaway.id}` }]] };
+}
+
+async function announceGiveaway(giveaway) {
+  const minutes = Math.max(1, Math.round((new Date(giveaway.ends_at).getTime() - Date.now()) / 60000));
+  const by = `@${giveaway.sender_pay_tag}`;
+  const rules = giveawayRulesText(giveaway);
+  const options = { parse_mode: 'Markdown' };
+  let text;
+
+  if (giveaway.mode === 'raffle') {
+    text = `🎟 *Raffle by ${by}!*\n\n💰 *$${giveaway.amount}* each to *${giveaway.max_participants}* random winner(s)!\n⏰ Draw in ${minutes} min${rules}\n\n🔐 Seed commitment (sha256):\n\`${seedCommitment(giveaway.seed)}\`\n\n👇 Tap Join to enter!`;
+    options.reply_markup = raffleKeyboard(giveaway, 0);
+  } else if (giveaway.mode === 'quiz') {
+    const question = giveaway.question ? `\n\n❓ *${plainMd(giveaway.question)}*` : '';
+    text = `🧩 *Quiz giveaway by ${by}!*\n\n💰 *$${giveaway.amount}* each to the first *${giveaway.max_participants}* correct answers!${question}\n⏰ Open for ${minutes} min${rules}\n\n👇 Reply with your answer!`;
+  } else {
+    text = `🎁 *Giveaway by ${by}!*\n\n💰 *$${giveaway.amount}* each to the first *${giveaway.max_participants}* people!${rules}\n\n👇 Drop your @MoniTag below to claim!`;
+  }
+
+  const announcement = await bot.sendMessage(giveaway.chat_id, text, options);
+  await setGiveawayMessage(giveaway.id, announcement.message_id);
+  trackGiveaway({ ...giveaway, message_id: String(announcement.message_id) });
+}
+
+function trackGiveaway(giveaway) {
+  const delay = Math.max(0, new Date(giveaway.ends_at).getTime() - Date.now());
+  const onEnd = giveaway.mode === 'raffle' ? () => drawRaffle(giveaway) : () => closeGiveaway(giveaway, 'expired', 'Time is up');
+  const timer = setTimeout(() => onEnd().catch(e => console.error('Giveaway end error:', e.message)), delay);
+  liveGiveaways.set(giveaway.id, { giveaway, timer, queue: Promise.resolve() });
+}
+
+function untrackGiveaway(id) {
+  const live = liveGiveaways.get(id);
+  if (live) { clearTimeout(live.timer); liveGiveaways.delete(id); }
+}
+
+/**
+ * Stop tracking a giveaway and post the final summary (once, even across replicas).
+ * `from` is the status it must still be in: 'active', or 'drawing' for raffles being paid out.
+ */
+async function closeGiveaway(giveaway, status, reason, from = 'active') {
+  untrackGiveaway(giveaway.id);
+  if (!(await finishGiveaway(giveaway.id, status, reason, from))) return;
+
+  const claims = await getClaims(giveaway.id);
+  const sent = claims.filter(c => c.status === 'sent');
+  const interrupted = claims.filter(c => c.status === 'interrupted');
+  const deferred = claims.filter(c => c.status === 'deferred');
+
+  const header = {
+    completed: giveaway.mode === 'raffle' ? '🎟 *Raffle complete!* All winners paid.' : '🎁 *Giveaway complete!* All spots filled.',
+    expired: `⏰ *Giveaway over* — ${(reason || 'Time is up').toLowerCase()}.`,
+    ended: `❌ *Giveaway ended* — ${reason}`,
+  }[status];
+
+  let text = `${header}\nBy @${giveaway.sender_pay_tag} · $${giveaway.amount} each on ${giveaway.chain.toUpperCase()}\n\n`;
+  for (const c of sent) {
+    const url = c.tx_hash ? explorerTxUrl(giveaway.chain, c.tx_hash) : null;
+    text += `✅ @${c.recipient_pay_tag}${url ? ` · [${c.tx_hash.substring(0, 10)}…](${url})` : ''}\n`;
+  }
+  for (const c of interrupted) text += `⚠️ @${c.recipient_pay_tag} — interrupted by a restart, check on-chain\n`;
+  for (const c of deferred) text += `⏸ @${c.recipient_pay_tag} — paid when transfers resume\n`;
+  text += `\n💰 Paid out $${(sent.length * giveaway.amount).toFixed(2)} to ${sent.length}/${giveaway.max_participants} people`;
+
+  await bot.sendMessage(giveaway.chat_id, text, { parse_mode: 'Markdown', disable_web_page_preview: true });
+}
+
+/**
+ * Why this user can't take part, or null if they can. `profile` is their linked profile, if any.
+ */
+async function giveawayIneligibility(giveaway, user, profile) {
+  const rules = giveaway.rules || {};
+  if ((giveaway.mode !== 'first' || rules.requireLinked) && !profile) return 'Link your MoniPay account first with /link.';
+  if (profile && profile.id === giveaway.sender_id) return "You can't enter your own giveaway.";
+
+  if (rules.minMemberDays) {
+    const member = await bot.getChatMember(giveaway.chat_id, user.id).catch(() => null);
+    if (!member || !MEMBER_STATUSES.includes(member.status)) return 'Only members of this group can take part.';
+    const since = await firstSeenInChat(giveaway.chat_id, user.id);
+    if (!since || Date.now() - since.getTime() < rules.minMemberDays * 86400000) return `Only members who've been in this group for ${rules.minMemberDays}+ days can take part.`;
+  }
+  return null;
+}
+
+/**
+ * The sender and pseudo-message for a payout, or null after closing the giveaway
+ * because the sender is gone or over their spending limits.
+ */
+async function giveawayPayer(giveaway, from = 'active') {
+  const sender = await getProfileById(giveaway.sender_id);
+  if (!sender) { await closeGiveaway(giveaway, 'ended', 'sender profile not found', from); return null; }
+
+  const giveawayMsg = { message_id: giveaway.source_message_id, chat: { id: Number(giveaway.chat_id) } };
+  const limit = await checkSpendLimits(sender, giveawayMsg.chat.id, giveaway.amount).catch(() => ({ ok: false, rule: 'unavailable' }));
+  if (!limit.ok) { await closeGiveaway(giveaway, 'ended', limitRefusalText(limit), from); return null; }
+
+  return { sender, giveawayMsg };
+}
+
+/**
+ * Pay a reserved claim through the shared P2P path (same memo format and builder tagging for every mode).
+ * Returns 'sent', 'skipped', 'deferred' when transfers are paused (the claim waits for
+ * payDeferredGiveaways), or 'stopped' when the giveaway had to end.
+ */
+async function payGiveawayClaim(giveaway, payer, claim, recipient, from = 'active') {
+  // Keyed by claim, not position: a failed claim frees its position for someone else
+  const memo = `tg_giveaway_${claim.id}`;
+  const result = await attemptP2POnChain(payer.giveawayMsg, payer.sender, recipient, giveaway.amount, recipient.pay_tag, giveaway.chain, memo);
+
+  if (result.ok) {
+    await updateClaim(claim.id, { status: 'sent', tx_hash: result.hash, fee: result.fee });
+    return 'sent';
+  }
+
+  if (result.pending) {
+    await updateClaim(claim.id, { status: 'interrupted', tx_hash: result.hash, error: result.reason });
+    return 'skipped';
+  }
+
+  // A pause holds the payout, not the giveaway: the claim keeps its spot and is paid on resume
+  if (isHeld(result.code)) {
+    await updateClaim(claim.id, { status: giveaway.mode === 'raffle' ? 'won' : 'deferred' });
+    return 'deferred';
+  }
+
+  if (isFundingError(result.code)) {
+    await updateClaim(claim.id, { status: 'failed', error: result.reason });
+    await closeGiveaway(giveaway, 'ended', 'insufficient funds.', from);
+    alertAdmins(`*Giveaway stopped* in ${giveaway.chat_id}
+@${giveaway.sender_pay_tag}'s $${giveaway.amount} giveaway on ${chainLabel(giveaway.chain)} ran out of funds (${result.reason.toLowerCase()}).`);
+    return 'stopped';
+  }
+
+  // Guardrails (amount bounds, executor gas, fees) would refuse every other claim too
+  if (result.code === TransferError.GUARDRAIL) {
+    await updateClaim(claim.id, { status: 'failed', error: result.reason });
+    await closeGiveaway(giveaway, 'ended', `${result.reason}.`, from);
+    alertAdmins(`*Giveaway stopped* in ${giveaway.chat_id}
+@${giveaway.sender_pay_tag}'s $${giveaway.amount} giveaway on ${chainLabel(giveaway.chain)}: ${result.reason}.`);
+    return 'stopped';
+  }
+
+  if (result.code === TransferError.ROUTER_REVERT) {
+    await updateClaim(claim.id, { status: 'reverted', tx_hash: result.hash || null, error: result.reason });
+    await bot.sendMessage(giveaway.chat_id, `Transaction for @${recipient.pay_tag} was reverted. Skipping.`);
+    return 'skipped';
+  }
+
+  await updateClaim(claim.id, { status: 'failed', error: result.reason });
+  console.error('Giveaway error:', result.reason);
+  return 'skipped';
+}
+
+/**
+ * First-N and quiz claims: `claimTag` is the @tag typed (first-N); quiz winners are paid
+ * to the account linked to their Telegram.
+ */
+async function processGiveawayClaim(giveaway, reply, claimTag) {
+  if (!liveGiveaways.has(giveaway.id)) return;
+
+  const rules = giveaway.rules || {};
+  const claimer = giveaway.mode === 'quiz' || rules.requireLinked ? await getProfileByTelegramId(reply.from.id) : null;
+  const recipient = giveaway.mode === 'quiz' ? claimer : await getProfileByMonitag(claimTag);
+  if (giveaway.mode === 'first' && (!recipient || recipient.id === giveaway.sender_id)) return;
+  // With "linked" on, people can only claim for their own account
+  if (rules.requireLinked && claimer && recipient && claimer.id !== recipient.id) return;
+
+  const ineligible = await giveawayIneligibility(giveaway, reply.from, claimer || recipient);
+  if (ineligible) {
+    // Quiz answers are deliberate, so say why they don't count; first-N stays quiet as before
+    if (giveaway.mode === 'quiz') await bot.sendMessage(reply.chat.id, `🧩 Correct, but: ${ineligible}`, { reply_to_message_id: reply.message_id });
+    return;
+  }
+
+  const payer = await giveawayPayer(giveaway);
+  if (!payer) return;
+
+  const reserved = await reserveClaim(giveaway, { telegram_user_id: reply.from.id, recipient_id: recipient.id, recipient_pay_tag: recipient.pay_tag });
+  if (reserved.error) return;
+
+  const outcome = await payGiveawayClaim(giveaway, payer, reserved.claim, recipient);
+  if (outcome === 'deferred') {
+    await bot.sendMessage(giveaway.chat_id, `⏸ Spot saved for *@${recipient.pay_tag}* — payments are paused right now, the $${giveaway.amount} goes out when they resume.`, { parse_mode: 'Markdown', reply_to_message_id: reply.message_id });
+    return;
+  }
+  if (outcome !== 'sent') return;
+
+  const done = (await getClaims(giveaway.id)).filter(c => c.status === 'sent' || c.status === 'interrupted').length;
+  await bot.sendMessage(giveaway.chat_id, `✅ *$${giveaway.amount}* sent to *@${recipient.pay_tag}*! (${done}/${giveaway.max_participants})`, { parse_mode: 'Markdown' });
+  if (done >= giveaway.max_participants) await closeGiveaway(giveaway, 'completed');
+}
+
+async function joinRaffle(query, giveawayId) {
+  const live = liveGiveaways.get(giveawayId);
+  if (!live || live.giveaway.mode !== 'raffle') { await bot.answerCallbackQuery(query.id, { text: 'This raffle is closed.', show_alert: true }); return; }
+  const { giveaway } = live;
+
+  const profile = await getProfileByTelegramId(query.from.id);
+  const ineligible = await giveawayIneligibility(giveaway, query.from, profile);
+  if (ineligible) { await bot.answerCallbackQuery(query.id, { text: ineligible, show_alert: true }); return; }
+
+  const entered = await addRaffleEntry(giveaway, { telegram_user_id: query.from.id, recipient_id: profile.id, recipient_pay_tag: profile.pay_tag });
+  if (entered.error === 'already_entered') { await bot.answerCallbackQuery(query.id, { text: "🎟 You're already in!" }); return; }
+  if (entered.error) { await bot.answerCallbackQuery(query.id, { text: '❌ Could not enter. Please try again.', show_alert: true }); return; }
+
+  await bot.answerCallbackQuery(query.id, { text: `🎟 You're in, @${profile.pay_tag}! Good luck.` });
+  await bot.editMessageReplyMarkup(raffleKeyboard(giveaway, entered.count), { chat_id: query.message.chat.id, message_id: query.message.message_id }).catch(() => {});
+}
+
+/**
+ * Close entries, reveal the seed, pick winners and pay them.
+ */
+async function drawRaffle(giveaway) {
+  untrackGiveaway(giveaway.id);
+
+  const entries = (await getClaims(giveaway.id)).filter(c => c.status === 'entered');
+  if (!entries.length) { await closeGiveaway(giveaway, 'expired', 'No one entered'); return; }
+  if (!(await startDraw(giveaway.id))) return;
+
+  const winners = drawWinners(entries, giveaway.seed, giveaway.max_participants);
+  await recordDrawResults(giveaway.id, winners.map(w => w.id));
+
+  if (giveaway.message_id) {
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: giveaway.chat_id, message_id: Number(giveaway.message_id) }).catch(() => {});
+  }
+
+  let text = `🎲 *Raffle draw!* ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}\n\n`;
+  text += `🔓 Seed: \`${giveaway.seed}\`\n_sha256(seed) matches the commitment posted at the start. Entrants are ranked by sha256("seed:telegram id"), lowest first._\n\n`;
+  text += `🏆 *Winners:*\n${winners.map((w, i) => `${i + 1}. @${w.recipient_pay_tag}`).join('\n')}`;
+  await bot.sendMessage(giveaway.chat_id, text, { parse_mode: 'Markdown' });
+
+  await payRaffleWinners(giveaway);
+}
+
+// Raffles this process is paying out right now
+const payingRaffles = new Set();
+
+/**
+ * Pay drawn winners that haven't been paid yet, then close the raffle.
+ * Also used to finish a draw that a restart cut short.
+ */
+async function payRaffleWinners(giveaway) {
+  if (payingRaffles.has(giveaway.id)) return;
+  payingRaffles.add(giveaway.id);
+  try {
+    await payUnpaidWinners(giveaway);
+  } finally {
+    payingRaffles.delete(giveaway.id);
+  }
+}
+
+async function payUnpaidWinners(giveaway) {
+  const winners = (await getClaims(giveaway.id)).filter(c => c.draw_rank).sort((a, b) => a.draw_rank - b.draw_rank);
+  const unpaid = winners.filter(c => c.status === 'won');
+  if (!unpaid.length) {
+    // Winners still pending are being paid elsewhere (or wait for the lease to run out); that payer closes it
+    if (!winners.some(c => c.status === 'pending')) await closeGiveaway(giveaway, 'completed', null, 'drawing');
+    return;
+  }
+
+  // Winners stay 'won' and the raffle stays drawing; payDeferredGiveaways pays them on resume
+  if (transfersPaused()) {
+    await bot.sendMessage(giveaway.chat_id, `⏸ Payments are paused right now — the ${unpaid.length} winner(s) will be paid when they resume.`);
+    return;
+  }
+
+  const payer = await giveawayPayer(giveaway, 'drawing');
+  if (!payer) return;
+
+  const items = [];
+  for (const claim of unpaid) {
+    // Another replica resuming the same raffle takes the winners it locks first
+    if (!(await lockClaim(claim.id, 'won'))) continue;
+    const recipient = await getProfileById(claim.recipient_id);
+    if (!recipient) { await updateClaim(claim.id, { status: 'failed', error: 'Recipient not found' }); continue; }
+    items.push({ claim, recipient, tag: recipient.pay_tag, amount: giveaway.amount, memo: `tg_giveaway_${claim.id}` });
+  }
+  if (!items.length) return;
+
+  const outcomes = new Map();
+  const progressText = () => {
+    let text = `🎁 *Paying ${items.length} winner(s)* — $${giveaway.amount} each (${outcomes.size}/${items.length})\n`;
+    for (const item of items) {
+      const r = outcomes.get(item.claim.id);
+      text += `• #${item.claim.draw_rank} @${item.tag}: ${!r ? 'pending…' : r.ok ? '✓' : r.deferred ? '⏸ paid on resume' : `❌ ${r.reason}`}\n`;
+    }
+    return text;
+  };
+  const progress = await startProgressReply(giveaway.chat_id, progressText());
+
+  // Settle every winner in one batch when the sender's limits allow it up front
+  const batchLimit = await checkSpendLimits(payer.sender, payer.giveawayMsg.chat.id, giveaway.amount, items.length).catch(() => ({ ok: false }));
+  if (items.length > 1 && batchLimit.ok) {
+    const batch = await settleP2PBatch(payer.giveawayMsg, payer.sender, items, giveaway.chain, (result, i) => {
+      if (result.retry) return;
+      outcomes.set(items[i].claim.id, result);
+      progress.update(progressText());
+    });
+
+    for (const [i, item] of items.entries()) {
+      const result = batch?.[i];
+      if (!result || result.retry) continue;
+      if (result.ok) await updateClaim(item.claim.id, { status: 'sent', tx_hash: result.hash, fee: result.fee });
+      else if (result.pending) await updateClaim(item.claim.id, { status: 'interrupted', tx_hash: result.hash, error: result.reason });
+      else await updateClaim(item.claim.id, { status: 'failed', tx_hash: result.hash || null, error: result.reason });
+    }
+  }
+
+  // Winners we locked but won't pay now go back to 'won' rather than waiting out the lease
+  const releaseUnpaid = () => Promise.all(items.filter(item => !outcomes.has(item.claim.id)).map(item => updateClaim(item.claim.id, { status: 'won' })));
+
+  // Anything the batch didn't settle goes one by one, re-checking limits each time
+  for (const item of items) {
+    if (outcomes.has(item.claim.id)) continue;
+    const single = await giveawayPayer(giveaway, 'drawing');
+    if (!single) { await releaseUnpaid(); await progress.finish(progressText()); return; }
+
+    const outcome = await payGiveawayClaim(giveaway, single, item.claim, item.recipient, 'drawing');
+    outcomes.set(item.claim.id, outcome === 'sent' ? { ok: true } : { ok: false, deferred: outcome === 'deferred', reason: outcome === 'stopped' ? 'stopped' : 'skipped' });
+    progress.update(progressText());
+    // Paused mid-way: the rest wait as 'won' with the raffle still drawing
+    if (outcome === 'stopped' || outcome === 'deferred') { await releaseUnpaid(); await progress.finish(progressText()); return; }
+  }
+
+  await progress.finish(progressText());
+  await closeGiveaway(giveaway, 'completed', null, 'drawing');
+}
+
+// Single claim listener for every live first-N and quiz giveaway
+bot.on('message', (reply) => {
+  if (!liveGiveaways.size || !reply.text || reply.text.startsWith('/') || reply.from?.is_bot) return;
+
+  const candidates = [...liveGiveaways.values()].filter(l => l.giveaway.chat_id === String(reply.chat.id) && l.giveaway.mode !== 'raffle');
+  if (!candidates.length) return;
+
+  const tagMatch = reply.text.match(/@(\w[\w-]*)/);
+  const claimTag = tagMatch && tagMatch[1].toLowerCase() !== 'monibot' ? tagMatch[1].toLowerCase() : null;
+  const qualifies = (l) => (l.giveaway.mode === 'quiz' ? isCorrectAnswer(l.giveaway, reply.text) : !!claimTag);
+
+  // Replying to an announcement picks that giveaway; otherwise the oldest one in the chat this message fits
+  const replyTo = candidates.find(l => l.giveaway.message_id === String(reply.reply_to_message?.message_id));
+  const live = replyTo && qualifies(replyTo) ? replyTo : candidates.find(qualifies);
+  if (!live) return;
+
+  live.queue = live.queue
+    .then(() => processGiveawayClaim(live.giveaway, reply, claimTag))
+    .catch(e => console.error('Giveaway error:', e.message));
+});
+
+// Secret quiz answers arrive as replies to the DM prompt
+bot.on('message', async (msg) => {
+  if (!msg.text || !isQuizAnswerReply(msg)) return;
+  try {
+    const giveaway = await activateQuiz(msg.from.id, msg.reply_to_message.message_id, msg.text);
+    if (!giveaway) { await bot.sendMessage(msg.chat.id, 'That quiz is no longer waiting for an answer.'); return; }
+    await announceGiveaway(giveaway);
+    await bot.sendMessage(msg.chat.id, '✅ Answer saved — your quiz is live in the group.');
+  } catch (e) {
+    console.error('Quiz answer error:', e.message);
+    await bot.sendMessage(msg.chat.id, '❌ Could not save the answer. Please try again.');
+  }
+});
+
+// "Member for N days" needs to know when we first saw someone in a chat
+const seenMembers = new Set();
+bot.on('message', (msg) => {
+  if (msg.chat.type === 'private') return;
+  const seenAt = new Date(msg.date * 1000);
+  for (const user of [msg.from, ...(msg.new_chat_members || [])]) {
+    if (!user || user.is_bot) continue;
+    const key = `${msg.chat.id}:${user.id}`;
+    if (seenMembers.has(key)) continue;
+    if (seenMembers.size > 100000) seenMembers.clear();
+    seenMembers.add(key);
+    recordChatMember(msg.chat.id, user.id, seenAt).catch(e => console.error('Member record error:', e.message));
+  }
+});
+
+/**
+ * Pick up giveaways that were live when the process stopped.
+ */
+async function resumeGiveaways() {
+  await recoverGiveawayPayouts();
+
+  for (const giveaway of await loadActiveGiveaways()) {
+    const overdue = new Date(giveaway.ends_at) <= new Date();
+
+    if (giveaway.mode === 'raffle') {
+      if (overdue) { await drawRaffle(giveaway); continue; }
+    } else {
+      if (overdue) { await closeGiveaway(giveaway, 'expired', 'Time is up'); continue; }
+      const done = (await getClaims(giveaway.id)).filter(c => c.status === 'sent' || c.status === 'interrupted').length;
+      if (done >= giveaway.max_participants) { await closeGiveaway(giveaway, 'completed'); continue; }
+    }
+
+    trackGiveaway(giveaway);
+    console.log(`🎁 Resumed ${giveaway.mode || 'first'} giveaway ${giveaway.id} in chat ${giveaway.chat_id}`);
+  }
+}
+
+/**
+ * Payouts a stopped process left behind, once they're older than the send lease (younger
+ * ones may belong to a replica that is still sending them): pending claims become
+ * interrupted, and raffles still drawing get their remaining winners paid.
+ */
+async function recoverGiveawayPayouts() {
+  const interrupted = await markInterruptedClaims();
+  if (interrupted.length) console.warn(`🎁 ${interrupted.length} giveaway payout(s) marked interrupted`);
+  if (transfersPaused()) return;
+
+  for (const giveaway of await loadActiveGiveaways('drawing')) {
+    if (payingRaffles.has(giveaway.id) || !isDrawAbandoned(giveaway)) continue;
+    console.log(`🎟 Resuming raffle payouts for ${giveaway.id} in chat ${giveaway.chat_id}`);
+    await payRaffleWinners(giveaway);
+  }
+}
+
+// Only one resume pass at a time per process; claims are locked, so replicas can overlap
+let payingDeferred = false;
+
+/**
+ * After a transfer pause lifts: pay the first-N and quiz claims it held back (even if the
+ * giveaway has since expired) and the winners of raffles it left drawing.
+ */
+async function payDeferredGiveaways() {
+  if (payingDeferred) return;
+  payingDeferred = true;
+  try {
+    for (const claim of await listDeferredClaims()) {
+      if (transfersPaused()) return;
+      const { giveaway } = claim;
+      if (!(await lockClaim(claim.id, 'deferred'))) continue;
+
+      const recipient = await getProfileById(claim.recipient_id);
+      if (!recipient) { await updateClaim(claim.id, { status: 'failed', error: 'Recipient not found' }); continue; }
+      const payer = await giveawayPayer(giveaway);
+      if (!payer) { await updateClaim(claim.id, { status: 'failed', error: 'Giveaway ended before payout' }); continue; }
+
+      const outcome = await payGiveawayClaim(giveaway, payer, claim, recipient);
+      if (outcome === 'deferred') return;
+      if (outcome !== 'sent') continue;
+
+      await bot.sendMessage(giveaway.chat_id, `✅ *$${giveaway.amount}* sent to *@${recipient.pay_tag}* — held while payments were paused.`, { parse_mode: 'Markdown' });
+      const done = (await getClaims(giveaway.id)).filter(c => c.status === 'sent' || c.status === 'interrupted').length;
+      if (giveaway.status === 'active' && done >= giveaway.max_participants) await closeGiveaway(giveaway, 'completed');
+    }
+
+    for (const giveaway of await loadActiveGiveaways('drawing')) {
+      if (transfersPaused()) return;
+      // A raffle with no 'won' winners is still being drawn or paid elsewhere
+      if (payingRaffles.has(giveaway.id) || !(await getClaims(giveaway.id)).some(c => c.status === 'won')) continue;
+      console.log(`🎟 Paying raffle ${giveaway.id} after the transfer pause`);
+      await payRaffleWinners(giveaway);
+    }
+  } finally {
+    payingDeferred = false;
+  }
+}
+
+/**
+ * Keep the live set in line with the database while several processes run (replicas
+ * behind a load balancer, or a deploy overlap): track giveaways started by the others,
+ * drop closed ones.
+ */
+async function syncGiveaways() {
+  const active = await loadActiveGiveaways();
+  const activeIds = new Set(active.map(g => g.id));
+  for (const [id, live] of liveGiveaways) {
+    if (!activeIds.has(id)) { clearTimeout(live.timer); liveGiveaways.delete(id); }
+  }
+  for (const giveaway of active) {
+    if (!liveGiveaways.has(giveaway.id) && giveaway.message_id) trackGiveaway(giveaway);
+  }
+}
+
+// ============ Scheduled Command Handler ============
+
+const ADDRESS_NOT_SCHEDULABLE = '📬 Payments to addresses always need a live confirmation, so they can\'t be scheduled or repeated yet.';
+
+async function handleScheduledCommandTg(msg, scheduleResult, originalText) {
+  const sender = await getProfileByTelegramId(msg.from.id);
+  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+
+  const scheduledAt = new Date(scheduleResult.scheduledAt);
+  if (scheduledAt <= new Date()) {
+    await bot.sendMessage(msg.chat.id, '⏰ That time is in the past. Please specify a future time.');
+    return;
+  }
+
+  // Parse the underlying command
+  const innerCmd = parseP2P(scheduleResult.command);
+  let aiCmd = null;
+  if (!innerCmd) {
+    const aiResult = await aiParseCommand(scheduleResult.command, 'telegram');
+    if (aiResult && aiResult.type && aiResult.type !== 'chat' && aiResult.type !== 'help' && aiResult.type !== 'link' && aiResult.type !== 'balance') {
+      aiCmd = aiResult;
+    }
+  }
+
+  const cmd = innerCmd || aiCmd;
+  if (!cmd) {
+    await bot.sendMessage(msg.chat.id, '❌ I can only schedule payment commands. Try: `monibot send $5 to @alice tomorrow at 3pm`', { parse_mode: 'Markdown' });
+    return;
+  }
+  if (cmd.type === 'p2p_address') { await bot.sendMessage(msg.chat.id, ADDRESS_NOT_SCHEDULABLE); return; }
+
+  // The time (and often the command) came from AI parsing, so nothing is queued until the sender confirms
+  const key = `${msg.chat.id}_${msg.message_id}`;
+  if (await getPrompt('confirmation', key)) return;
+  const when = scheduleResult.timeDescription ? `${scheduleResult.timeDescription} (${scheduledAt.toUTCString()})` : scheduledAt.toUTCString();
+  let text = `🧾 *Confirm schedule*\n\n📋 *Command:* ${describeScheduledCommand(cmd)}\n🕐 *When:* ${when}\n`;
+  text += `\n🤖 _Parsed by AI — please double-check before confirming._\n`;
+  text += `\n⏳ _Expires in ${Math.round(CONFIRM_TIMEOUT_MS / 1000)}s_`;
+
+  await askToConfirm(msg, sender, cmd, key, text, {
+    action: 'schedule',
+    details: { scheduledAt: scheduledAt.toISOString(), scheduleResult, originalText },
+    confirmedText: '✅ Confirmed — scheduling…',
+  });
+}
+
+async function queueScheduledCommand(msg, sender, cmd, scheduledAt, scheduleResult, originalText) {
   const { data: job, error } = await supabase.from('scheduled_jobs').insert({
     type: cmd.type === 'giveaway' ? 'scheduled_giveaway' : 'scheduled_p2p',
     scheduled_at: scheduledAt.toISOString(),
     payload: {
       platform: 'telegram',
       chatId: msg.chat.id,
+      chatType: msg.chat.type,
       senderId: sender.id,
       senderPayTag: sender.pay_tag,
       senderWallet: sender.wallet_address,
@@ -721,18 +3015,461 @@ async function handleScheduledCommandTg(msg, scheduleResult, originalText) {
   }).select().maybeSingle();
 
   if (error) console.error('❌ Failed to schedule:', error.message);
+  await logCmd(msg, cmd.type, cmd.amount, cmd.recipients, cmd.chain, job ? 'scheduled' : 'failed', sender.id);
 
   const timeDesc = scheduleResult.timeDescription || scheduledAt.toUTCString();
   const ts = Math.floor(scheduledAt.getTime() / 1000);
 
   await bot.sendMessage(msg.chat.id, 
     `⏰ *Command Scheduled!*\n\n📋 *Command:* ${scheduleResult.command}\n🕐 *When:* ${timeDesc}\n✅ *Status:* ${job ? 'Queued' : 'Failed to queue'}\n\n_Job ID: ${job?.id || 'N/A'}_`,
-    { parse_mode: 'Markdown' }
+    { parse_mode: 'Markdown', reply_markup: job ? { inline_keyboard: [[{ text: '🗑 Cancel', callback_data: `sched_cancel:${job.id}` }]] } : undefined }
+  );
+}
+
+// ============ Recurring Command Handler ============
+
+function recurringStatusText(rec) {
+  if (rec.status === 'paused') return `⏸ Recurring payment \`${shortId(rec.id)}\` paused. Resume with \`/recurring resume ${shortId(rec.id)}\``;
+  if (rec.status === 'cancelled') return `🗑 Recurring payment \`${shortId(rec.id)}\` cancelled.`;
+  if (rec.status === 'ended') return `🏁 Recurring payment \`${shortId(rec.id)}\` has reached its end date or run limit.`;
+  return `▶️ Recurring payment \`${shortId(rec.id)}\` active. Next run: ${new Date(rec.next_run_at).toUTCString()}`;
+}
+
+async function handleRecurringCommandTg(msg, parsed, originalText) {
+  const sender = await getProfileByTelegramId(msg.from.id);
+  if (!sender) { await bot.sendMessage(msg.chat.id, '❌ Not linked. Use /link first.'); return; }
+
+  const invalid = validateRule(parsed.rule);
+  if (invalid) { await bot.sendMessage(msg.chat.id, `⏰ ${invalid}`); return; }
+  if (parsed.endAt && parsed.endAt <= new Date()) { await bot.sendMessage(msg.chat.id, '⏰ That end date is in the past.'); return; }
+
+  let cmd = parseP2P(parsed.command);
+  let source = 'regex';
+  if (!cmd) {
+    const aiResult = await aiParseCommand(parsed.command, 'telegram');
+    if ((aiResult?.type === 'p2p' || aiResult?.type === 'p2p_multi') && aiResult.amount && aiResult.recipients?.length) {
+      cmd = { type: aiResult.type, amount: aiResult.amount, recipients: aiResult.recipients, chain: aiResult.chain || DEFAULT_CHAIN };
+      source = 'ai';
+    }
+  }
+  if (!cmd) {
+    await bot.sendMessage(msg.chat.id, '❌ I can only repeat payments. Try: `/recurring send $10 to @alice every friday at 9am`', { parse_mode: 'Markdown' });
+    return;
+  }
+  if (cmd.type === 'p2p_address') { await bot.sendMessage(msg.chat.id, ADDRESS_NOT_SCHEDULABLE); return; }
+  // Runs never ask, so the rule is confirmed up front: always when AI parsed it, and above
+  // the sender's threshold like a one-off /send
+  if (source !== 'ai' && cmd.amount * cmd.recipients.length <= confirmThreshold(sender)) {
+    await setUpRecurring(msg, sender, cmd, parsed, originalText);
+    return;
+  }
+
+  const key = `${msg.chat.id}_${msg.message_id}`;
+  if (await getPrompt('confirmation', key)) return;
+  let text = `🧾 *Confirm recurring payment*\n\n📋 *Command:* ${describeScheduledCommand(cmd)}\n🗓 *Repeats:* ${describeRule(parsed.rule)}\n🏁 *Ends:* ${recurringLimitsText(parsed)}\n`;
+  if (source === 'ai') text += `\n🤖 _Parsed by AI — please double-check before confirming._\n`;
+  text += `\n⏳ _Expires in ${Math.round(CONFIRM_TIMEOUT_MS / 1000)}s_`;
+
+  await askToConfirm(msg, sender, cmd, key, text, {
+    action: 'recurring',
+    details: { parsed, originalText },
+    confirmedText: '✅ Confirmed — setting up the recurring payment…',
+  });
+}
+
+function recurringLimitsText(parsed) {
+  const limits = [];
+  if (parsed.maxOccurrences) limits.push(`${parsed.maxOccurrences} runs`);
+  if (parsed.endAt) limits.push(`until ${parsed.endAt.toUTCString()}`);
+  return limits.join(', ') || 'when cancelled';
+}
+
+async function setUpRecurring(msg, sender, cmd, parsed, originalText) {
+  const rec = await createRecurring({ msg, sender, cmd, parsed, originalText });
+  if (!rec) { await bot.sendMessage(msg.chat.id, '❌ Failed to set up the recurring payment. Please try again.'); return; }
+
+  await bot.sendMessage(msg.chat.id,
+    `🔁 *Recurring Payment Set!*\n\n📋 *Command:* ${describeScheduledCommand(cmd)}\n🗓 *Repeats:* ${describeRule(parsed.rule)}\n🏁 *Ends:* ${recurringLimitsText(parsed)}\n🕐 *First run:* ${new Date(rec.next_run_at).toUTCString()}\n\n_Pauses after ${MAX_CONSECUTIVE_FAILURES} failed runs in a row. ID: ${shortId(rec.id)}_`,
+    { parse_mode: 'Markdown', reply_markup: { inline_keyboard: [[{ text: '⏸ Pause', callback_data: `rec_pause:${rec.id}` }, { text: '🗑 Cancel', callback_data: `rec_cancel:${rec.id}` }]] } }
   );
 }
 
+/**
+ * Record a recurring run, queue the next one and tell the payer how it went.
+ * DMs the payer; falls back to the original chat if the bot can't DM them.
+ */
+async function afterRecurringRun(job, outcome) {
+  const run = await recordRecurringRun(job.payload.recurringId, outcome);
+  if (!run) return;
+
+  const { rec, state, nextRunAt } = run;
+  const id = shortId(rec.id);
+  let text = outcome.ok
+    ? `🔁 Recurring payment \`${id}\` ran: ${describeScheduledCommand(rec.payload.command)} (run #${rec.occurrences})`
+    : `⚠️ Recurring payment \`${id}\` failed: ${outcome.error} (${rec.consecutive_failures}/${MAX_CONSECUTIVE_FAILURES} before pause)`;
+  if (state === 'active' && nextRunAt) text += `\n🕐 Next run: ${nextRunAt.toUTCString()}`;
+  if (state === 'paused') text += `\n⏸ Paused after ${rec.consecutive_failures} failed runs. Fix the issue, then \`/recurring resume ${id}\``;
+  if (state === 'ended') text += `\n🏁 That was the last run.`;
+
+  try {
+    await bot.sendMessage(job.source_author_id, text, { parse_mode: 'Markdown' });
+  } catch {
+    if (job.payload.chatType !== 'private') await bot.sendMessage(job.payload.chatId, text, { parse_mode: 'Markdown' });
+  }
+}
+
+// ============ Scheduled Job Execution ============
+
+/**
+ * Rebuild enough of the original Telegram message for the shared handlers.
+ * The original message_id keeps the on-chain memo (`tg_<id>_<tag>`) stable.
+ */
+function scheduledJobMessage(job) {
+  const { payload } = job;
+  return {
+    message_id: job.source_tweet_id,
+    text: payload.originalText || '',
+    chat: { id: payload.chatId, type: payload.chatType || 'group' },
+    from: { id: Number(job.source_author_id), username: job.source_author_username },
+  };
+}
+
+async function runScheduledJob(job) {
+  if (!job.payload.recurringId) return executeScheduledCommand(job);
+
+  const rec = await getRecurring(job.payload.recurringId);
+  if (!rec || rec.status !== 'active') return { ok: false, error: 'Recurring payment no longer active' };
+
+  const outcome = await executeScheduledCommand(job);
+  await afterRecurringRun(job, outcome);
+  return outcome;
+}
+
+async function executeScheduledCommand(job) {
+  const { payload } = job;
+  const cmd = payload.command;
+  const msg = scheduledJobMessage(job);
+  const label = payload.recurringId ? '🔁 *Running recurring payment*' : '⏰ *Running scheduled command*';
+
+  await bot.sendMessage(msg.chat.id, `${label} from @${payload.senderPayTag}\n📋 ${payload.originalText || cmd.type}`, { parse_mode: 'Markdown' });
+
+  if (job.type === 'scheduled_giveaway') {
+    const started = await handleGiveawayTg(msg, cmd.amount, cmd.maxParticipants, cmd.chain || DEFAULT_CHAIN);
+    return started.ok ? { ok: true, result: { giveaway: 'started' } } : { ok: false, error: started.reason };
+  }
+
+  const results = await executeP2PCommand(msg, { type: cmd.type, amount: cmd.amount, recipients: cmd.recipients, chain: cmd.chain || DEFAULT_CHAIN, chainExplicit: !!matchChain(payload.originalText || ''), interactive: false });
+  if (!results) return { ok: false, error: 'Sender not linked' };
+
+  // Unconfirmed transfers count as sent: the reconciler reports them if they don't land
+  const result = { sent: results.filter(r => r.ok || r.pending).map(r => ({ tag: r.tag, hash: r.hash, ...(r.pending ? { pending: true } : {}) })), failed: results.filter(r => !r.ok && !r.pending).map(r => ({ tag: r.tag, reason: r.reason })) };
+  if (!result.sent.length) return { ok: false, result, error: result.failed.map(f => `@${f.tag}: ${f.reason}`).join('; ') };
+  return { ok: true, result };
+}
+
+async function notifyInterruptedJob(job) {
+  if (job.payload.recurringId) await afterRecurringRun(job, { ok: false, error: 'Interrupted by restart' });
+  await bot.sendMessage(job.payload.chatId, `⚠️ Scheduled command "${job.payload.originalText || job.type}" was interrupted by a restart and was not retried. Check /balance before re-sending.`, { parse_mode: 'Markdown' });
+}
+
+// ============ Transaction Reconciler ============
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.RECONCILE_INTERVAL_MIN || '5') * 60000;
+const RECONCILE_AFTER_MS = parseInt(process.env.RECONCILE_AFTER_MIN || '15') * 60000;
+const TX_DROP_AFTER_MS = parseInt(process.env.TX_DROP_AFTER_MIN || '60') * 60000;
+
+/**
+ * On-chain status of a submitted transfer, across every fee-bumped version:
+ * - { status: 'completed' | 'reverted', hash } from whichever version has a receipt
+ * - { status: 'dropped' } once it's old enough, no node knows any version and the
+ *   executor nonce it went out with is still unused, so no version can land
+ * - { unverified: true } when that nonce was used but none of the recorded versions
+ *   was mined: a version we never recorded may have been
+ * - null while it may still be mined
+ */
+async function checkSubmittedTransfer(row) {
+  const { pub, wallet } = rpcClients(row.chain.toLowerCase());
+  const hashes = row.tx_hashes?.length ? row.tx_hashes : [row.tx_hash];
+  const findReceipt = async () => {
+    for (const hash of hashes) {
+      const receipt = await pub.getTransactionReceipt({ hash })
+        .catch(e => { if (e.name === 'TransactionReceiptNotFoundError') return null; throw e; });
+      if (receipt) return { status: receipt.status === 'reverted' ? 'reverted' : 'completed', hash: receipt.transactionHash };
+    }
+    return null;
+  };
+
+  const mined = await findReceipt();
+  if (mined) return mined;
+  if (Date.now() - new Date(row.created_at).getTime() < TX_DROP_AFTER_MS) return null;
+
+  for (const hash of hashes) {
+    const tx = await pub.getTransaction({ hash })
+      .catch(e => { if (e.name === 'TransactionNotFoundError') return null; throw e; });
+    if (tx) return null;
+  }
+  // Rows from before the nonce was recorded can't be proven dropped
+  if (row.executor_nonce === null || row.executor_nonce === undefined || !wallet) return { unverified: true };
+
+  const used = await pub.getTransactionCount({ address: wallet.account.address, blockTag: 'latest' });
+  if (used <= Number(row.executor_nonce)) return { status: 'dropped', hash: row.tx_hash };
+  // One of ours may have been mined since the first look
+  return (await findReceipt()) || { unverified: true };
+}
+
+// Unverified transfers already reported to the ops chats by this process
+const flaggedTransactions = new Set();
+
+async function flagUnverifiedTransfer(row) {
+  if (flaggedTransactions.has(row.id)) return;
+  flaggedTransactions.add(row.id);
+  await alertAdmins(`*Transfer needs a manual check*\n$${parseFloat(row.amount).toFixed(2)} from @${row.payer_pay_tag} on ${chainLabel(row.chain)}: executor nonce ${row.executor_nonce ?? 'unknown'} was used, but none of its recorded hashes were mined. Latest \`${row.tx_hash}\`. It stays submitted.`);
+}
+
+/**
+ * Re-check transfers still marked submitted and report the outcome in the chat they came from.
+ * @param {number} minAgeMs - only rows at least this old
+ */
+async function reconcileTransactions(minAgeMs) {
+  let resolved = 0;
+  for (const row of await listUnresolvedTransactions(new Date(Date.now() - minAgeMs))) {
+    if (watchedTransactions.has(row.id) || !row.tx_hash || !CHAINS[row.chain?.toLowerCase()]) continue;
+
+    let check;
+    try {
+      check = await checkSubmittedTransfer(row);
+    } catch (e) {
+      console.warn(`  ⚠️ Reconcile check failed for ${row.tx_hash}: ${e.shortMessage || e.message}`);
+      continue;
+    }
+    if (!check) continue;
+    if (check.unverified) { await flagUnverifiedTransfer(row); continue; }
+
+    const { status, hash } = check;
+    const updated = await resolveTransaction(row.id, status, { tx_hash: hash });
+    if (!updated) continue;
+    resolved++;
+    console.log(`  🔎 [${row.chain}] ${hash} → ${status}`);
+    if (status === 'reverted') noteTransferRevert(row.chain.toLowerCase(), hash);
+    await notifyResolvedTransfer(updated);
+    if (updated.platform_message_id) await refreshCommandStatus(updated.platform_channel_id, updated.platform_message_id);
+  }
+  return resolved;
+}
+
+async function notifyResolvedTransfer(row) {
+  if (!row.platform_channel_id) return;
+  const who = row.recipient_pay_tag ? `@${row.recipient_pay_tag}` : shortAddress(row.recipient_address || '');
+  const what = `$${parseFloat(row.amount).toFixed(2)} from @${row.payer_pay_tag} to ${who} on ${chainLabel(row.chain)}`;
+  const url = explorerTxUrl(row.chain, row.tx_hash);
+  const texts = {
+    completed: `✅ ${what} is confirmed.${url ? ` [View transaction](${url})` : ''}`,
+    reverted: `❌ ${what} reverted on-chain. Nothing was sent.`,
+    dropped: `❌ ${what} never made it on-chain. Nothing was sent. Check /history, then send it again if it's still needed.`,
+  };
+  await bot.sendMessage(row.platform_channel_id, `🔎 *Payment update*\n${texts[row.status]}`, { parse_mode: 'Markdown', disable_web_page_preview: true })
+    .catch(e => console.error(`❌ Payment update to ${row.platform_channel_id} failed:`, e.message));
+}
+
+/**
+ * Settle transfers left submitted, then close out commands left processing. Runs at
+ * startup and every RECONCILE_INTERVAL_MIN; rows younger than the send lease are left
+ * alone, since they may belong to another replica that is still sending them.
+ */
+async function recoverTransactions() {
+  const resolved = await reconcileTransactions(Math.max(RECONCILE_AFTER_MS, SEND_LEASE_MS));
+  const stalled = await markStalledCommands(new Date(Date.now() - SEND_LEASE_MS));
+  if (resolved || stalled) console.log(`🔎 Recovery: ${resolved} transfer(s) resolved, ${stalled} command(s) marked interrupted`);
+}
+
+// ============ Admin Alerts ============
+
+const ADMIN_CHAT_IDS = (process.env.ADMIN_CHAT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+async function alertAdmins(text) {
+  console.warn(`🚨 ${text.replace(/[*_`]/g, '')}`);
+  for (const chatId of ADMIN_CHAT_IDS) {
+    await bot.sendMessage(chatId, `🚨 ${text}`, { parse_mode: 'Markdown' }).catch(e => console.error(`❌ Admin alert to ${chatId} failed:`, e.message));
+  }
+}
+
+// Error texts from RPCs and edge functions can break Markdown
+const plain = (text) => String(text ?? '').replace(/[*_`[\]]/g, '');
+
+/**
+ * Count a reverted transfer; alert once REVERT_ALERT_COUNT land on one chain within the window.
+ */
+function noteTransferRevert(chain, hash) {
+  const count = noteRevert(chain);
+  if (count) alertAdmins(`*Repeated reverts on ${chainLabel(chain)}*\n${count} transfers reverted in the last ${REVERT_ALERT_WINDOW_MIN} min. Latest: \`${hash}\``);
+}
+
+configureOps({
+  onResume: () => payDeferredGiveaways().catch(e => console.error('❌ Deferred giveaway payouts failed:', e.message)),
+  onUnreadable: ({ error, unknown }) => alertAdmins(unknown
+    ? `*Pause flag unreadable*\nCouldn't read \`bot_flags\` since starting (${plain(error)}). Every payment is held until it can be read.`
+    : `*Pause flag unreadable*\nCouldn't refresh \`bot_flags\` (${plain(error)}). Keeping the last known state: transfers ${transfersPaused() ? 'paused' : 'running'}.`),
+});
+
+configureGuardrails({
+  onLowGas: ({ chain, balance, floor, symbol }) =>
+    alertAdmins(`*Executor low on gas on ${chainLabel(chain)}*\nBalance ${balance.toFixed(5)} ${symbol}, floor ${floor} ${symbol}. Payments on this chain are paused until it's topped up.`),
+});
+
+configureRpcPool({
+  onDown: ({ chain, host, error, up, total }) =>
+    alertAdmins(`*RPC failover on ${chainLabel(chain)}*\n\`${host}\` is out of rotation (${plain(error)}). ${up}/${total} endpoint(s) up.`),
+  onRestored: ({ chain, host, up, total }) =>
+    alertAdmins(`*RPC restored on ${chainLabel(chain)}*\n\`${host}\` is back. ${up}/${total} endpoint(s) up.`),
+});
+
+configureAi({
+  onOutage: ({ name, error }) =>
+    alertAdmins(`*AI edge function down*\n\`${name}\` keeps failing (${plain(error)}). Commands fall back to regex parsing.`),
+  onRecovery: ({ name, downSince }) =>
+    alertAdmins(`*AI edge function back*\n\`${name}\` is answering again (down since ${downSince}).`),
+});
+
+// ============ Operator Commands ============
+
+const OPERATOR_IDS = (process.env.OPERATOR_TELEGRAM_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+function isOperator(userId) {
+  return OPERATOR_IDS.includes(String(userId));
+}
+
+function formatUptime(seconds) {
+  const d = Math.floor(seconds / 86400), h = Math.floor((seconds % 86400) / 3600), m = Math.floor((seconds % 3600) / 60);
+  return d ? `${d}d ${h}h ${m}m` : h ? `${h}h ${m}m` : `${m}m`;
+}
+
+function pauseText(paused) {
+  if (paused.unknown) return '⏸ *Transfers held* — the pause flag hasn\'t been read since startup';
+  const by = paused.by ? ` by \`${paused.by}\`` : '';
+  const since = paused.at ? ` since ${paused.at.replace('T', ' ').slice(0, 16)} UTC` : '';
+  return `⏸ *Transfers paused*${by}${since}${paused.reason ? ` — ${plain(paused.reason)}` : ''}`;
+}
+
+/**
+ * Executor gas, RPC endpoint and queue depth for one chain.
+ */
+async function chainStatusLine(chain) {
+  const config = CHAINS[chain];
+  const { pub, wallet, host } = rpcClients(chain);
+  const endpoints = rpcPoolStats()[chain];
+  const queue = txQueueStats()[chain] || { queued: 0, inFlight: 0 };
+  const symbol = config.chain.nativeCurrency.symbol;
+
+  let gas = '⚠️ no executor key';
+  if (wallet) {
+    try {
+      const wei = await pub.getBalance({ address: wallet.account.address });
+      const balance = parseFloat(formatUnits(wei, config.chain.nativeCurrency.decimals));
+      const low = config.minExecutorBalance && balance < config.minExecutorBalance;
+      gas = `${low ? '🔴' : '🟢'} ${balance.toFixed(5)} ${symbol}${config.minExecutorBalance ? ` (floor ${config.minExecutorBalance})` : ''}`;
+    } catch (e) {
+      gas = `⚠️ balance unavailable (${plain(e.shortMessage || e.message)})`;
+    }
+  }
+  return `*${chainLabel(chain)}*: ${gas}\n   RPC \`${host}\` (${endpoints.filter(e => e.status === 'up').length}/${endpoints.length} up) · queue ${queue.queued} waiting, ${queue.inFlight} in flight`;
+}
+
+async function adminStatusText() {
+  const paused = transfersPaused();
+  const ai = Object.entries(aiHealth());
+  const down = ai.filter(([, h]) => h.status === 'down');
+  const aiLine = !ai.length ? '🤖 AI: no calls yet'
+    : down.length ? `🤖 AI: ${down.map(([name, h]) => `\`${name}\` down since ${h.downSince.slice(11, 16)} UTC`).join(', ')}`
+      : `🤖 AI: ${ai.length} edge function(s) up`;
+  const unresolved = await listUnresolvedTransactions(new Date()).then(rows => rows.length).catch(() => null);
+  const chains = await Promise.all(CHAIN_KEYS.map(chainStatusLine));
+
+  return `🛠 *MoniBot status*
+⏱ Up ${formatUptime(process.uptime())} · ${USE_WEBHOOK ? 'webhook' : 'polling'}
+${paused ? pauseText(paused) : '▶️ Transfers running'}
+${aiLine}
+🔎 Unconfirmed transfers: ${unresolved ?? 'unknown'}
+
+${chains.join('\n')}`;
+}
+
+async function adminJobsText() {
+  const jobs = await getJobOverview();
+  let text = `⏰ *Scheduled jobs*\nPending ${jobs.pending} (${jobs.due} due) · running ${jobs.running} · failed in 24h ${jobs.failedLastDay}\n`;
+  if (!jobs.polling) text += '⚠️ Scheduler is not polling\n';
+  else if (transfersPaused()) text += '⏸ Held while transfers are paused\n';
+  if (jobs.next.length) {
+    text += '\n*Next up:*\n';
+    for (const job of jobs.next) {
+      const what = plain(job.payload?.originalText || job.type).slice(0, 60);
+      text += `• ${job.scheduled_at.replace('T', ' ').slice(0, 16)} UTC — ${what} (chat \`${job.payload?.chatId}\`)\n`;
+    }
+  }
+  const unresolved = await listUnresolvedTransactions(new Date()).then(rows => rows.length).catch(() => null);
+  text += `\n🎁 Live giveaways: ${liveGiveaways.size}\n🔎 Unconfirmed transfers: ${unresolved ?? 'unknown'}`;
+  return text;
+}
+
+// /admin status | pause [reason] | resume | jobs — operators only, everyone else is ignored
+bot.onText(/\/admin(?:@\w+)?(?:\s+(\w+))?(?:\s+(.+))?$/is, async (msg, match) => {
+  if (!isOperator(msg.from?.id)) return;
+  const action = (match[1] || 'status').toLowerCase();
+  const operator = msg.from.username ? `@${msg.from.username}` : String(msg.from.id);
+
+  try {
+    if (action === 'status') {
+      await bot.sendMessage(msg.chat.id, await adminStatusText(), { parse_mode: 'Markdown' });
+    } else if (action === 'jobs') {
+      await bot.sendMessage(msg.chat.id, await adminJobsText(), { parse_mode: 'Markdown' });
+    } else if (action === 'pause') {
+      const reason = match[2]?.trim() || null;
+      await setTransfersPaused(true, { reason, by: msg.from.id });
+      await bot.sendMessage(msg.chat.id, '⏸ All outgoing transfers are paused. Transfers already broadcast will still confirm. `/admin resume` to start again.', { parse_mode: 'Markdown' });
+      await alertAdmins(`*Transfers paused* by ${plain(operator)}${reason ? ` — ${plain(reason)}` : ''}`);
+    } else if (action === 'resume') {
+      await setTransfersPaused(false, { by: msg.from.id });
+      await bot.sendMessage(msg.chat.id, '▶️ Transfers resumed. Scheduled jobs that came due meanwhile and held giveaway payouts will run now.');
+      await alertAdmins(`*Transfers resumed* by ${plain(operator)}`);
+    } else {
+      await bot.sendMessage(msg.chat.id, '❓ Usage: `/admin status`, `/admin pause [reason]`, `/admin resume` or `/admin jobs`', { parse_mode: 'Markdown' });
+    }
+  } catch (e) {
+    console.error('[Admin] Command failed:', e.message);
+    await bot.sendMessage(msg.chat.id, `❌ /admin ${action} failed: ${e.message}`);
+  }
+});
+
+// ============ Startup ============
+
+// Giveaway and hold recovery wait for the pause flag, so they never act on the startup hold
+const opsLoaded = loadOpsState();
+startOpsRefresh();
+recoverTransactions().catch(e => console.error('❌ Transaction recovery failed:', e.message));
+setInterval(() => recoverTransactions().catch(e => console.error('❌ Reconcile failed:', e.message)), RECONCILE_INTERVAL_MS);
+startScheduler({ runJob: runScheduledJob, onInterrupted: notifyInterruptedJob, isPaused: () => !!transfersPaused() });
+startRpcProbes();
+opsLoaded.then(() => resumeGiveaways()).catch(e => console.error('❌ Giveaway resume failed:', e.message));
+setInterval(() => syncGiveaways().catch(e => console.error('❌ Giveaway sync failed:', e.message)), 30000);
+setInterval(() => recoverGiveawayPayouts().catch(e => console.error('❌ Giveaway payout recovery failed:', e.message)), 60000);
+opsLoaded.then(() => flagInterruptedHolds()).catch(e => console.error('❌ Claim recovery failed:', e.message));
+setInterval(() => releaseExpiredHolds().catch(e => console.error('❌ Hold expiry failed:', e.message)), 60000);
+setInterval(() => flagInterruptedHolds().catch(e => console.error('❌ Claim recovery failed:', e.message)), 60000);
+recoverStalledRequests().catch(e => console.error('❌ Request recovery failed:', e.message));
+setInterval(() => recoverStalledRequests().catch(e => console.error('❌ Request recovery failed:', e.message)), 60000);
+setInterval(() => expirePrompts().catch(e => console.error('❌ Prompt expiry failed:', e.message)), 15000);
+
 // ============ Auto-Restart ============
 
-setTimeout(() => { console.log('🔄 Auto-restart'); process.exit(0); }, 90 * 60 * 1000);
-process.on('SIGTERM', () => { bot.stopPolling(); process.exit(0); });
-process.on('SIGINT', () => { bot.stopPolling(); process.exit(0); });
+async function shutdown() {
+  if (!USE_WEBHOOK) bot.stopPolling();
+  else if (WEBHOOK_DELETE_ON_SHUTDOWN) await bot.deleteWebHook().catch(e => console.error('❌ deleteWebHook failed:', e.message));
+  await stopScheduler();
+  stopRpcProbes();
+  stopOpsRefresh();
+  process.exit(0);
+}
+
+// Webhook deployments run behind a load balancer and don't need the polling restart
+if (!USE_WEBHOOK) setTimeout(() => { console.log('🔄 Auto-restart'); shutdown(); }, 90 * 60 * 1000);
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
@@ -0,0 +1,102 @@
+/**
+ * MoniBot Telegram - Spending Limits & Velocity Controls
+ *
+ * Checks a proposed spend against caps computed from `monibot_transactions`:
+ * - Max per transaction
+ * - Rolling 24h / 7d spend per profile (overridable per profile)
+ * - Rolling 24h spend per chat
+ * - Max transactions per hour per profile
+ * A cap of 0 disables that rule.
+ *
+ * Limits are best-effort: usage is read, then the payment is sent, with no
+ * reservation in between. Payments checked at the same moment (a burst of
+ * commands, a giveaway batch next to a claim) each see the same usage and can
+ * together overshoot a cap by what is in flight; the next check sees them once
+ * their transfers are recorded as `submitted`.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const LIMITS = {
+  maxPerTx: parseFloat(process.env.LIMIT_MAX_PER_TX || '250'),
+  daily: parseFloat(process.env.LIMIT_DAILY || '500'),
+  weekly: parseFloat(process.env.LIMIT_WEEKLY || '2000'),
+  chatDaily: parseFloat(process.env.LIMIT_CHAT_DAILY || '1000'),
+  txPerHour: parseInt(process.env.LIMIT_TX_PER_HOUR || '30'),
+};
+
+function profileCaps(profile) {
+  const pick = (custom, fallback) => (custom === null || custom === undefined ? fallback : parseFloat(custom));
+  return {
+    daily: pick(profile?.monibot_daily_limit, LIMITS.daily),
+    weekly: pick(profile?.monibot_weekly_limit, LIMITS.weekly),
+  };
+}
+
+/**
+ * Sum gross spend (amount + fee) and count of completed or still-unconfirmed transactions since `since`.
+ */
+async function spentSince(filter, since) {
+  let query = supabase.from('monibot_transactions')
+    .select('amount, fee, created_at')
+    .in('status', ['submitted', 'completed'])
+    .gte('created_at', since.toISOString());
+  for (const [column, value] of Object.entries(filter)) query = query.eq(column, value);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Limit lookup failed: ${error.message}`);
+
+  return (data || []).reduce((acc, tx) => ({
+    total: acc.total + (parseFloat(tx.amount) || 0) + (parseFloat(tx.fee) || 0),
+    count: acc.count + 1,
+    recent: acc.recent + (new Date(tx.created_at) >= new Date(Date.now() - HOUR_MS) ? 1 : 0),
+  }), { total: 0, count: 0, recent: 0 });
+}
+
+/**
+ * Current usage and remaining headroom for a profile (and optionally a chat).
+ */
+export async function getSpendUsage(profile, chatId) {
+  const now = Date.now();
+  const caps = profileCaps(profile);
+
+  const [day, week, chat] = await Promise.all([
+    spentSince({ sender_id: profile.id }, new Date(now - DAY_MS)),
+    spentSince({ sender_id: profile.id }, new Date(now - 7 * DAY_MS)),
+    chatId !== undefined && LIMITS.chatDaily > 0 ? spentSince({ platform_channel_id: String(chatId) }, new Date(now - DAY_MS)) : null,
+  ]);
+
+  return {
+    maxPerTx: LIMITS.maxPerTx,
+    daily: { used: day.total, cap: caps.daily, remaining: caps.daily > 0 ? Math.max(0, caps.daily - day.total) : Infinity },
+    weekly: { used: week.total, cap: caps.weekly, remaining: caps.weekly > 0 ? Math.max(0, caps.weekly - week.total) : Infinity },
+    chat: chat ? { used: chat.total, cap: LIMITS.chatDaily, remaining: Math.max(0, LIMITS.chatDaily - chat.total) } : null,
+    hourly: { used: day.recent, cap: LIMITS.txPerHour, remaining: LIMITS.txPerHour > 0 ? Math.max(0, LIMITS.txPerHour - day.recent) : Infinity },
+  };
+}
+
+/**
+ * Check whether `count` payments of `amount` each are allowed right now.
+ * Nothing is reserved, so concurrent checks can all pass (see the header).
+ * @returns {Promise<{ok: true} | {ok: false, rule: string, cap: number, used: number, remaining: number}>}
+ */
+export async function checkSpendLimits(profile, chatId, amount, count = 1) {
+  if (LIMITS.maxPerTx > 0 && amount > LIMITS.maxPerTx) {
+    return { ok: false, rule: 'max_per_tx', cap: LIMITS.maxPerTx, used: 0, remaining: LIMITS.maxPerTx };
+  }
+
+  const usage = await getSpendUsage(profile, chatId);
+  const total = amount * count;
+
+  if (usage.hourly.remaining < count) return { ok: false, rule: 'tx_per_hour', ...usage.hourly };
+  if (total > usage.daily.remaining) return { ok: false, rule: 'daily', ...usage.daily };
+  if (total > usage.weekly.remaining) return { ok: false, rule: 'weekly', ...usage.weekly };
+  if (usage.chat && total > usage.chat.remaining) return { ok: false, rule: 'chat_daily', ...usage.chat };
+
+  return { ok: true };
+}
@@ -0,0 +1,124 @@
+/**
+ * MoniBot Telegram - Operator State
+ *
+ * Bot-wide switches for the operators (/admin in index.js):
+ * - Transfer pause: kept in `bot_flags` under `transfers_paused` so it survives
+ *   restarts and reaches every replica (each reloads it every REFRESH_MS).
+ *   While paused nothing is broadcast: commands are refused, scheduled jobs and
+ *   giveaway payouts wait, and onResume fires when the pause lifts.
+ *   Until the flag has been read once, transfers are held (`unknown` is set), so
+ *   updates queued across a restart can't slip through a pause; onUnreadable
+ *   fires when a read fails so operators hear about it.
+ * - Revert alerts: REVERT_ALERT_COUNT reverts on one chain within
+ *   REVERT_ALERT_WINDOW_MIN trigger one alert for that window
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const PAUSE_KEY = 'transfers_paused';
+const REFRESH_MS = 30000;
+const REVERT_ALERT_COUNT = parseInt(process.env.REVERT_ALERT_COUNT || '3');
+const REVERT_ALERT_WINDOW_MS = parseInt(process.env.REVERT_ALERT_WINDOW_MIN || '10') * 60000;
+
+const STARTING = Object.freeze({ reason: 'Pause flag not read yet', by: null, at: null, unknown: true });
+
+let paused = STARTING; // { reason, by, at } while transfers are paused
+let refreshTimer = null;
+let readFailing = false;
+let hooks = { onResume: () => {}, onUnreadable: () => {} };
+const reverts = new Map();      // chain → [timestamp]
+const lastRevertAlert = new Map(); // chain → timestamp
+
+/**
+ * @param {object} options
+ * @param {() => void} [options.onResume] - transfers went from held (paused or not yet read) to running
+ * @param {(info: { error: string, unknown: boolean }) => void} [options.onUnreadable] - first failed read
+ *   in a row; `unknown` when the flag has never been read, so every transfer is still held
+ */
+export function configureOps(options) {
+  hooks = { ...hooks, ...options };
+}
+
+// ============ Transfer Pause ============
+
+function setPaused(next) {
+  const wasHeld = !!paused;
+  paused = next;
+  if (wasHeld && !paused) hooks.onResume();
+}
+
+/**
+ * Reload the pause flag. Keeps the last known state when the read fails.
+ * @returns {Promise<boolean>} whether the flag was read
+ */
+export async function loadOpsState() {
+  let result;
+  try {
+    result = await supabase.from('bot_flags').select('value').eq('key', PAUSE_KEY).maybeSingle();
+  } catch (e) {
+    result = { error: e };
+  }
+  const { data, error } = result;
+  if (error) {
+    console.error('[Ops] Load error:', error.message);
+    if (!readFailing) hooks.onUnreadable({ error: error.message, unknown: paused === STARTING });
+    readFailing = true;
+    return false;
+  }
+  readFailing = false;
+  setPaused(data?.value?.paused ? { reason: data.value.reason || null, by: data.value.by || null, at: data.value.at || null } : null);
+  return true;
+}
+
+export function startOpsRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setInterval(() => loadOpsState(), REFRESH_MS);
+}
+
+export function stopOpsRefresh() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+}
+
+/**
+ * @returns {{ reason: string|null, by: string|null, at: string|null, unknown?: true } | null} null when
+ *   transfers are running; `unknown` while the flag hasn't been read since startup
+ */
+export function transfersPaused() {
+  return paused;
+}
+
+/**
+ * Pause or resume every outgoing transfer.
+ * @param {boolean} pause
+ * @param {{ reason?: string, by: string }} details - `by` is the operator's Telegram id
+ */
+export async function setTransfersPaused(pause, { reason = null, by }) {
+  const value = pause ? { paused: true, reason, by: String(by), at: new Date().toISOString() } : { paused: false };
+  const { error } = await supabase.from('bot_flags')
+    .upsert({ key: PAUSE_KEY, value, updated_by: String(by), updated_at: new Date().toISOString() }, { onConflict: 'key' });
+  if (error) throw new Error(`Pause update failed: ${error.message}`);
+  setPaused(pause ? { reason: value.reason, by: value.by, at: value.at } : null);
+  return paused;
+}
+
+// ============ Revert Alerts ============
+
+/**
+ * Count a reverted transfer.
+ * @returns {number|null} reverts in the window when an alert is due, otherwise null
+ */
+export function noteRevert(chain) {
+  const now = Date.now();
+  const recent = (reverts.get(chain) || []).filter(at => now - at < REVERT_ALERT_WINDOW_MS);
+  recent.push(now);
+  reverts.set(chain, recent);
+
+  if (recent.length < REVERT_ALERT_COUNT || now - (lastRevertAlert.get(chain) || 0) < REVERT_ALERT_WINDOW_MS) return null;
+  lastRevertAlert.set(chain, now);
+  return recent.length;
+}
+
+export const REVERT_ALERT_WINDOW_MIN = REVERT_ALERT_WINDOW_MS / 60000;
@@ -0,0 +1,76 @@
+/**
+ * MoniBot Telegram - Pending Prompts
+ *
+ * Button prompts waiting on their sender, stored in `pending_prompts` so any
+ * replica can answer a tap (updates behind a load balancer reach any of them):
+ * - `confirmation`: Confirm / Cancel before a payment, schedule or recurring rule,
+ *   keyed by `${chatId}_${messageId}` of the command
+ * - `claim_offer`: offer to hold a payment for someone not on MoniPay, keyed by a
+ *   short random id (fits callback_data)
+ * Each row expires after its TTL. Taking one is an atomic delete, so a double tap
+ * or two replicas can't both act on it; expired rows are swept by whichever
+ * replica gets there first.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+/**
+ * Store a prompt. False when one already exists under the key (or it couldn't be stored).
+ * @param {'confirmation'|'claim_offer'} kind
+ * @param {{ chatId: number|string, promptId: number, ownerId: number|string, data: object, ttlMs: number }} prompt
+ *   `data` must be plain JSON; `ownerId` is the Telegram user who may answer it
+ */
+export async function savePrompt(kind, key, { chatId, promptId, ownerId, data, ttlMs }) {
+  const { error } = await supabase.from('pending_prompts').insert({
+    kind,
+    key,
+    chat_id: String(chatId),
+    prompt_message_id: String(promptId),
+    owner_telegram_id: String(ownerId),
+    data,
+    expires_at: new Date(Date.now() + ttlMs).toISOString(),
+  });
+  if (error && error.code !== '23505') console.error(`[Prompts] Save error (${kind} ${key}):`, error.message);
+  return !error;
+}
+
+/**
+ * A prompt that hasn't expired, without taking it.
+ */
+export async function getPrompt(kind, key) {
+  const { data } = await supabase.from('pending_prompts')
+    .select('*')
+    .eq('kind', kind)
+    .eq('key', key)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Remove a live prompt and return it. Only one caller gets the row.
+ */
+export async function takePrompt(kind, key) {
+  const { data } = await supabase.from('pending_prompts')
+    .delete()
+    .eq('kind', kind)
+    .eq('key', key)
+    .gt('expires_at', new Date().toISOString())
+    .select()
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Remove expired prompts and return the ones this caller removed.
+ */
+export async function takeExpiredPrompts() {
+  const { data, error } = await supabase.from('pending_prompts')
+    .delete()
+    .lte('expires_at', new Date().toISOString())
+    .select();
+  if (error) console.error('[Prompts] Expiry sweep error:', error.message);
+  return data || [];
+}
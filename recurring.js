@@ -0,0 +1,452 @@
+/**
+ * MoniBot Telegram - Recurring Payments
+ *
+ * Recurrence rules ("every Friday at 9am", "every day", "cron 0 9 * * 5") are
+ * stored in `recurring_payments`. Each occurrence is materialized as a normal
+ * `scheduled_jobs` row, so the scheduler executes it like any one-off job and
+ * the next occurrence is queued once the previous one finishes.
+ * - End date / max-occurrence limits
+ * - Auto-pause after repeated consecutive failures
+ * - All times are UTC
+ * - Cron takes plain numeric fields only (lists, ranges, steps); no names or macros
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const MAX_CONSECUTIVE_FAILURES = parseInt(process.env.RECURRING_MAX_FAILURES || '3');
+const MIN_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 86400000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_NAMES = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)s?';
+const EVERY_WEEKDAY_RE = new RegExp(`\\bevery\\s+${DAY_NAMES}\\b`, 'i');
+const ON_WEEKDAY_RE = new RegExp(`\\bon\\s+${DAY_NAMES}\\b`, 'i');
+
+// ============ Parsing ============
+
+function parseTime(text) {
+  const m = text.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?:\s*utc)?\b/i);
+  if (!m) return null;
+  let hour = parseInt(m[1]);
+  const minute = m[2] ? parseInt(m[2]) : 0;
+  const meridiem = m[3]?.toLowerCase();
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute, match: m[0] };
+}
+
+function parseLimits(text, now) {
+  const limits = { endAt: null, maxOccurrences: null, matches: [] };
+
+  const count = text.match(/\b(?:for\s+)?(\d+)\s+(?:times|occurrences|payments|runs)\b/i);
+  if (count) { limits.maxOccurrences = parseInt(count[1]); limits.matches.push(count[0]); }
+
+  const span = text.match(/\bfor\s+(\d+)\s+(day|week|month)s?\b/i);
+  if (span) {
+    const n = parseInt(span[1]);
+    const end = new Date(now);
+    if (span[2].toLowerCase() === 'day') end.setUTCDate(end.getUTCDate() + n);
+    else if (span[2].toLowerCase() === 'week') end.setUTCDate(end.getUTCDate() + n * 7);
+    else end.setUTCMonth(end.getUTCMonth() + n);
+    limits.endAt = end;
+    limits.matches.push(span[0]);
+  }
+
+  const until = text.match(/\buntil\s+(\d{4}-\d{2}-\d{2})\b/i);
+  if (until) {
+    const end = new Date(`${until[1]}T23:59:59Z`);
+    if (!isNaN(end)) { limits.endAt = end; limits.matches.push(until[0]); }
+  }
+
+  return limits;
+}
+
+/**
+ * Detect a recurrence in a message.
+ * Returns { rule, endAt, maxOccurrences, command } or null if the text isn't recurring.
+ * Only an explicit "every …" or "cron …" makes free text recurring; bare "daily",
+ * "weekly" and "monthly" count only with `adverbs` (in /recurring, which is recurring already).
+ */
+export function parseRecurrence(text, now = new Date(), { adverbs = false } = {}) {
+  const matches = [];
+  let rule = null;
+
+  const cron = text.match(/\bcron\s+((?:\S+\s+){4}\S+)/i);
+  const everyN = text.match(/\bevery\s+(\d+)\s+(day|week|month)s?\b/i);
+  const weekday = text.match(EVERY_WEEKDAY_RE) || (everyN ? text.match(ON_WEEKDAY_RE) : null);
+  const daily = text.match(adverbs ? /\b(?:every\s*day|daily)\b/i : /\bevery\s*day\b/i);
+  const weekly = text.match(adverbs ? /\b(?:every\s+week|weekly)\b/i : /\bevery\s+week\b/i);
+  const monthly = text.match(adverbs ? /\b(?:every\s+month|monthly)\b/i : /\bevery\s+month\b/i);
+  const dom = text.match(/\bon\s+the\s+(\d{1,2})(?:st|nd|rd|th)?(?:\s+of\s+(?:every|each|the)\s+month)?\b/i);
+  const domEvery = dom && (adverbs ? /\bmonth\b/i : /\b(?:every|each)\s+month\b/i).test(dom[0]);
+
+  if (cron) {
+    if (!parseCron(cron[1])) return null;
+    rule = { frequency: 'cron', interval: 1, cron: cron[1].trim() };
+    matches.push(cron[0]);
+  } else if (everyN) {
+    const unit = everyN[2].toLowerCase();
+    rule = { frequency: unit === 'day' ? 'daily' : unit === 'week' ? 'weekly' : 'monthly', interval: Math.max(1, parseInt(everyN[1])) };
+    matches.push(everyN[0]);
+  } else if (weekday) {
+    rule = { frequency: 'weekly', interval: 1 };
+    matches.push(weekday[0]);
+  } else if (daily) {
+    rule = { frequency: 'daily', interval: 1 };
+    matches.push(daily[0]);
+  } else if (weekly) {
+    rule = { frequency: 'weekly', interval: 1 };
+    matches.push(weekly[0]);
+  } else if (monthly || domEvery) {
+    rule = { frequency: 'monthly', interval: 1 };
+    // "on the 1st of every month" is removed whole below
+    if (monthly && !domEvery) matches.push(monthly[0]);
+  } else {
+    return null;
+  }
+
+  if (rule.frequency !== 'cron') {
+    const time = parseTime(text);
+    if (time) matches.push(time.match);
+    rule.hour = time ? time.hour : now.getUTCHours();
+    rule.minute = time ? time.minute : now.getUTCMinutes();
+
+    if (rule.frequency === 'weekly') {
+      const day = weekday ? WEEKDAYS.findIndex(d => d.startsWith(weekday[1].toLowerCase())) : now.getUTCDay();
+      rule.weekday = day;
+      if (everyN && weekday) matches.push(weekday[0]);
+    }
+    if (rule.frequency === 'monthly') {
+      rule.dayOfMonth = dom ? Math.min(31, Math.max(1, parseInt(dom[1]))) : now.getUTCDate();
+      if (dom) matches.push(dom[0]);
+    }
+  }
+
+  const limits = parseLimits(text, now);
+  matches.push(...limits.matches);
+
+  let command = text;
+  for (const m of matches) command = command.replace(m, ' ');
+  command = command
+    .replace(/^\s*\/(?:recurring|send|pay|monibot)(?:@\w+)?\s*/i, '')
+    .replace(/@monibot\b/gi, '')
+    .replace(/^\s*monibot\s*/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { rule, endAt: limits.endAt, maxOccurrences: limits.maxOccurrences, command };
+}
+
+// ============ Cron ============
+
+// Numbers, *, lists, ranges and steps. Anything else (names, "?", "L", hex, signs) is rejected
+const CRON_FIELD_RE = /^(?:\*|\d{1,2}(?:-\d{1,2})?)(?:\/\d{1,2})?(?:,(?:\*|\d{1,2}(?:-\d{1,2})?)(?:\/\d{1,2})?)*$/;
+
+function parseCronField(field, min, max) {
+  if (!CRON_FIELD_RE.test(field)) return null;
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr ? parseInt(stepStr) : 1;
+    if (!step || step < 1) return null;
+    let lo = min, hi = max;
+    if (range !== '*') {
+      const [a, b] = range.split('-').map(Number);
+      if (isNaN(a)) return null;
+      lo = a;
+      hi = b === undefined ? (stepStr ? max : a) : b;
+    }
+    if (isNaN(hi) || lo < min || hi > max || lo > hi) return null;
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const parts = expr.trim().split(/\s+/);
+  if (parts.length !== 5) return null;
+  const [minute, hour, dom, month, dow] = [
+    parseCronField(parts[0], 0, 59),
+    parseCronField(parts[1], 0, 23),
+    parseCronField(parts[2], 1, 31),
+    parseCronField(parts[3], 1, 12),
+    parseCronField(parts[4], 0, 7),
+  ];
+  if (!minute || !hour || !dom || !month || !dow) return null;
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function cronNext(expr, after) {
+  const c = parseCron(expr);
+  if (!c) return null;
+
+  const t = new Date(after);
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const limit = after.getTime() + 4 * 366 * DAY_MS;
+
+  while (t.getTime() < limit) {
+    if (!c.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    const domOk = c.dom.has(t.getUTCDate());
+    const dowOk = c.dow.has(t.getUTCDay());
+    const dayOk = c.domAny && c.dowAny ? true : c.domAny ? dowOk : c.dowAny ? domOk : domOk || dowOk;
+    if (!dayOk) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!c.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!c.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
+
+// ============ Occurrences ============
+
+function atTime(date, rule) {
+  const d = new Date(date);
+  d.setUTCHours(rule.hour, rule.minute, 0, 0);
+  return d;
+}
+
+function monthDay(year, month, dayOfMonth) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Math.min(dayOfMonth, lastDay);
+}
+
+/**
+ * First occurrence strictly after `now`.
+ */
+export function firstOccurrence(rule, now = new Date()) {
+  if (rule.frequency === 'cron') return cronNext(rule.cron, now);
+
+  if (rule.frequency === 'daily') {
+    const today = atTime(now, rule);
+    return today > now ? today : new Date(today.getTime() + DAY_MS);
+  }
+
+  if (rule.frequency === 'weekly') {
+    const candidate = atTime(now, rule);
+    const offset = (rule.weekday - now.getUTCDay() + 7) % 7;
+    candidate.setUTCDate(candidate.getUTCDate() + offset);
+    return candidate > now ? candidate : new Date(candidate.getTime() + 7 * DAY_MS);
+  }
+
+  const y = now.getUTCFullYear(), m = now.getUTCMonth();
+  const thisMonth = new Date(Date.UTC(y, m, monthDay(y, m, rule.dayOfMonth), rule.hour, rule.minute));
+  if (thisMonth > now) return thisMonth;
+  return new Date(Date.UTC(y, m + 1, monthDay(y, m + 1, rule.dayOfMonth), rule.hour, rule.minute));
+}
+
+/**
+ * Occurrence following `prev`, skipping any that are already in the past
+ * (e.g. the bot was down) so missed runs are not replayed in a burst.
+ */
+export function nextOccurrence(rule, prev, now = new Date()) {
+  let next = new Date(prev);
+  do {
+    if (rule.frequency === 'cron') next = cronNext(rule.cron, next);
+    else if (rule.frequency === 'daily') next = new Date(next.getTime() + rule.interval * DAY_MS);
+    else if (rule.frequency === 'weekly') next = new Date(next.getTime() + rule.interval * 7 * DAY_MS);
+    else {
+      const y = next.getUTCFullYear(), m = next.getUTCMonth() + rule.interval;
+      next = new Date(Date.UTC(y, m, monthDay(y, m, rule.dayOfMonth), rule.hour, rule.minute));
+    }
+  } while (next && next <= now);
+  return next;
+}
+
+/**
+ * Reject rules that would fire more often than once an hour.
+ */
+export function validateRule(rule, now = new Date()) {
+  const first = firstOccurrence(rule, now);
+  if (!first) return 'That schedule never runs.';
+  const second = nextOccurrence(rule, first, first);
+  if (second && second - first < MIN_INTERVAL_MS) return 'Recurring payments can run at most once per hour.';
+  return null;
+}
+
+export function describeRule(rule) {
+  if (rule.frequency === 'cron') return `cron \`${rule.cron}\` (UTC)`;
+  const time = `${String(rule.hour).padStart(2, '0')}:${String(rule.minute).padStart(2, '0')} UTC`;
+  const n = rule.interval > 1 ? rule.interval : null;
+  if (rule.frequency === 'daily') return n ? `every ${n} days at ${time}` : `daily at ${time}`;
+  if (rule.frequency === 'weekly') {
+    const day = WEEKDAYS[rule.weekday].charAt(0).toUpperCase() + WEEKDAYS[rule.weekday].slice(1);
+    return n ? `every ${n} weeks on ${day} at ${time}` : `every ${day} at ${time}`;
+  }
+  return `${n ? `every ${n} months` : 'monthly'} on day ${rule.dayOfMonth} at ${time}`;
+}
+
+// ============ Persistence ============
+
+async function enqueueRun(rec, runAt) {
+  const { data: job, error } = await supabase.from('scheduled_jobs').insert({
+    type: 'scheduled_p2p',
+    scheduled_at: runAt.toISOString(),
+    payload: { ...rec.payload, recurringId: rec.id, occurrence: rec.occurrences + 1 },
+    status: 'pending',
+    source_author_id: rec.source_author_id,
+    source_author_username: rec.source_author_username,
+    source_tweet_id: `${rec.source_message_id}_r${rec.occurrences + 1}`,
+  }).select('id').maybeSingle();
+
+  if (error) { console.error(`[Recurring] Enqueue error (${rec.id}):`, error.message); return null; }
+
+  await supabase.from('recurring_payments')
+    .update({ next_run_at: runAt.toISOString(), current_job_id: job.id })
+    .eq('id', rec.id);
+
+  return job;
+}
+
+async function cancelPendingRun(rec) {
+  if (!rec.current_job_id) return;
+  await supabase.from('scheduled_jobs')
+    .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+    .eq('id', rec.current_job_id)
+    .eq('status', 'pending');
+}
+
+function isPastLimits(rec, nextRunAt) {
+  if (rec.max_occurrences && rec.occurrences >= rec.max_occurrences) return true;
+  if (rec.end_at && nextRunAt > new Date(rec.end_at)) return true;
+  return false;
+}
+
+/**
+ * Create a recurring payment and queue its first run.
+ */
+export async function createRecurring({ msg, sender, cmd, parsed, originalText }) {
+  const firstRun = firstOccurrence(parsed.rule);
+
+  const { data: rec, error } = await supabase.from('recurring_payments').insert({
+    platform: 'telegram',
+    chat_id: String(msg.chat.id),
+    source_author_id: String(msg.from.id),
+    source_author_username: msg.from.username || msg.from.first_name,
+    source_message_id: String(msg.message_id),
+    sender_id: sender.id,
+    rule: parsed.rule,
+    payload: {
+      platform: 'telegram',
+      chatId: msg.chat.id,
+      chatType: msg.chat.type,
+      senderId: sender.id,
+      senderPayTag: sender.pay_tag,
+      senderWallet: sender.wallet_address,
+      command: cmd,
+      originalText,
+    },
+    end_at: parsed.endAt ? parsed.endAt.toISOString() : null,
+    max_occurrences: parsed.maxOccurrences,
+    occurrences: 0,
+    consecutive_failures: 0,
+    status: 'active',
+  }).select().maybeSingle();
+
+  if (error || !rec) { console.error('[Recurring] Create error:', error?.message); return null; }
+
+  const job = await enqueueRun(rec, firstRun);
+  return job ? { ...rec, next_run_at: firstRun.toISOString(), current_job_id: job.id } : null;
+}
+
+export async function getRecurring(id) {
+  const { data } = await supabase.from('recurring_payments').select('*').eq('id', id).maybeSingle();
+  return data;
+}
+
+export async function listRecurring(telegramId) {
+  const { data } = await supabase.from('recurring_payments')
+    .select('*')
+    .eq('platform', 'telegram')
+    .eq('source_author_id', String(telegramId))
+    .in('status', ['active', 'paused'])
+    .order('created_at', { ascending: true });
+  return data || [];
+}
+
+/**
+ * Record the outcome of a run and queue the next one.
+ * Returns { rec, state: 'active'|'paused'|'ended', nextRunAt } or null.
+ */
+export async function recordRecurringRun(recurringId, outcome) {
+  const rec = await getRecurring(recurringId);
+  if (!rec) return null;
+
+  const occurrences = rec.occurrences + 1;
+  const failures = outcome.ok ? 0 : rec.consecutive_failures + 1;
+  const updated = { ...rec, occurrences, consecutive_failures: failures };
+
+  let state = rec.status === 'active' ? 'active' : rec.status;
+  let nextRunAt = null;
+
+  if (state === 'active' && failures >= MAX_CONSECUTIVE_FAILURES) {
+    state = 'paused';
+  } else if (state === 'active') {
+    nextRunAt = nextOccurrence(rec.rule, new Date(rec.next_run_at || Date.now()));
+    if (!nextRunAt || isPastLimits(updated, nextRunAt)) { state = 'ended'; nextRunAt = null; }
+  }
+
+  await supabase.from('recurring_payments').update({
+    occurrences,
+    consecutive_failures: failures,
+    last_run_at: new Date().toISOString(),
+    last_error: outcome.ok ? null : outcome.error || 'Failed',
+    status: state,
+    next_run_at: nextRunAt ? nextRunAt.toISOString() : null,
+    current_job_id: null,
+  }).eq('id', rec.id);
+
+  if (nextRunAt) await enqueueRun(updated, nextRunAt);
+
+  return { rec: updated, state, nextRunAt };
+}
+
+/**
+ * Pause, resume or cancel a recurring payment owned by `telegramId`.
+ * Returns the updated row or null if not found / not allowed.
+ */
+export async function setRecurringStatus(id, telegramId, action) {
+  const rec = await getRecurring(id);
+  if (!rec || rec.source_author_id !== String(telegramId)) return null;
+
+  if (action === 'cancel' || action === 'pause') {
+    if (!['active', 'paused'].includes(rec.status)) return null;
+    await cancelPendingRun(rec);
+    const status = action === 'cancel' ? 'cancelled' : 'paused';
+    await supabase.from('recurring_payments').update({ status, next_run_at: null, current_job_id: null }).eq('id', rec.id);
+    return { ...rec, status };
+  }
+
+  if (action === 'resume') {
+    if (rec.status !== 'paused') return null;
+    const nextRunAt = firstOccurrence(rec.rule);
+    if (!nextRunAt || isPastLimits(rec, nextRunAt)) {
+      await supabase.from('recurring_payments').update({ status: 'ended' }).eq('id', rec.id);
+      return { ...rec, status: 'ended' };
+    }
+    await supabase.from('recurring_payments').update({ status: 'active', consecutive_failures: 0 }).eq('id', rec.id);
+    const resumed = { ...rec, status: 'active', consecutive_failures: 0 };
+    await enqueueRun(resumed, nextRunAt);
+    return { ...resumed, next_run_at: nextRunAt.toISOString() };
+  }
+
+  return null;
+}
@@ -0,0 +1,172 @@
+/**
+ * MoniBot Telegram - Payment Requests
+ *
+ * Pull payments ("/request $20 from @bob for lunch") stored in `payment_requests`:
+ * - One row per payer, with memo, chain and expiry
+ * - Status: open → partial → paid, or declined / cancelled / expired
+ * - Atomic claim (→ processing) so a double-tapped Pay button can't pay twice. The
+ *   claim stamps `processing_at` and the pseudo-message its payment goes out under,
+ *   so a request left processing by a stopped process can be settled from its transfers
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const REQUEST_DEFAULT_EXPIRY_MS = parseInt(process.env.REQUEST_EXPIRY_HOURS || '168') * 3600000;
+const PAYABLE = ['open', 'partial'];
+
+// ============ Parsing ============
+
+const REQUEST_RE = /\$?([\d.]+)\s*(?:\w+\s+)?from\s+((?:@\w[\w-]*(?:\s*,\s*|\s+and\s+|\s+)?)+)(.*)$/i;
+const EXPIRY_RE = /\b(?:expires?\s+in|within)\s+(\d+)\s*(h(?:ours?)?|d(?:ays?)?)\b/i;
+
+/**
+ * Parse "$20 from @bob, @carol for lunch expires in 2d".
+ * @returns {{ amount: number, payers: string[], memo: string|null, expiresAt: Date }|null}
+ */
+export function parseRequestCommand(text, now = new Date()) {
+  const m = text.match(REQUEST_RE);
+  if (!m) return null;
+
+  const amount = parseFloat(m[1]);
+  const payers = [...new Set((m[2].match(/@(\w[\w-]*)/g) || []).map(t => t.slice(1).toLowerCase()))].filter(t => t !== 'monibot');
+  if (!amount || amount <= 0 || !payers.length) return null;
+
+  let rest = m[3] || '';
+  let expiresAt = new Date(now.getTime() + REQUEST_DEFAULT_EXPIRY_MS);
+  const expiry = rest.match(EXPIRY_RE);
+  if (expiry) {
+    const n = parseInt(expiry[1]);
+    expiresAt = new Date(now.getTime() + n * (expiry[2].toLowerCase().startsWith('h') ? 3600000 : 86400000));
+    rest = rest.replace(expiry[0], ' ');
+  }
+
+  const memo = rest.replace(/^\s*(?:for|memo:?)\s+/i, '').replace(/\s+/g, ' ').trim();
+  return { amount, payers, memo: memo || null, expiresAt };
+}
+
+// ============ Persistence ============
+
+export async function createPaymentRequest(fields) {
+  const { data, error } = await supabase.from('payment_requests').insert({
+    platform: 'telegram',
+    amount_paid: 0,
+    status: 'open',
+    ...fields,
+  }).select().maybeSingle();
+
+  if (error) console.error('[Requests] Create error:', error.message);
+  return data;
+}
+
+export async function getPaymentRequest(id) {
+  const { data } = await supabase.from('payment_requests').select('*').eq('id', id).maybeSingle();
+  return data;
+}
+
+export async function setRequestMessage(id, chatId, messageId) {
+  await supabase.from('payment_requests').update({ notify_chat_id: String(chatId), notify_message_id: String(messageId) }).eq('id', id);
+}
+
+/**
+ * Mark overdue open/partial requests as expired.
+ */
+export async function expireRequests() {
+  await supabase.from('payment_requests')
+    .update({ status: 'expired' })
+    .in('status', PAYABLE)
+    .lt('expires_at', new Date().toISOString());
+}
+
+/**
+ * Open requests where the profile is payer (incoming) or requester (outgoing).
+ */
+export async function listOpenRequests(profileId) {
+  await expireRequests();
+  const { data } = await supabase.from('payment_requests')
+    .select('*')
+    .eq('platform', 'telegram')
+    .in('status', PAYABLE)
+    .or(`payer_id.eq.${profileId},requester_id.eq.${profileId}`)
+    .order('created_at', { ascending: true });
+  const rows = data || [];
+  return { incoming: rows.filter(r => r.payer_id === profileId), outgoing: rows.filter(r => r.requester_id === profileId) };
+}
+
+/**
+ * Claim a request for payment by its payer. Returns the row, or { error } explaining why not.
+ * @param {{ channelId: string, messageId: string }} payment - where the payment's transfers are recorded
+ */
+export async function claimRequestForPayment(id, payerId, payment) {
+  const { data } = await supabase.from('payment_requests')
+    .update({ status: 'processing', processing_at: new Date().toISOString(), payment_channel_id: String(payment.channelId), payment_message_id: payment.messageId })
+    .eq('id', id)
+    .eq('payer_id', payerId)
+    .in('status', PAYABLE)
+    .gt('expires_at', new Date().toISOString())
+    .select()
+    .maybeSingle();
+  if (data) return data;
+
+  const req = await getPaymentRequest(id);
+  if (!req) return { error: 'Request not found.' };
+  if (req.payer_id !== payerId) return { error: 'Only the person asked to pay can do that.' };
+  if (req.status === 'processing') return { error: 'A payment for this request is already in progress.' };
+  if (PAYABLE.includes(req.status) && new Date(req.expires_at) <= new Date()) {
+    await supabase.from('payment_requests').update({ status: 'expired' }).eq('id', id).in('status', PAYABLE);
+    return { error: 'This request has expired.' };
+  }
+  return { error: `This request is already ${req.status}.` };
+}
+
+/**
+ * Record the outcome of a claimed payment. `paid` is the gross amount sent (0 on failure).
+ */
+export async function settleRequestPayment(req, paid, txHash) {
+  const amountPaid = (parseFloat(req.amount_paid) || 0) + paid;
+  const status = amountPaid >= parseFloat(req.amount) - 1e-9 ? 'paid' : amountPaid > 0 ? 'partial' : 'open';
+  const update = { status, amount_paid: amountPaid };
+  if (txHash) update.tx_hashes = [...(req.tx_hashes || []), txHash];
+  if (status === 'paid') update.paid_at = new Date().toISOString();
+
+  await supabase.from('payment_requests').update(update).eq('id', req.id).eq('status', 'processing');
+  return { ...req, ...update };
+}
+
+/**
+ * Requests still 'processing' since before `olderThan` (pass a cutoff past the send lease,
+ * so payments another process is still sending are left alone).
+ */
+export async function listStalledRequests(olderThan) {
+  const { data, error } = await supabase.from('payment_requests')
+    .select('*')
+    .eq('platform', 'telegram')
+    .eq('status', 'processing')
+    .or(`processing_at.is.null,processing_at.lt.${olderThan.toISOString()}`)
+    .limit(100);
+  if (error) console.error('[Requests] Stalled lookup error:', error.message);
+  return data || [];
+}
+
+export async function declineRequest(id, payerId) {
+  const { data } = await supabase.from('payment_requests')
+    .update({ status: 'declined' })
+    .eq('id', id)
+    .eq('payer_id', payerId)
+    .in('status', PAYABLE)
+    .select()
+    .maybeSingle();
+  return data;
+}
+
+export async function cancelRequest(id, requesterId) {
+  const { data } = await supabase.from('payment_requests')
+    .update({ status: 'cancelled' })
+    .eq('id', id)
+    .eq('requester_id', requesterId)
+    .in('status', PAYABLE)
+    .select()
+    .maybeSingle();
+  return data;
+}
@@ -0,0 +1,126 @@
+/**
+ * MoniBot Telegram - Route Planner
+ *
+ * Picks the chain a payment goes out on before anything is sent, instead of
+ * falling back only after a Low balance / Low allowance failure:
+ * - The requested chain and every auto-route rail (`autoRoute` in the registry keeps
+ *   testnets out) are read in parallel: the sender's balance and router allowance,
+ *   the router's calculateFee for the amount, and the gas price
+ * - A chain the sender named explicitly wins whenever it can cover the payment
+ * - Otherwise every chain that can cover it (and whose amount bounds allow it) is
+ *   scored: router fee + executor gas (typical executeP2P gas at the current price,
+ *   priced with the registry's rough `nativeUsd`), minus ROUTE_PREFERRED_BONUS_USD
+ *   for each recipient whose preferred_network it is and ROUTE_DEFAULT_BONUS_USD
+ *   for the requested (default) chain. Lowest score wins, so the default chain
+ *   keeps a payment unless another rail is clearly cheaper or preferred
+ * - If no single chain can, one payment may be split across chains (lowest fee
+ *   rate first). Splits are proposals only: callers ask the sender first.
+ */
+
+import { parseUnits, formatUnits, erc20Abi } from 'viem';
+import { CHAINS, CHAIN_KEYS, chainLabel } from './chains.js';
+import { rpcClients } from './rpcPool.js';
+import { TYPICAL_GAS_UNITS, gasCostUsd, amountBoundsError } from './guardrails.js';
+
+const PREFERRED_BONUS_USD = parseFloat(process.env.ROUTE_PREFERRED_BONUS_USD || '0.05');
+const DEFAULT_BONUS_USD = parseFloat(process.env.ROUTE_DEFAULT_BONUS_USD || '0.05');
+
+const calculateFeeAbi = [
+  { name: 'calculateFee', type: 'function', stateMutability: 'view', inputs: [{ name: 'amount', type: 'uint256' }], outputs: [{ name: 'fee', type: 'uint256' }, { name: 'netAmount', type: 'uint256' }] },
+];
+
+async function readChain(chain, walletAddress, amount) {
+  const config = CHAINS[chain];
+  const { pub } = rpcClients(chain);
+  const units = parseUnits(amount.toFixed(config.decimals), config.decimals);
+
+  try {
+    const [balance, allowance, [fee], gasPrice] = await Promise.all([
+      pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'balanceOf', args: [walletAddress] }),
+      pub.readContract({ address: config.token, abi: erc20Abi, functionName: 'allowance', args: [walletAddress, config.router] }),
+      pub.readContract({ address: config.router, abi: calculateFeeAbi, functionName: 'calculateFee', args: [units] }),
+      pub.getGasPrice(),
+    ]);
+    const toNum = (v) => parseFloat(formatUnits(v, config.decimals));
+    return {
+      chain,
+      spendable: Math.min(toNum(balance), toNum(allowance)),
+      fee: toNum(fee),
+      gasUsd: gasCostUsd(chain, TYPICAL_GAS_UNITS, gasPrice),
+    };
+  } catch (e) {
+    console.warn(`  ⚠️ Route check failed [${chain}]: ${e.shortMessage || e.message}`);
+    return null;
+  }
+}
+
+const usd = (n) => (n > 0 && n < 0.01 ? '<$0.01' : `$${n.toFixed(2)}`);
+
+/**
+ * Plan where a payment of `amount` to `count` recipients goes out.
+ * @param {object} options
+ * @param {string} options.walletAddress - Sender's wallet
+ * @param {number} options.amount - Per recipient
+ * @param {number} [options.count] - Recipients paid `amount` each (splits only when 1)
+ * @param {string} options.requestedChain - Chain from the command
+ * @param {boolean} [options.explicit] - Whether the sender named that chain
+ * @param {string[]} [options.preferred] - Recipients' preferred_network values
+ * @param {string[]} [options.chains] - Chains it may use (e.g. a group's allowed chains)
+ * @returns {Promise<{ legs: Array<{ chain: string, amount: number, fee: number, gasUsd: number }>, split: boolean, summary: string } | null>}
+ *   null when the chains can't cover it even together (or can't be read)
+ */
+export async function planRoute({ walletAddress, amount, count = 1, requestedChain, explicit = false, preferred = [], chains = CHAIN_KEYS }) {
+  // Rails kept out of auto-routing are only read when the command goes there anyway
+  const candidates = chains.filter(chain => chain === requestedChain || CHAINS[chain].autoRoute);
+  const reads = (await Promise.all(candidates.map(chain => readChain(chain, walletAddress, amount)))).filter(Boolean);
+  if (!reads.length) return null;
+
+  const total = amount * count;
+  const wanted = preferred.map(p => p?.toLowerCase()).filter(Boolean);
+  const fans = (r) => wanted.filter(p => p === r.chain).length;
+  const cost = (r) => (r.fee + r.gasUsd) * count;
+  const score = (r) => cost(r) - PREFERRED_BONUS_USD * fans(r) - (r.chain === requestedChain ? DEFAULT_BONUS_USD : 0);
+  const viable = reads.filter(r => r.spendable >= total && !amountBoundsError(r.chain, amount));
+  const requested = viable.find(r => r.chain === requestedChain);
+
+  const single = (pick, reasons) => ({
+    legs: [{ chain: pick.chain, amount, fee: pick.fee, gasUsd: pick.gasUsd }],
+    split: false,
+    summary: `${requested ? '' : `${chainLabel(requestedChain)} can't cover it — `}${chainLabel(pick.chain)} (${reasons.join('; ')})`,
+  });
+
+  if (requested && explicit) return single(requested, ['as requested']);
+
+  if (viable.length) {
+    const pick = [...viable].sort((a, b) => score(a) - score(b) || b.spendable - a.spendable)[0];
+    const reasons = [];
+    if (viable.length === 1) reasons.push('the only chain with enough balance and allowance');
+    else reasons.push(`${usd(pick.fee)} fee + ~${usd(pick.gasUsd)} gas${count > 1 ? ' each' : ''}`);
+    if (pick === requested && viable.length > 1) reasons.unshift('default chain');
+    if (fans(pick)) reasons.push(count > 1 ? `preferred by ${fans(pick)} recipient(s)` : 'recipient\'s preferred network');
+    return single(pick, reasons);
+  }
+
+  if (count !== 1) return null;
+
+  // Lowest fee rate first, so the pricier chains carry the smaller parts
+  const order = reads.filter(r => r.spendable >= 0.01).sort((a, b) => a.fee - b.fee || a.gasUsd - b.gasUsd);
+  let left = Math.round(amount * 100);
+  const legs = [];
+  for (const r of order) {
+    if (left <= 0) break;
+    const { maxAmount } = CHAINS[r.chain];
+    const cents = Math.min(left, Math.floor(r.spendable * 100), maxAmount ? Math.floor(maxAmount * 100) : Infinity);
+    // A leg below the chain's minimum would only revert at the router
+    if (amountBoundsError(r.chain, cents / 100)) continue;
+    legs.push({ chain: r.chain, amount: cents / 100, fee: (r.fee * cents) / (amount * 100), gasUsd: r.gasUsd });
+    left -= cents;
+  }
+  if (left > 0 || legs.length < 2) return null;
+
+  return {
+    legs,
+    split: true,
+    summary: `split, no single chain has $${amount.toFixed(2)}: ${legs.map(l => `$${l.amount.toFixed(2)} on ${chainLabel(l.chain)}`).join(' + ')}`,
+  };
+}
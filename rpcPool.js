@@ -0,0 +1,216 @@
+/**
+ * MoniBot Telegram - RPC Pool
+ *
+ * One pool per chain over the registry's RPC list:
+ * - Every request is timed; latency and error rate are tracked per endpoint
+ *   (exponential moving averages)
+ * - Requests go to the healthiest endpoint: lowest latency weighted by error rate
+ * - After RPC_MAX_FAILURES consecutive transport failures an endpoint is taken
+ *   out and probed every RPC_PROBE_INTERVAL_SEC until it answers again
+ * - viem clients are built once per endpoint and reused
+ * - onDown / onRestored hooks (configureRpcPool) report failovers to the operators
+ * Only transport trouble (HTTP errors, timeouts, rate limits) counts against an
+ * endpoint — reverts and other JSON-RPC errors come back healthy.
+ */
+
+import { createPublicClient, createWalletClient, http } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { CHAINS } from './chains.js';
+
+const MAX_FAILURES = parseInt(process.env.RPC_MAX_FAILURES || '3');
+const PROBE_INTERVAL_MS = parseInt(process.env.RPC_PROBE_INTERVAL_SEC || '30') * 1000;
+const PROBE_TIMEOUT_MS = 5000;
+const LATENCY_ALPHA = 0.3;
+const ERROR_ALPHA = 0.2;
+// Assumed latency for endpoints we haven't heard from yet (list order breaks ties)
+const UNMEASURED_LATENCY_MS = 500;
+
+const TRANSPORT_ERRORS = ['HttpRequestError', 'TimeoutError', 'LimitExceededRpcError', 'ResourceUnavailableRpcError', 'WebSocketRequestError', 'SocketClosedError'];
+
+// chain → [{ url, host, index, up, latencyMs, errorRate, consecutiveFailures, lastError, downSince, clients }]
+const pools = new Map();
+let executor = null;
+let probeTimer = null;
+let hooks = { onDown: null, onRestored: null };
+
+/**
+ * @param {{ onDown?: (info: { chain: string, host: string, error: string, up: number, total: number }) => Promise<void>, onRestored?: (info: { chain: string, host: string, up: number, total: number }) => Promise<void> }} options
+ */
+export function configureRpcPool(options) {
+  hooks = { ...hooks, ...options };
+}
+
+function fire(hook, chain, info) {
+  const endpoints = pool(chain);
+  hook?.({ chain, ...info, up: endpoints.filter(e => e.up).length, total: endpoints.length })
+    .catch(e => console.error('[RPC] Hook failed:', e.message));
+}
+
+function pool(chain) {
+  if (!pools.has(chain)) {
+    const config = CHAINS[chain];
+    if (!config) throw new Error(`Unknown chain "${chain}"`);
+    pools.set(chain, config.rpcs.map((url, index) => ({
+      url, host: hostOf(url), index, up: true, latencyMs: null, errorRate: 0,
+      consecutiveFailures: 0, lastError: null, downSince: null, clients: null,
+    })));
+  }
+  return pools.get(chain);
+}
+
+// Keep API keys in RPC paths out of logs and /health
+function hostOf(url) {
+  try { return new URL(url).host; } catch { return 'invalid-url'; }
+}
+
+/**
+ * Whether an error is transport trouble (HTTP failure, timeout, rate limit) rather than an RPC answer.
+ */
+export function isTransportError(e) {
+  return TRANSPORT_ERRORS.some(name => e?.name === name || e?.cause?.name === name);
+}
+
+function recordSuccess(chain, endpoint, latencyMs) {
+  endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs + LATENCY_ALPHA * (latencyMs - endpoint.latencyMs);
+  endpoint.errorRate *= 1 - ERROR_ALPHA;
+  endpoint.consecutiveFailures = 0;
+  if (!endpoint.up) restore(chain, endpoint);
+}
+
+function recordFailure(chain, endpoint, e) {
+  endpoint.errorRate += ERROR_ALPHA * (1 - endpoint.errorRate);
+  endpoint.consecutiveFailures++;
+  endpoint.lastError = e.shortMessage || e.message;
+  if (endpoint.up && endpoint.consecutiveFailures >= MAX_FAILURES) {
+    endpoint.up = false;
+    endpoint.downSince = new Date().toISOString();
+    console.warn(`  🔌 RPC down [${chain}] ${endpoint.host}: ${endpoint.lastError}`);
+    fire(hooks.onDown, chain, { host: endpoint.host, error: endpoint.lastError });
+  }
+}
+
+function restore(chain, endpoint) {
+  endpoint.up = true;
+  endpoint.downSince = null;
+  endpoint.consecutiveFailures = 0;
+  console.log(`  🔌 RPC restored [${chain}] ${endpoint.host}`);
+  fire(hooks.onRestored, chain, { host: endpoint.host });
+}
+
+/**
+ * http() transport that reports every request's outcome to the pool.
+ */
+function measuredTransport(chain, endpoint) {
+  const inner = http(endpoint.url, { retryCount: 3 });
+  return (options) => {
+    const transport = inner(options);
+    return {
+      ...transport,
+      async request(args) {
+        const started = Date.now();
+        try {
+          const result = await transport.request(args);
+          recordSuccess(chain, endpoint, Date.now() - started);
+          return result;
+        } catch (e) {
+          if (isTransportError(e)) recordFailure(chain, endpoint, e);
+          else recordSuccess(chain, endpoint, Date.now() - started);
+          throw e;
+        }
+      },
+    };
+  };
+}
+
+function score(endpoint) {
+  return (endpoint.latencyMs ?? UNMEASURED_LATENCY_MS) * (1 + 4 * endpoint.errorRate) + endpoint.index;
+}
+
+function pick(chain, exclude) {
+  const endpoints = pool(chain);
+  const candidates = endpoints.filter(e => !exclude.includes(e.url));
+  const usable = candidates.length ? candidates : endpoints;
+  const up = usable.filter(e => e.up);
+  // Everything down: try the one that failed least rather than nothing at all
+  if (!up.length) return usable.reduce((a, b) => (b.consecutiveFailures < a.consecutiveFailures ? b : a));
+  return up.reduce((a, b) => (score(b) < score(a) ? b : a));
+}
+
+function executorAccount() {
+  if (!executor) executor = privateKeyToAccount(process.env.MONIBOT_PRIVATE_KEY);
+  return executor;
+}
+
+function clientsFor(chain, endpoint) {
+  if (!endpoint.clients) {
+    const config = CHAINS[chain];
+    const transport = measuredTransport(chain, endpoint);
+    endpoint.clients = {
+      pub: createPublicClient({ chain: config.chain, transport }),
+      wallet: process.env.MONIBOT_PRIVATE_KEY ? createWalletClient({ account: executorAccount(), chain: config.chain, transport }) : null,
+    };
+  }
+  return endpoint.clients;
+}
+
+/**
+ * Cached clients on the healthiest endpoint for a chain.
+ * @param {string} chain
+ * @param {{ exclude?: string[] }} [options] - RPC URLs to avoid (e.g. ones that just failed)
+ * @returns {{ pub: object, wallet: object|null, url: string, host: string }}
+ */
+export function rpcClients(chain, { exclude = [] } = {}) {
+  const endpoint = pick(chain, exclude);
+  return { ...clientsFor(chain, endpoint), url: endpoint.url, host: endpoint.host };
+}
+
+async function probe(chain, endpoint) {
+  const { pub } = clientsFor(chain, endpoint);
+  try {
+    await Promise.race([
+      pub.getBlockNumber({ cacheTime: 0 }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Probe timed out')), PROBE_TIMEOUT_MS)),
+    ]);
+  } catch (e) {
+    // Failures inside the request are recorded by the transport; a probe timeout isn't
+    if (e.message === 'Probe timed out') endpoint.lastError = e.message;
+  }
+}
+
+/**
+ * Probe endpoints that are out of rotation; a successful probe puts them back.
+ */
+export function startRpcProbes() {
+  if (probeTimer) return;
+  probeTimer = setInterval(() => {
+    for (const chain of Object.keys(CHAINS)) {
+      for (const endpoint of pool(chain)) {
+        if (!endpoint.up) probe(chain, endpoint);
+      }
+    }
+  }, PROBE_INTERVAL_MS);
+}
+
+export function stopRpcProbes() {
+  clearInterval(probeTimer);
+  probeTimer = null;
+}
+
+/**
+ * Per-endpoint status for /health (hosts only, no paths or keys).
+ */
+export function rpcPoolStats() {
+  const stats = {};
+  for (const chain of Object.keys(CHAINS)) {
+    stats[chain] = pool(chain).map(e => ({
+      host: e.host,
+      status: e.up ? 'up' : 'down',
+      latencyMs: e.latencyMs === null ? null : Math.round(e.latencyMs),
+      errorRate: Number(e.errorRate.toFixed(3)),
+      consecutiveFailures: e.consecutiveFailures,
+      lastError: e.lastError,
+      downSince: e.downSince,
+    }));
+  }
+  return stats;
+}
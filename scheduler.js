@@ -0,0 +1,157 @@
+/**
+ * MoniBot Telegram - Scheduled Job Executor
+ *
+ * Polls `scheduled_jobs` for due Telegram jobs and hands them to the bot:
+ * - Atomic claim (pending → running) so restarts or replicas never double-execute
+ * - Final status (completed / failed) with result or error message
+ * - Jobs left 'running' by a crash are failed, never retried blindly
+ * - While handlers.isPaused() is true nothing is claimed; due jobs wait as pending
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SEND_LEASE_MS } from './txQueue.js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || '30000');
+const BATCH_SIZE = 10;
+
+let timer = null;
+let currentTick = null;
+let stopping = false;
+
+/**
+ * Move a job from pending to running. Only one caller can win the update.
+ */
+async function claimJob(jobId) {
+  const { data, error } = await supabase.from('scheduled_jobs')
+    .update({ status: 'running', started_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'pending')
+    .select('id')
+    .maybeSingle();
+
+  if (error) console.error(`[Scheduler] Claim error (${jobId}):`, error.message);
+  return !!data;
+}
+
+async function finishJob(jobId, status, fields = {}) {
+  const { error } = await supabase.from('scheduled_jobs')
+    .update({ status, completed_at: new Date().toISOString(), ...fields })
+    .eq('id', jobId)
+    .eq('status', 'running');
+
+  if (error) console.error(`[Scheduler] Finish error (${jobId}):`, error.message);
+}
+
+/**
+ * Fail jobs stuck in 'running' past the send lease. A transfer may already
+ * have gone out, so they are reported instead of re-run.
+ */
+async function recoverStaleJobs(onInterrupted) {
+  const cutoff = new Date(Date.now() - SEND_LEASE_MS).toISOString();
+  const { data: stale, error } = await supabase.from('scheduled_jobs')
+    .select('*')
+    .eq('status', 'running')
+    .eq('payload->>platform', 'telegram')
+    .lt('started_at', cutoff);
+
+  if (error) { console.error('[Scheduler] Stale check error:', error.message); return; }
+
+  for (const job of stale || []) {
+    console.warn(`[Scheduler] Job ${job.id} interrupted mid-run, marking failed`);
+    await finishJob(job.id, 'failed', { error_message: 'Interrupted by restart' });
+    try { await onInterrupted?.(job); } catch (e) { console.error('[Scheduler] Interrupt notify error:', e.message); }
+  }
+}
+
+async function tick(handlers) {
+  await recoverStaleJobs(handlers.onInterrupted);
+  if (handlers.isPaused?.()) return;
+
+  const { data: jobs, error } = await supabase.from('scheduled_jobs')
+    .select('*')
+    .eq('status', 'pending')
+    .eq('payload->>platform', 'telegram')
+    .lte('scheduled_at', new Date().toISOString())
+    .order('scheduled_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) { console.error('[Scheduler] Poll error:', error.message); return; }
+
+  for (const job of jobs || []) {
+    if (stopping || handlers.isPaused?.()) return;
+    if (!(await claimJob(job.id))) continue;
+
+    console.log(`[Scheduler] ▶️ Running ${job.type} ${job.id}`);
+    try {
+      const outcome = await handlers.runJob(job);
+      if (outcome?.ok) {
+        await finishJob(job.id, 'completed', { result: outcome.result ?? null });
+        console.log(`[Scheduler] ✅ Job ${job.id} completed`);
+      } else {
+        await finishJob(job.id, 'failed', { result: outcome?.result ?? null, error_message: outcome?.error || 'Job failed' });
+        console.log(`[Scheduler] ❌ Job ${job.id} failed: ${outcome?.error || 'unknown'}`);
+      }
+    } catch (e) {
+      console.error(`[Scheduler] Job ${job.id} threw:`, e.message);
+      await finishJob(job.id, 'failed', { error_message: e.message });
+    }
+  }
+}
+
+/**
+ * Start polling for due jobs.
+ * @param {{ runJob: (job: object) => Promise<{ok: boolean, result?: object, error?: string}>, onInterrupted?: (job: object) => Promise<void>, isPaused?: () => boolean }} handlers
+ */
+export function startScheduler(handlers) {
+  if (timer) return;
+  stopping = false;
+
+  const run = async () => {
+    if (currentTick || stopping) return;
+    currentTick = tick(handlers).catch(e => console.error('[Scheduler] Tick error:', e.message));
+    await currentTick;
+    currentTick = null;
+  };
+
+  timer = setInterval(run, POLL_INTERVAL_MS);
+  run();
+  console.log(`⏰ Scheduler polling every ${POLL_INTERVAL_MS / 1000}s`);
+}
+
+/**
+ * Stop polling and wait for the job in progress (if any) to finish.
+ */
+export async function stopScheduler() {
+  stopping = true;
+  if (timer) clearInterval(timer);
+  timer = null;
+  if (currentTick) await currentTick;
+}
+
+/**
+ * Queue snapshot for operators: pending / due / running counts, the next few
+ * pending jobs and failures in the last 24h.
+ */
+export async function getJobOverview() {
+  const now = new Date().toISOString();
+  const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const count = (build) => build(supabase.from('scheduled_jobs').select('id', { count: 'exact', head: true }).eq('payload->>platform', 'telegram'))
+    .then(({ count, error }) => { if (error) throw new Error(`Job count failed: ${error.message}`); return count || 0; });
+
+  const [pending, due, running, failed, next] = await Promise.all([
+    count(q => q.eq('status', 'pending')),
+    count(q => q.eq('status', 'pending').lte('scheduled_at', now)),
+    count(q => q.eq('status', 'running')),
+    count(q => q.eq('status', 'failed').gte('completed_at', dayAgo)),
+    supabase.from('scheduled_jobs')
+      .select('id, type, scheduled_at, payload')
+      .eq('status', 'pending')
+      .eq('payload->>platform', 'telegram')
+      .order('scheduled_at', { ascending: true })
+      .limit(5)
+      .then(({ data, error }) => { if (error) throw new Error(`Job lookup failed: ${error.message}`); return data || []; }),
+  ]);
+  return { pending, due, running, failedLastDay: failed, next, polling: !!timer };
+}
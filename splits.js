@@ -0,0 +1,109 @@
+/**
+ * MoniBot Telegram - Bill Splitting
+ *
+ * "split $45 between me, @a and @b" → one payment request per participant,
+ * all linked to a `bill_splits` row so the group summary can be re-rendered
+ * as people pay:
+ * - Equal shares (cent remainders go to the person who paid)
+ * - Weighted shares with explicit amounts ("@a $20, @b $15, me $10")
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+export const SELF = 'me';
+const SETTLED = ['paid', 'declined', 'cancelled', 'expired'];
+
+// ============ Parsing ============
+
+/**
+ * Parse a split command.
+ * @returns {{ total: number, shares: Array<{tag: string, amount: number}>, memo: string|null, weighted: boolean } | { error: string } | null}
+ *   `tag` is SELF for the caller's own share.
+ */
+export function parseSplitCommand(text) {
+  if (!/^\s*\/?split\b/i.test(text)) return null;
+  let body = text.replace(/^\s*\/?split(?:@\w+)?\s*/i, '');
+
+  let memo = null;
+  const memoMatch = body.match(/\s+for\s+(.+)$/i);
+  if (memoMatch) { memo = memoMatch[1].trim(); body = body.slice(0, memoMatch.index); }
+
+  const totalMatch = body.match(/^\s*\$?(\d+(?:\.\d+)?)/);
+  const total = totalMatch ? parseFloat(totalMatch[1]) : null;
+  const rest = totalMatch ? body.slice(totalMatch[0].length) : body;
+
+  const weights = [...rest.matchAll(/(@\w[\w-]*|\bme\b)\s*[:=]?\s*\$(\d+(?:\.\d+)?)/gi)];
+  if (weights.length) {
+    const shares = weights.map(m => ({ tag: m[1].toLowerCase() === SELF ? SELF : m[1].slice(1).toLowerCase(), amount: parseFloat(m[2]) }));
+    const sum = shares.reduce((a, s) => a + s.amount, 0);
+    if (total !== null && Math.abs(sum - total) > 0.01) return { error: `Shares add up to $${sum.toFixed(2)}, not $${total.toFixed(2)}.` };
+    return { total: total ?? sum, shares: dedupeShares(shares), memo, weighted: true };
+  }
+
+  if (!total) return null;
+  const tags = (rest.match(/@(\w[\w-]*)/g) || []).map(t => t.slice(1).toLowerCase()).filter(t => t !== 'monibot');
+  if (!tags.length) return null;
+
+  // "with @a" implies you're in on it; "between @a and @b" only if you say "me"
+  const includesSelf = /\bwith\b/i.test(rest) || /\b(?:me|myself|us)\b/i.test(rest);
+  const people = [...(includesSelf ? [SELF] : []), ...new Set(tags)];
+  return { total, shares: equalShares(total, people), memo, weighted: false };
+}
+
+function dedupeShares(shares) {
+  const byTag = new Map();
+  for (const s of shares) byTag.set(s.tag, (byTag.get(s.tag) || 0) + s.amount);
+  return [...byTag].map(([tag, amount]) => ({ tag, amount }));
+}
+
+/**
+ * Split `total` into equal cent amounts; leftover cents go to the first people (SELF first).
+ */
+export function equalShares(total, people) {
+  const cents = Math.round(total * 100);
+  const base = Math.floor(cents / people.length);
+  const remainder = cents - base * people.length;
+  return people.map((tag, i) => ({ tag, amount: (base + (i < remainder ? 1 : 0)) / 100 }));
+}
+
+// ============ Persistence ============
+
+export async function createSplit(fields) {
+  const { data, error } = await supabase.from('bill_splits').insert({ platform: 'telegram', status: 'open', ...fields }).select().maybeSingle();
+  if (error) console.error('[Splits] Create error:', error.message);
+  return data;
+}
+
+export async function setSplitMessage(id, chatId, messageId) {
+  await supabase.from('bill_splits').update({ summary_chat_id: String(chatId), summary_message_id: String(messageId) }).eq('id', id);
+}
+
+/**
+ * Load a split with its payment requests.
+ */
+export async function getSplitWithRequests(id) {
+  const [{ data: split }, { data: requests }] = await Promise.all([
+    supabase.from('bill_splits').select('*').eq('id', id).maybeSingle(),
+    supabase.from('payment_requests').select('*').eq('split_id', id).order('created_at', { ascending: true }),
+  ]);
+  return split ? { split, requests: requests || [] } : null;
+}
+
+export function isSplitSettled(requests) {
+  return requests.length > 0 && requests.every(r => SETTLED.includes(r.status));
+}
+
+/**
+ * Flip an open split to settled. Returns true only for the caller that flipped it.
+ */
+export async function markSplitSettled(id) {
+  const { data } = await supabase.from('bill_splits')
+    .update({ status: 'settled', settled_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'open')
+    .select('id')
+    .maybeSingle();
+  return !!data;
+}
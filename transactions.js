@@ -0,0 +1,177 @@
+/**
+ * MoniBot Telegram - Transaction Lifecycle
+ *
+ * Router transfers are tracked in `monibot_transactions` from the moment they're broadcast:
+ * - `submitted`: written with the hash before waiting for the receipt, plus the
+ *   executor nonce; `tx_hashes` keeps every fee-bumped version, since any one of
+ *   them may be the one that gets mined
+ * - then `completed` (confirmed on-chain), `reverted` or `dropped` (never mined)
+ * - Rows left `submitted` (crash, or no receipt before the wait gave up) are
+ *   re-checked on-chain by the reconciler in index.js
+ * - `idempotency_key` holds the router memo; a submitted or completed row with the
+ *   same key in the same chat means that transfer must not be sent again
+ * `platform_commands` rows follow the transfers they triggered: processing →
+ * completed / partial / failed, `submitted` while transfers are unresolved, and
+ * `interrupted` if we stopped before sending anything.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// ============ Transfers ============
+
+export async function recordSubmittedTransaction(fields) {
+  const { data, error } = await supabase.from('monibot_transactions')
+    .insert({ ...fields, platform: 'telegram', status: 'submitted' })
+    .select()
+    .maybeSingle();
+  if (error) console.error('[Transactions] Submitted insert error:', error.message);
+  return data;
+}
+
+/**
+ * Log a transfer straight in its final state (used when the submitted insert failed).
+ */
+export async function recordFinalTransaction(fields, status) {
+  const { error } = await supabase.from('monibot_transactions').insert({ ...fields, platform: 'telegram', status });
+  if (error) console.error('[Transactions] Insert error:', error.message);
+}
+
+/**
+ * Record a fee-bumped replacement: `tx_hash` is the latest version, `txHashes` all of them.
+ */
+export async function updateTransactionHashes(id, txHashes) {
+  await supabase.from('monibot_transactions')
+    .update({ tx_hash: txHashes[txHashes.length - 1], tx_hashes: txHashes })
+    .eq('id', id)
+    .eq('status', 'submitted');
+}
+
+/**
+ * Move a submitted transfer to its final status. Returns the row, or null if
+ * something else resolved it first.
+ */
+export async function resolveTransaction(id, status, fields = {}) {
+  const { data } = await supabase.from('monibot_transactions')
+    .update({ ...fields, status })
+    .eq('id', id)
+    .eq('status', 'submitted')
+    .select()
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * A live or settled transfer for a per-recipient idempotency key (the router memo,
+ * e.g. `tg_<message_id>_<tag>`), scoped to the chat since message ids are per chat.
+ * Reverted and dropped transfers don't count: those are safe to send again.
+ */
+export async function findTransferByKey(channelId, key) {
+  const { data, error } = await supabase.from('monibot_transactions')
+    .select('id, status, tx_hash, fee, chain, idempotency_key')
+    .eq('platform', 'telegram')
+    .eq('platform_channel_id', channelId)
+    .eq('idempotency_key', key)
+    .in('status', ['submitted', 'completed'])
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw new Error(`Idempotency lookup failed: ${error.message}`);
+  return data;
+}
+
+/**
+ * Transfers a command sent that went out or may still land (submitted / completed).
+ */
+export async function listCommandTransfers(channelId, messageId) {
+  const { data, error } = await supabase.from('monibot_transactions')
+    .select('status, amount, fee, tx_hash')
+    .eq('platform', 'telegram')
+    .eq('platform_channel_id', channelId)
+    .eq('platform_message_id', messageId)
+    .in('status', ['submitted', 'completed']);
+  if (error) throw new Error(`Transfer lookup failed: ${error.message}`);
+  return data || [];
+}
+
+export async function listUnresolvedTransactions(olderThan) {
+  const { data, error } = await supabase.from('monibot_transactions')
+    .select('*')
+    .eq('platform', 'telegram')
+    .eq('status', 'submitted')
+    .lt('created_at', olderThan.toISOString())
+    .order('created_at', { ascending: true })
+    .limit(200);
+  if (error) throw new Error(`Unresolved lookup failed: ${error.message}`);
+  return data || [];
+}
+
+// ============ Commands ============
+
+/**
+ * Final platform_commands status for a set of transfer outcomes.
+ * @param {Array<{ status: string }>} outcomes - 'completed' | 'submitted' | anything else (failed)
+ */
+export function commandStatus(outcomes) {
+  if (!outcomes.length) return 'failed';
+  if (outcomes.some(o => o.status === 'submitted')) return 'submitted';
+  const done = outcomes.filter(o => o.status === 'completed').length;
+  if (done === outcomes.length) return 'completed';
+  return done ? 'partial' : 'failed';
+}
+
+/**
+ * Recompute a command's status from its transfers once they've all resolved.
+ */
+export async function refreshCommandStatus(channelId, messageId) {
+  const { data: rows } = await supabase.from('monibot_transactions')
+    .select('status')
+    .eq('platform', 'telegram')
+    .eq('platform_channel_id', channelId)
+    .eq('platform_message_id', messageId);
+  const status = commandStatus(rows || []);
+  if (status === 'submitted') return null;
+
+  await supabase.from('platform_commands')
+    .update({ status })
+    .eq('platform', 'telegram')
+    .eq('platform_channel_id', channelId)
+    .eq('platform_message_id', messageId)
+    .in('status', ['processing', 'submitted']);
+  return status;
+}
+
+/**
+ * Commands still 'processing' since before `olderThan` (pass a cutoff past the send
+ * lease, so commands another replica is running are left alone).
+ */
+export async function markStalledCommands(olderThan) {
+  const { data: stalled } = await supabase.from('platform_commands')
+    .select('platform_channel_id, platform_message_id')
+    .eq('platform', 'telegram')
+    .eq('status', 'processing')
+    .lt('created_at', olderThan.toISOString())
+    .limit(200);
+
+  let count = 0;
+  for (const cmd of stalled || []) {
+    const { count: transfers } = await supabase.from('monibot_transactions')
+      .select('id', { count: 'exact', head: true })
+      .eq('platform', 'telegram')
+      .eq('platform_channel_id', cmd.platform_channel_id)
+      .eq('platform_message_id', cmd.platform_message_id);
+    if (transfers) {
+      await refreshCommandStatus(cmd.platform_channel_id, cmd.platform_message_id);
+      continue;
+    }
+    await supabase.from('platform_commands')
+      .update({ status: 'interrupted' })
+      .eq('platform', 'telegram')
+      .eq('platform_channel_id', cmd.platform_channel_id)
+      .eq('platform_message_id', cmd.platform_message_id)
+      .eq('status', 'processing');
+    count++;
+  }
+  return count;
+}
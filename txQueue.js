@@ -0,0 +1,175 @@
+/**
+ * MoniBot Telegram - Executor Transaction Queue
+ *
+ * Every router call is sent from the single MONIBOT_PRIVATE_KEY account, so
+ * sends are coordinated here instead of racing on its nonce:
+ * - One queue per network (chain id, not registry rail: USDC and USDT rails on
+ *   the same network share the executor's nonce): nonce assignment + broadcast
+ *   happen one at a time, with the account nonce tracked locally (resynced from
+ *   the chain on errors)
+ * - Retries on nonce-too-low / already-known / replacement-underpriced
+ * - Stuck transactions are re-sent with the same nonce and bumped fees
+ * - Per-sender locks (per network and router) held until the receipt, because the
+ *   router nonce of a MoniPay wallet only advances once its previous transfer is mined
+ * - Broadcast and wait are separate calls so batches can pipeline: broadcast
+ *   everything back to back, then collect receipts
+ */
+
+import { WaitForTransactionReceiptTimeoutError } from 'viem';
+import { CHAINS, CHAIN_KEYS } from './chains.js';
+
+const STUCK_TIMEOUT_MS = parseInt(process.env.TX_STUCK_TIMEOUT_SEC || '60') * 1000;
+const MAX_FEE_BUMPS = parseInt(process.env.TX_MAX_FEE_BUMPS || '3');
+const MAX_SEND_RETRIES = 3;
+
+/**
+ * How long a payout may be in flight before another process treats it as abandoned:
+ * SEND_LEASE_MIN (default 15), and never less than twice the longest receipt wait.
+ * Recovery code (crashed payouts, stalled commands) only touches rows older than this,
+ * so a replica that boots doesn't take over sends another replica is still making.
+ */
+export const SEND_LEASE_MS = Math.max(parseInt(process.env.SEND_LEASE_MIN || '15') * 60000, 2 * STUCK_TIMEOUT_MS * (MAX_FEE_BUMPS + 1));
+
+// chain id → { tail: Promise, nonce: number|null, queued: number, inFlight: number }
+const networks = new Map();
+// `${chainId}:${router}:${wallet}` → Promise (tail of that sender's chain of transfers)
+const senderLocks = new Map();
+
+function chainState(chain) {
+  const id = CHAINS[chain].chain.id;
+  if (!networks.has(id)) networks.set(id, { tail: Promise.resolve(), nonce: null, queued: 0, inFlight: 0 });
+  return networks.get(id);
+}
+
+const errorText = (e) => `${e?.shortMessage || ''} ${e?.details || ''} ${e?.message || ''}`.toLowerCase();
+const isNonceError = (e) => /nonce too low|nonce has already been used|already known|replacement transaction underpriced|transaction underpriced/.test(errorText(e));
+
+/**
+ * Run `fn` after every earlier call with the same key has finished.
+ */
+export function withSenderLock(chain, wallet, fn) {
+  const { chain: network, router } = CHAINS[chain];
+  const key = `${network.id}:${router.toLowerCase()}:${wallet.toLowerCase()}`;
+  const previous = senderLocks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  senderLocks.set(key, tail);
+  tail.then(() => { if (senderLocks.get(key) === tail) senderLocks.delete(key); });
+  return run;
+}
+
+async function currentFees(pub) {
+  try {
+    const { maxFeePerGas, maxPriorityFeePerGas } = await pub.estimateFeesPerGas();
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  } catch {
+    // Chains without EIP-1559 pricing
+    return { gasPrice: await pub.getGasPrice() };
+  }
+}
+
+// +25%: comfortably above the 10% most nodes require for a replacement
+function bumpFees(fees) {
+  const bump = (v) => v + v / 4n;
+  return fees.gasPrice !== undefined
+    ? { gasPrice: bump(fees.gasPrice) }
+    : { maxFeePerGas: bump(fees.maxFeePerGas), maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas) };
+}
+
+/**
+ * Assign the next executor nonce and broadcast, inside the chain's queue.
+ * Returns { hash, nonce, fees } without waiting for the receipt.
+ */
+export function broadcastTransaction(chain, { pub, wallet }, tx) {
+  const state = chainState(chain);
+  state.queued++;
+
+  const run = state.tail.then(async () => {
+    state.queued--;
+    const address = wallet.account.address;
+
+    for (let attempt = 0; ; attempt++) {
+      if (state.nonce === null) state.nonce = await pub.getTransactionCount({ address, blockTag: 'pending' });
+      const nonce = state.nonce;
+      // Underpriced retries need to outbid whatever holds the nonce in the mempool
+      const fees = attempt > 0 ? bumpFees(await currentFees(pub)) : await currentFees(pub);
+
+      try {
+        const hash = await wallet.sendTransaction({ ...tx, nonce, ...fees });
+        state.nonce = nonce + 1;
+        return { hash, nonce, fees };
+      } catch (e) {
+        // We can't tell whether a failed broadcast used the nonce, so re-read it next time
+        state.nonce = null;
+        if (!isNonceError(e) || attempt >= MAX_SEND_RETRIES) throw e;
+        console.warn(`  🔁 [${chain}] ${e.shortMessage || e.message} — resyncing nonce (retry ${attempt + 1}/${MAX_SEND_RETRIES})`);
+      }
+    }
+  });
+
+  state.tail = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Wait for a receipt, re-sending the same nonce with higher fees while it's stuck.
+ * Returns { hash, receipt } for whichever version got mined.
+ */
+async function waitWithFeeBumps(chain, { pub, wallet }, tx, sent, onReplace) {
+  const hashes = [sent.hash];
+  let fees = sent.fees;
+
+  for (let bumps = 0; ; bumps++) {
+    try {
+      const receipt = await pub.waitForTransactionReceipt({ hash: hashes[hashes.length - 1], timeout: STUCK_TIMEOUT_MS });
+      return { hash: receipt.transactionHash, receipt };
+    } catch (e) {
+      if (!(e instanceof WaitForTransactionReceiptTimeoutError)) throw e;
+    }
+
+    // An earlier version may have been mined while we waited on the latest one
+    for (const hash of hashes) {
+      const receipt = await pub.getTransactionReceipt({ hash }).catch(() => null);
+      if (receipt) return { hash, receipt };
+    }
+    if (bumps >= MAX_FEE_BUMPS) throw new Error(`Transaction stuck after ${MAX_FEE_BUMPS} fee bumps (${hashes[0]})`);
+
+    fees = bumpFees(fees);
+    try {
+      hashes.push(await wallet.sendTransaction({ ...tx, nonce: sent.nonce, ...fees }));
+      console.warn(`  ⛽ [${chain}] Bumped fees for stuck nonce ${sent.nonce} → ${hashes[hashes.length - 1]}`);
+      await onReplace?.(hashes[hashes.length - 1]);
+    } catch (e) {
+      // "nonce too low" here means one of our versions just got mined: loop and find it
+      if (!isNonceError(e)) throw e;
+    }
+  }
+}
+
+/**
+ * Wait for a broadcast transaction to be mined (bumping fees while it's stuck).
+ * @param {object} sent - Result of broadcastTransaction
+ * @param {{ onReplace?: (hash: string) => Promise<void> }} [options] - called with each fee-bumped replacement hash
+ * @returns {Promise<{ hash: string, receipt: object }>}
+ */
+export async function waitForTransaction(chain, clients, tx, sent, { onReplace } = {}) {
+  const state = chainState(chain);
+  state.inFlight++;
+  try {
+    return await waitWithFeeBumps(chain, clients, tx, sent, onReplace);
+  } finally {
+    state.inFlight--;
+  }
+}
+
+/**
+ * Queue depth per registry chain for /health (rails on one network show the same queue).
+ */
+export function txQueueStats() {
+  const stats = {};
+  for (const chain of CHAIN_KEYS) {
+    const state = networks.get(CHAINS[chain].chain.id);
+    if (state) stats[chain] = { chainId: CHAINS[chain].chain.id, queued: state.queued, inFlight: state.inFlight, nextNonce: state.nonce };
+  }
+  return stats;
+}